@@ -5,563 +5,2693 @@
 
 // in colabboration with NIKKIE TAN
 
+// This file is the browser side of the game: canvas drawing, input and storage.
+// The simulation itself lives in src/game.js and knows nothing about the page.
 
-(function () {
-	'use strict';
+import {
+	createGame,
+	resetGame,
+	flap,
+	update,
+	tongueHitbox,
+	tongueSize,
+	isDefaultPhysics,
+	raceWinner,
+	STEP_MS,
+	MOUTH_SIZE,
+	GROUND_HEIGHT,
+	WORLD_WIDTH,
+	WORLD_HEIGHT,
+} from './src/game.js';
+import { HITBOX_MODES, tiltFor, createMask, teethShapes } from './src/hitbox.js';
+import { DIFFICULTY_PRESETS, DIFFICULTY_IDS, isDifficulty } from './src/difficulty.js';
+import { createStateMachine, STATES } from './src/state-machine.js';
+import {
+	loadScores,
+	saveScores,
+	recordRun,
+	qualifies,
+	topScores,
+	cleanName,
+	exportScores,
+	importScores,
+	NAME_MAX_LENGTH,
+} from './src/leaderboard.js';
+import { parseRun, serializeRun } from './src/replay.js';
+import { randomSeed } from './src/rng.js';
+import { createLocalScoreClient, createHttpScoreClient } from './src/score-client.js';
+import { createAudio } from './src/audio.js';
+import { createEffects } from './src/effects.js';
+import { ENTITY_TYPES, activePowerUps, hasPowerUp } from './src/entities.js';
+import { resolveToggle, isAssisted, assistLabel } from './src/assist.js';
+import { ACHIEVEMENTS, DEATH_CAUSES, loadStats, saveStats, trackStats, achievementProgress } from './src/achievements.js';
+import {
+	SETTINGS_SCHEMA,
+	SETTINGS_SECTIONS,
+	PLAY_MODES,
+	loadSettings,
+	saveSettings,
+	resetSettings,
+	stepSetting,
+	formatSetting,
+} from './src/settings.js';
+import { normalizeTheme, themeAssets, layerTiles, nineSliceRects, DEFAULT_THEME_ID } from './src/theme.js';
+import { loadAssets } from './src/assets.js';
+import { fitViewport, worldTransform, clientToWorld } from './src/viewport.js';
+import { createRouter } from './src/router.js';
+import { playAutopilot } from './src/autopilot.js';
+import {
+	ACTIONS,
+	bindKey,
+	actionsFor,
+	keyLabel,
+	createGamepadPoller,
+	padActions,
+	createFlapBuffer,
+} from './src/input.js';
 
-	// CANVAS SETUP AND CONTEXT INITIALIZATION	
-	// Get the main game canvas element and its 2D rendering context
-	// This is where all the game graphics will be drawn
-	/** @type {HTMLCanvasElement} */
-	const canvas = document.getElementById('game');
-	const ctx = canvas.getContext('2d');
-	
-	// Get the landing page canvas element and its 2D rendering context
-	// This canvas is used for the start screen before the game begins
-	/** @type {HTMLCanvasElement} */
-	const landingCanvas = document.getElementById('landing-canvas');
-	const landingCtx = landingCanvas.getContext('2d');
-	
-	// Landing page state - controls whether to show the start screen or the game
-	// When true: shows landing page, when false: shows the actual game
-	let showLanding = true;
-
-	// CANVAS RESIZING AND RESPONSIVE DESIGN	
-	// Function to resize both canvases to maintain proper aspect ratio
-	// This ensures the game looks good on different screen sizes
-	// Reference: Responsive web design principles, Canvas API documentation
-	function resizeCanvas() {
-		// Calculate desired width - use full viewport width but minimum 320px for mobile
-		const desiredWidth = Math.max(320, Math.floor(window.innerWidth));
-		
-		// Calculate height based on 2:3 aspect ratio (width:height)
-		// This maintains the game's intended proportions
-		const desiredHeightByAspect = Math.floor((3 / 2) * desiredWidth);
-		
-		// Don't exceed the viewport height - clamp to screen size
-		const maxHeight = window.innerHeight;
-		const desiredHeight = Math.min(desiredHeightByAspect, maxHeight);
-		
-		// Update main game canvas if dimensions changed
-		if (canvas.width !== desiredWidth || canvas.height !== desiredHeight) {
-			canvas.width = desiredWidth;
-			canvas.height = desiredHeight;
-		}
-		
-		// Update landing canvas to match main canvas dimensions
-		if (landingCanvas.width !== desiredWidth || landingCanvas.height !== desiredHeight) {
-			landingCanvas.width = desiredWidth;
-			landingCanvas.height = desiredHeight;
-		}
+// CANVAS SETUP AND CONTEXT INITIALIZATION	
+// Get the main game canvas element and its 2D rendering context
+// This is where all the game graphics will be drawn
+/** @type {HTMLCanvasElement} */
+const canvas = document.getElementById('game');
+const ctx = canvas.getContext('2d');
+
+// Get the landing page canvas element and its 2D rendering context
+// This canvas is used for the start screen before the game begins
+/** @type {HTMLCanvasElement} */
+const landingCanvas = document.getElementById('landing-canvas');
+const landingCtx = landingCanvas.getContext('2d');
+
+// Which screen we're on: loading, landing, ready, playing, paused or game over
+// Declared up here because resizeCanvas() needs it before the game state below exists
+const screen = createStateMachine(STATES.LOADING);
+
+// The simulation state for the current run
+// Every live run uses the fixed WORLD_WIDTH x WORLD_HEIGHT world; replays of older
+// recordings bring their own size (see resetGame)
+const game = createGame();
+const world = game.world;
+let hitboxMode = game.hitboxMode; // The player's tongue hitbox; replays bring their own
+
+// TWO PLAYERS
+// A race puts both tongues in `game`; split screen gives player 2 a course of their own,
+// splitGame, started on the same seed and drawn to the right of the first (see courses())
+const splitGame = createGame();
+let runMode = 'solo';           // Play mode of the current run (see PLAY_MODES); replays are solo
+let botRun = null;              // 'demo' or 'hint' while an autopilot run plays (see ATTRACT MODE AND SHOW ME)
+
+// Label colours for players 1 and 2
+const PLAYER_COLORS = ['#fff200', '#6ad5ff'];
+
+// The number a player goes by on screen (1 or 2), for tongue `index` of course g
+function playerNumber(g, index) {
+	return g === splitGame ? 2 : index + 1;
+}
+
+// CANVAS RESIZING AND RESPONSIVE DESIGN	
+// Both canvases show the fixed world scaled to fit the window, letterboxed by the page
+// background, with a backing store at the screen's pixel density (see src/viewport.js)
+// Split screen shows two worlds side by side on the game canvas
+// Reference: Responsive web design principles, Canvas API documentation
+let viewport = fitViewport(WORLD_WIDTH, WORLD_HEIGHT, WORLD_WIDTH, WORLD_HEIGHT, 1);
+
+function resizeCanvas() {
+	const ratio = window.devicePixelRatio || 1;
+	viewport = fitViewport(window.innerWidth, window.innerHeight, WORLD_WIDTH, WORLD_HEIGHT, ratio);
+	const across = runMode === 'split' ? 2 : 1;
+	sizeCanvas(landingCanvas, viewport);
+	sizeCanvas(canvas, fitViewport(window.innerWidth, window.innerHeight, WORLD_WIDTH * across, WORLD_HEIGHT, ratio));
+}
+
+function sizeCanvas(target, fit) {
+	target.style.width = fit.cssWidth + 'px';
+	target.style.height = fit.cssHeight + 'px';
+	// Setting the size clears the canvas, so only do it when it changes
+	if (target.width !== fit.pixelWidth || target.height !== fit.pixelHeight) {
+		target.width = fit.pixelWidth;
+		target.height = fit.pixelHeight;
 	}
-	
-	// Initialize canvas size when page loads
+}
+
+// Initialize canvas size when page loads
+resizeCanvas();
+
+// Listen for window resize events to make the game responsive
+// This ensures the game adapts when user resizes browser window
+window.addEventListener('resize', function () {
 	resizeCanvas();
-	
-	// Listen for window resize events to make the game responsive
-	// This ensures the game adapts when user resizes browser window
-	window.addEventListener('resize', function () {
-		resizeCanvas();
-		// Redraw the current screen with new dimensions
-		if (showLanding) {
-			drawLanding(); // Redraw landing page
-		} else {
-			draw(); // Redraw game
+	// Redraw the current screen with new dimensions
+	if (screen.is(STATES.LOADING)) {
+		drawLoading();
+	} else if (screen.is(STATES.LANDING)) {
+		drawLanding(); // Redraw landing page
+	} else {
+		draw(); // Redraw game
+	}
+});
+
+
+// ASSETS
+// Theme art and fonts go through the manifest-driven loader in src/assets.js. The theme
+// manifest (themes/<id>.json, picked with ?theme=<id>) comes first because it says which
+// images to load. Anything that fails is reported and drawn with flat colours instead.
+// Reference: HTMLImageElement load/error events, CSS Font Loading API
+let theme = normalizeTheme(null);
+let assets = {};                                   // Loaded assets by manifest id
+let loadProgress = { done: 0, total: 0, failed: 0 }; // Latest progress report, for the loading bar
+let missingAssets = [];                            // Required assets that failed (AssetLoadErrors)
+
+// Fonts used for canvas text; optional because the system fallbacks in each font list still work
+const FONT_ASSETS = [
+	{ id: 'font-orbitron', type: 'font', src: 'bold 16px Orbitron', optional: true },
+	{ id: 'font-roboto', type: 'font', src: 'bold 16px Roboto', optional: true },
+];
+
+// How each asset type loads in the browser
+const assetLoaders = {
+	image(src) {
+		return new Promise(function (resolve, reject) {
+			const img = new Image();
+			img.onload = function () {
+				resolve(img);
+			};
+			img.onerror = function () {
+				reject(new Error('not found'));
+			};
+			img.src = src;
+		});
+	},
+	audio(src) {
+		return new Promise(function (resolve, reject) {
+			const sound = new Audio();
+			sound.preload = 'auto';
+			sound.oncanplaythrough = function () {
+				resolve(sound);
+			};
+			sound.onerror = function () {
+				reject(new Error('not found or unsupported'));
+			};
+			sound.src = src;
+			sound.load();
+		});
+	},
+	font(spec) {
+		return document.fonts.load(spec).then(function (faces) {
+			if (!faces.length) throw new Error('no matching font');
+			return faces;
+		});
+	},
+	json(src) {
+		return fetch(src).then(function (response) {
+			if (!response.ok) throw new Error('status ' + response.status);
+			return response.json();
+		});
+	},
+};
+
+// A theme image that's ready to draw, or null
+function themeImage(id) {
+	const img = id ? assets[id] : null;
+	return img && img.naturalWidth > 0 ? img : null;
+}
+
+// Load the theme manifest, then its images and the fonts, updating the loading bar
+async function loadGameAssets() {
+	const id = new URLSearchParams(location.search).get('theme') || DEFAULT_THEME_ID;
+	const manifest = await loadAssets([
+		{ id: 'theme', type: 'json', src: ['themes/' + id + '.json', 'themes/' + DEFAULT_THEME_ID + '.json'] },
+	], { loaders: assetLoaders });
+	if (manifest.sources.theme && manifest.sources.theme !== 'themes/' + id + '.json') {
+		console.warn('Theme "' + id + '" not found; using the default theme');
+	}
+	theme = normalizeTheme(manifest.assets.theme);
+
+	const loaded = await loadAssets(themeAssets(theme).concat(FONT_ASSETS), {
+		loaders: assetLoaders,
+		onProgress: function (progress) {
+			loadProgress = progress;
+			drawLoading();
+		},
+	});
+	assets = loaded.assets;
+	missingAssets = manifest.missing.concat(loaded.missing);
+	missingAssets.forEach(function (err) {
+		console.error(err.message);
+	});
+	loaded.warnings.forEach(function (err) {
+		console.warn(err.message);
+	});
+
+	const tongue = themeImage(theme.tongue);
+	if (tongue) {
+		game.tongueMask = buildTongueMask(tongue);
+		splitGame.tongueMask = game.tongueMask;
+	}
+}
+
+// Read the tongue sprite's alpha channel for pixel-accurate ('mask') collisions
+// The sprite is sampled at the size it's drawn, so one mask point per screen pixel
+// Reference: CanvasRenderingContext2D.getImageData
+function buildTongueMask(img) {
+	const scratch = document.createElement('canvas');
+	scratch.width = MOUTH_SIZE;
+	scratch.height = MOUTH_SIZE;
+	const scratchCtx = scratch.getContext('2d');
+	scratchCtx.drawImage(img, 0, 0, MOUTH_SIZE, MOUTH_SIZE);
+	try {
+		const data = scratchCtx.getImageData(0, 0, MOUTH_SIZE, MOUTH_SIZE).data;
+		return createMask(MOUTH_SIZE, MOUTH_SIZE, data);
+	} catch (_) {
+		// Pixels are unreadable when the page is opened from file://; 'mask' falls back to the outline
+		return null;
+	}
+}
+
+// Optional additional tongue image support
+// This allows for dynamic tongue images from the HTML DOM
+// Reference: DOM manipulation, optional image handling
+/** @type {HTMLImageElement|null} */
+const tongueImg = (function(){
+	const el = document.getElementById('tongue-img');
+	// Return the element only if it exists and is an image
+	return el instanceof HTMLImageElement ? el : null;
+})();
+
+// GAME LOOP SETTINGS
+const MAX_FRAME_MS = 250;       // Longest frame we catch up on (avoids a spiral after tab switches)
+const RESUME_COUNTDOWN_MS = 3000; // Countdown shown before play picks up again after a pause
+const UNLOCK_TOAST_MS = 2500;   // How long each achievement banner stays up
+
+// SETTINGS
+// Sound, difficulty, assists, effects, physics and bindings live in one versioned object
+// (src/settings.js); the settings screen edits it and changeSettings() saves and applies it
+const settings = loadSettings(localStorage);
+
+// DIFFICULTY AND SCORES
+// Best scores, the leaderboard and run history live in one versioned store (src/leaderboard.js)
+const scores = loadScores(localStorage);
+
+// Lifetime stats and achievements (src/achievements.js); only solo live runs count
+const stats = loadStats(localStorage);
+
+// Score boards: this browser's, plus the shared office board when one is configured
+// The office board's address comes from ?leaderboard=<url> or the mouth-trap-leaderboard meta tag
+const localBoard = createLocalScoreClient(scores, localStorage);
+const officeBoard = (function () {
+	const meta = document.querySelector('meta[name="mouth-trap-leaderboard"]');
+	const baseUrl = new URLSearchParams(location.search).get('leaderboard') || (meta && meta.content);
+	return baseUrl ? createHttpScoreClient({ baseUrl, storage: localStorage }) : null;
+})();
+
+// Switch the preset used for the next run
+function selectDifficulty(id) {
+	if (!isDifficulty(id)) return;
+	settings.game.difficulty = id;
+	saveSettings(localStorage, settings);
+}
+
+// PAGE STATE
+let landingView = 'title';      // Which landing screen is shown: 'title', 'leaderboard', 'settings' or 'achievements'
+let settingsTab = 'audio';      // Section the settings view shows (see SETTINGS_SECTIONS)
+let leaderboardTab = settings.game.difficulty; // Preset whose scores the leaderboard view lists
+let pendingEntry = null;        // Finished run waiting for a name on the game over screen
+let officeStatus = '';          // Result of the last office board submission, shown after game over
+let leaderboardSource = 'local'; // Board the leaderboard view lists: 'local' or 'office'
+let officeTop = null;           // Office board rows for the open tab: { difficulty, entries, status }
+let lastTimestamp = 0;          // Last frame timestamp for smooth animation
+let showHitboxes = false;       // Debug overlay that draws the collision shapes (H key)
+let loopStarted = false;        // Whether requestAnimationFrame(gameLoop) is already scheduled
+let resumeCountdown = null;     // Milliseconds left before a paused game resumes, null if not resuming
+let toast = null;               // Setting change shown briefly over the game: { text, until }
+let unlockToasts = [];          // Achievements waiting to be shown over the game, oldest first: { achievement, until }
+
+// SOUND
+// Effects follow the simulation's events; the background loop plays only while PLAYING
+// The attract-mode demo plays silently
+const audio = createAudio(settings.audio, {
+	AudioContext: window.AudioContext || window.webkitAudioContext,
+});
+function playSound(name) {
+	if (botRun !== 'demo') {
+		audio.play(name);
+	}
+}
+[game, splitGame].forEach(function (g) {
+	g.events.on('flap', function () {
+		playSound('flap');
+	});
+	g.events.on('score', function () {
+		playSound('point');
+	});
+	g.events.on('pickup', function (e) {
+		if (e.kind === 'powerup') {
+			playSound('powerup');
+		}
+	});
+	g.events.on('powerupend', function (e) {
+		if (e.reason === 'used') {
+			playSound('shield');
+		}
+	});
+	g.events.on('collision', function () {
+		playSound('hit');
+	});
+	g.events.on('gameover', function () {
+		if (runOver()) {
+			playSound('gameover');
 		}
 	});
+});
+screen.on('change', function (e) {
+	if (e.to === STATES.PLAYING && botRun !== 'demo') {
+		audio.startMusic();
+	} else {
+		audio.stopMusic();
+	}
+});
 
+// ASSIST OPTIONS
+// Slower game speed and wider gaps (settings.game), high contrast and reduced motion
+// (settings.effects); see src/assist.js
+// High contrast and reduced motion follow the system settings, live, until the player picks
+// one on the settings screen (or F for reduced motion)
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+const highContrastQuery = window.matchMedia('(prefers-contrast: more)');
+let highContrast = false; // Whether the high contrast look is in use right now
 
-	// IMAGE ASSETS LOADING AND MANAGEMENT	
-	// Background texture loading with fallback system
-	// This creates a repeating pattern for the game background
-	// Reference: HTML5 Canvas patterns, Image loading best practices
-	let bgPattern = null; // Canvas pattern object for repeating background
-	let bgImg = null;     // The actual image data
-	
-	// Immediately invoked function expression (IIFE) to load background texture
-	// This pattern ensures the loading happens as soon as the script runs
-	(function loadBackgroundTexture() {
-		const img = new Image();
-		let triedJpg = false; // Flag to prevent infinite retry loop
-		
-		// Success callback when image loads
-		img.onload = function () {
-			bgImg = img; // Store the loaded image
-			try {
-				// Create a repeating pattern from the image for seamless background
-				bgPattern = ctx.createPattern(img, 'repeat');
-			} catch (_) {
-				// If pattern creation fails, set to null (fallback to solid color)
-				bgPattern = null;
-			}
-			// Redraw landing page when background loads to show the texture
-			if (showLanding) {
-				drawLanding();
-			}
-		};
-		
-		// Error callback - try JPG if PNG fails
-		img.onerror = function () {
-			if (!triedJpg) {
-				triedJpg = true;
-				img.src = 'backgroundtexture.jpg'; // Fallback to JPG format
-			}
-		};
-		
-		// Start loading with PNG first (better quality, smaller file size)
-		img.src = 'backgroundtexture.png';
-	})();
-
-	// Ground/teeth image loading
-	// This represents the bottom of the mouth with teeth
-	const groundImg = new Image();
-	let groundLoaded = false; // Track loading state
-	
-	groundImg.onload = function () { 
-		groundLoaded = true;
-		// Redraw landing page when ground loads to show the teeth
-		if (showLanding) {
-			drawLanding();
+// EFFECTS
+// Particles, shake, flash and the death animation (src/effects.js); split screen's second
+// course has its own, so a crash only shakes the half it happened in
+const effects = createEffects({
+	reducedMotion: resolveToggle(settings.effects.reducedMotion, reducedMotionQuery.matches),
+});
+const splitEffects = createEffects({ reducedMotion: effects.reducedMotion });
+
+// The courses on screen, left to right: { game, effects }
+function courses() {
+	const main = { game, effects };
+	return runMode === 'split' ? [main, { game: splitGame, effects: splitEffects }] : [main];
+}
+
+// Whether every course of the run has ended
+function runOver() {
+	return courses().every(function (course) {
+		return course.game.isGameOver;
+	});
+}
+
+// Whether a death animation is still playing anywhere
+function isDying() {
+	return effects.isDying() || splitEffects.isDying();
+}
+
+[[game, effects], [splitGame, splitEffects]].forEach(function (pair) {
+	const g = pair[0];
+	const fx = pair[1];
+	g.events.on('flap', function (e) {
+		const tongue = g.tongues[e.player];
+		fx.burst('flap', tongue.mouthX + MOUTH_SIZE * 0.2, tongue.mouthY + MOUTH_SIZE * 0.7);
+	});
+	g.events.on('score', function (e) {
+		const tongue = g.tongues[e.player];
+		fx.burst('score', tongue.mouthX + MOUTH_SIZE / 2, tongue.mouthY);
+	});
+	g.events.on('pickup', function (e) {
+		if (e.kind === 'powerup') {
+			fx.burst('score', e.x, e.y);
 		}
-	};
-	groundImg.src = 'teethbackground.png';
-
-	// Mouth/tongue image loading
-	// The main character is a tongue instead of a traditional bird
-	const mouthImg = new Image();
-	mouthImg.src = 'tongue-img.png';
-
-	// Optional additional tongue image support
-	// This allows for dynamic tongue images from the HTML DOM
-	// Reference: DOM manipulation, optional image handling
-	/** @type {HTMLImageElement|null} */
-	const tongueImg = (function(){
-		const el = document.getElementById('tongue-img');
-		// Return the element only if it exists and is an image
-		return el instanceof HTMLImageElement ? el : null;
-	})();
-
-	// GAME CONSTANTS AND CONFIGURATION
-	
-	// Physics and gameplay constants
-	// These values control the game's feel and difficulty
-	// Reference: Game design principles, physics simulation basics
-	const GRAVITY = 0.45;           // How fast the mouth falls (pixels per frame)
-	const FLAP_STRENGTH = -7.5;     // How much upward force a flap provides (negative = up)
-	const PIPE_GAP_MIN = 140;       // Minimum space between top and bottom pipes
-	const PIPE_GAP_MAX = 200;       // Maximum space between top and bottom pipes
-	const PIPE_WIDTH = 70;          // Width of each pipe (teeth)
-	const PIPE_INTERVAL_MS = 1400;  // Time between new pipes spawning (milliseconds)
-	const SCROLL_SPEED = 2.6;       // How fast everything moves left (pixels per frame)
-	const MOUTH_SIZE = 32;          // Size of the mouth/tongue sprite
-	const GROUND_HEIGHT = 80;       // Height of the ground/teeth area
-
-	// GAME STATE VARIABLES	
-	// Tongue position and physics
-	let mouthY = canvas.height / 2;  // Vertical position (starts at center)
-	let mouthX = canvas.width * 0.28; // Horizontal position (28% from left)
-	let mouthVelY = 0;               // Vertical velocity (speed of falling/rising)
-	
-	// Teeth management
-	let pipes = [];                 // Array storing all active teeth obstacles
-	let lastPipeAt = 0;             // Timestamp of last teeth spawn
-	
-	// Scoring and game state
-	let score = 0;                  // Current game score
-	let best = Number(localStorage.getItem('mouth_trap_best') || 0); // Best score from localStorage
-	let isRunning = false;          // Whether the game loop is active
-	let isGameOver = false;         // Whether the game has ended
-	let lastTimestamp = 0;          // Last frame timestamp for smooth animation
-	let backgroundOffset = 0;       // Background scroll position for parallax effect
-
-	// CORE GAME FUNCTIONS
-
-	// Reset all game state to initial values
-	// Called when starting a new game or restarting after game over
-	// Reference: Game state management, initialization patterns
-	function resetGame() {
-		mouthY = canvas.height / 2;     // Reset tongue to center vertically
-		mouthX = canvas.width * 0.28;   // Reset tongue to 28% from left
-		mouthVelY = 0;                  // Stop all vertical movement
-		pipes = [];                    // Clear all teeth obstacles
-		lastPipeAt = 0;                // Reset teeth spawn timer
-		score = 0;                     // Reset score to zero
-		isGameOver = false;            // Mark game as active
-		backgroundOffset = 0;          // Reset background scroll position
-	}
-
-	// Handle tongue movement (jumping) action
-	// This is the main player input function
-	// Reference: Input handling, game loop initialization
-	function flap() {
-		// If game isn't running yet, start it
-		if (!isRunning) {
-			isRunning = true;
-			lastTimestamp = performance.now(); // Record start time
-			requestAnimationFrame(gameLoop);   // Begin game loop
-		}
-		
-		// If game is over, restart instead of moving
-		if (isGameOver) {
-			resetGame();
-			return;
+	});
+	g.events.on('powerupend', function (e) {
+		if (e.reason === 'used') {
+			const tongue = g.tongues[e.player];
+			fx.burst('hit', tongue.mouthX + MOUTH_SIZE / 2, tongue.mouthY + MOUTH_SIZE / 2);
 		}
-		
-		// Apply upward force to the tongue
-		mouthVelY = FLAP_STRENGTH; // Negative value = upward movement
-	}
-
-	// Create a new teeth obstacle
-	// Generates random gap size and position within safe bounds
-	// Reference: Procedural generation, collision detection setup
-	function spawnPipe() {
-		// Calculate random gap size between min and max
-		const gap = PIPE_GAP_MIN + Math.random() * (PIPE_GAP_MAX - PIPE_GAP_MIN);
-		
-		// Define safe boundaries for teeth placement
-		const topLimit = 40;                                    // Minimum distance from top
-		const bottomLimit = canvas.height - GROUND_HEIGHT - 40 - gap; // Maximum distance from ground
-		
-		// Randomly position the top teeth within safe bounds
-		const topHeight = topLimit + Math.random() * (bottomLimit - topLimit);
-		
-		// Start teeth off-screen to the right
-		const x = canvas.width + PIPE_WIDTH;
-		
-		// Add new teeth to the pipes array
-		pipes.push({
-			x,                    // Horizontal position
-			width: PIPE_WIDTH,    // Teeth width
-			topHeight,            // Height of top teeth
-			gap,                  // Space between top and bottom teeth
-			passed: false,        // Whether tongue has passed this teeth (for scoring)
-		});
+	});
+	// In a race the first tongue out just stops; the death animation is for the last one
+	g.events.on('collision', function (e) {
+		const tongue = g.tongues[e.player];
+		const x = tongue.mouthX + MOUTH_SIZE / 2;
+		const y = tongue.mouthY + MOUTH_SIZE / 2;
+		fx.burst('hit', x, y);
+		if (g.isGameOver) {
+			fx.crash(x, y, tiltFor(tongue.mouthVelY));
+		}
+	});
+});
+
+// Put the assist options into effect after a change (or a system setting change)
+function applyAssist() {
+	const reduced = resolveToggle(settings.effects.reducedMotion, reducedMotionQuery.matches);
+	if (reduced !== effects.reducedMotion) {
+		for (const fx of [effects, splitEffects]) {
+			fx.reducedMotion = reduced;
+			fx.reset();
+		}
+	}
+	highContrast = resolveToggle(settings.effects.highContrast, highContrastQuery.matches);
+	document.body.classList.toggle('high-contrast', highContrast);
+	if (screen.is(STATES.LANDING)) {
+		drawLanding();
+	}
+}
+
+// Save the settings and put them into effect
+function changeSettings() {
+	saveSettings(localStorage, settings);
+	audio.setMuted(settings.audio.muted); // Any audio setter re-applies every level
+	applyAssist();
+}
+
+[reducedMotionQuery, highContrastQuery].forEach(function (query) {
+	if (query.addEventListener) {
+		query.addEventListener('change', applyAssist);
+	}
+});
+applyAssist();
+
+function toggleReducedMotion() {
+	settings.effects.reducedMotion = effects.reducedMotion ? 'off' : 'on';
+	changeSettings();
+	showToast(effectsStatus());
+}
+
+function effectsStatus() {
+	return 'EFFECTS ' + (effects.reducedMotion ? 'OFF' : 'ON');
+}
+
+// The browser only lets audio start from a user gesture
+['pointerdown', 'keydown', 'touchstart'].forEach(function (type) {
+	document.addEventListener(type, audio.unlock, { passive: true });
+});
+
+// Apply a sound setting change, save it and say what happened
+// Handles the mute, music, volumeDown and volumeUp actions
+function onAudioAction(action) {
+	const levels = settings.audio;
+	if (action === 'mute') {
+		audio.setMuted(!levels.muted);
+	} else if (action === 'music') {
+		audio.setMusic(!levels.music);
+	} else if (action === 'volumeDown' || action === 'volumeUp') {
+		audio.setVolume(levels.volume + (action === 'volumeDown' ? -0.1 : 0.1));
+		audio.setMuted(false);
+	} else {
+		return false;
 	}
+	saveSettings(localStorage, settings);
+	showToast(audioStatus());
+	return true;
+}
 
-	// Check if two rectangles overlap (collision detection)
-	// Used to detect tongue collision with teeth and ground
-	// Reference: AABB (Axis-Aligned Bounding Box) collision detection
-	function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh) {
-		// Standard AABB collision formula
-		// Two rectangles overlap if they intersect on both X and Y axes
-		return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+// Flash a setting change over the game (and refresh the landing page, which shows settings)
+function showToast(text) {
+	toast = { text, until: performance.now() + 1500 };
+	if (screen.is(STATES.LANDING)) {
+		drawLanding();
 	}
+}
+
+// Short description of the sound settings, e.g. 'SOUND 80%  MUSIC ON'
+function audioStatus() {
+	const levels = settings.audio;
+	const sound = levels.muted ? 'MUTED' : 'SOUND ' + Math.round(levels.volume * 100) + '%';
+	return sound + '  MUSIC ' + (levels.music ? 'ON' : 'OFF');
+}
 
-	function update(dt) {
-		if (isGameOver) return;
+// SCREEN READER SUPPORT
+// Everything painted on the canvas that matters is also said through a live region
+// (#announcer) or kept as text in #game-hud, and every canvas button has a real button
+// laid over it (see syncLandingControls)
+// Reference: WAI-ARIA live regions (role="status"), WAI-ARIA Authoring Practices
+const announcer = document.getElementById('announcer');
+const gameHud = document.getElementById('game-hud');
 
-		// Physics
-		mouthVelY += GRAVITY;
-		mouthY += mouthVelY;
+function announce(text) {
+	announcer.textContent = text;
+}
 
-		// Ground and ceiling
-		if (mouthY < 0) {
-			mouthY = 0;
-			mouthVelY = 0;
+// Text version of the HUD
+function updateHud() {
+	const level = DIFFICULTY_PRESETS[game.difficulty].label.toLowerCase();
+	if (runMode !== 'solo') {
+		gameHud.textContent = raceScores().map(function (score, i) {
+			return 'Player ' + (i + 1) + ' ' + score + '. ';
+		}).join('') + level + '.';
+		return;
+	}
+	gameHud.textContent = 'Score ' + game.score + '. Best ' + scores.best[game.difficulty] + '. '
+		+ level + (runAssisted ? ', assisted' : '') + '.';
+}
+
+[game, splitGame].forEach(function (g) {
+	g.events.on('score', function (e) {
+		updateHud();
+		const who = runMode === 'solo' ? '' : 'Player ' + playerNumber(g, e.player) + ' ';
+		announce(who + (e.bonus ? 'bonus! Score ' + e.score : 'score ' + e.score));
+	});
+	g.events.on('pickup', function (e) {
+		if (e.kind === 'powerup') {
+			const who = runMode === 'solo' ? '' : 'Player ' + playerNumber(g, e.player) + ' ';
+			announce(who + ENTITY_TYPES[e.type].label.toLowerCase() + ' on');
 		}
-		const groundY = canvas.height - GROUND_HEIGHT - MOUTH_SIZE;
-		if (mouthY > groundY) {
-			mouthY = groundY;
-			isGameOver = true;
+	});
+});
+game.events.on('gameover', function (e) {
+	if (runMode !== 'solo' || botRun === 'demo') return;
+	announce('Game over. Score ' + e.score + '. Best ' + scores.best[e.difficulty] + '.');
+});
+[game, splitGame].forEach(function (g) {
+	g.events.on('gameover', function () {
+		if (runMode !== 'solo' && runOver()) {
+			const result = raceResult();
+			announce(result[0] + result.slice(1).toLowerCase() + '. ' + raceScores().map(function (score, i) {
+				return 'Player ' + (i + 1) + ' ' + score + '.';
+			}).join(' '));
 		}
+	});
+});
+screen.on('change', function (e) {
+	if (e.to === STATES.READY && runMode !== 'solo') {
+		announce('Ready. Player 1 presses ' + firstKey('flap') + ', player 2 presses ' + firstKey('flap2') + ', or tap your half of the screen.');
+	} else if (e.to === STATES.READY) {
+		announce('Ready. Press ' + firstKey('flap') + ' or tap to flap.');
+	} else if (e.to === STATES.PAUSED) {
+		announce('Paused.');
+	} else if (e.to === STATES.PLAYING && e.from === STATES.PAUSED) {
+		announce('Resumed.');
+	}
+});
 
-		// Pipes
-		backgroundOffset = (backgroundOffset + SCROLL_SPEED) % canvas.width;
-		for (let i = pipes.length - 1; i >= 0; i--) {
-			const p = pipes[i];
-			p.x -= SCROLL_SPEED;
-			if (p.x + p.width < -10) {
-				pipes.splice(i, 1);
-				continue;
-			}
+// Keep the stored best score up to date as points come in (replays, two-player runs and
+// assisted runs don't count)
+game.events.on('score', function (e) {
+	if (!e.replay && runMode === 'solo' && !runAssisted && e.score > scores.best[game.difficulty]) {
+		scores.best[game.difficulty] = e.score;
+		saveScores(localStorage, scores);
+	}
+});
 
-			// Scoring when mouth passes pipe center
-			const mouthCenter = mouthX + MOUTH_SIZE / 2;
-			const pipeCenter = p.x + p.width / 2;
-			if (!p.passed && pipeCenter < mouthCenter) {
-				p.passed = true;
-				score++;
-				if (score > best) {
-					best = score;
-					localStorage.setItem('mouth_trap_best', String(best));
-				}
-			}
+// File every finished live run and ask for a name when it makes a board
+// Office submissions reuse the last name typed, so the prompt only appears for them once
+game.events.on('gameover', function (e) {
+	if (e.replay || runMode !== 'solo') return;
+	const local = qualifies(scores, e.difficulty, e.score);
+	const assisted = runAssisted;
+	const entry = recordRun(scores, { ...e, assisted });
+	saveScores(localStorage, scores);
+	// The office board only compares unassisted runs
+	officeStatus = officeBoard && assisted && e.score > 0 ? 'ASSISTED RUNS STAY OFF THE OFFICE BOARD' : '';
+	if (!entry) return;
+	const pending = { entry, run: e.run, local, office: Boolean(officeBoard) && e.score > 0 && !assisted };
+	if (local || (pending.office && !scores.lastName)) {
+		openNameEntry(pending);
+	} else if (pending.office) {
+		submitEntry(pending, scores.lastName);
+	}
+});
 
-			// Collision
-			const mouthTop = mouthY;
-			const mouthBottom = mouthY + MOUTH_SIZE;
-			const topRectCollide = rectsOverlap(
-				mouthX,
-				mouthTop,
-				MOUTH_SIZE,
-				MOUTH_SIZE,
-				p.x,
-				0,
-				p.width,
-				p.topHeight
-			);
-			const bottomRectCollide = rectsOverlap(
-				mouthX,
-				mouthTop,
-				MOUTH_SIZE,
-				MOUTH_SIZE,
-				p.x,
-				p.topHeight + p.gap,
-				p.width,
-				canvas.height - GROUND_HEIGHT - (p.topHeight + p.gap)
-			);
-			if (topRectCollide || bottomRectCollide) {
-				isGameOver = true;
-			}
+// A replay that didn't end on its recorded score was played by different rules than it was
+// recorded with (usually an older version of the game)
+game.events.on('gameover', function (e) {
+	if (e.diverged) {
+		console.warn('Replay diverged: recorded score ' + e.run.score + ', replayed score ' + e.score);
+	}
+});
+
+// Send a named run to the boards it belongs on
+function submitEntry(pending, name) {
+	if (pending.local) {
+		pending.entry.name = name;
+		localBoard.submit(pending.entry);
+	} else {
+		scores.lastName = cleanName(name);
+		saveScores(localStorage, scores);
+	}
+	if (!pending.office) return;
+	officeStatus = 'SENDING TO OFFICE BOARD...';
+	officeBoard.submit({ ...pending.entry, name: cleanName(name), run: pending.run }).then(function (result) {
+		if (result.ok) {
+			officeStatus = result.rank ? 'OFFICE BOARD #' + result.rank : 'SENT TO OFFICE BOARD';
+		} else if (result.queued) {
+			officeStatus = 'OFFLINE: SCORE WILL BE SENT LATER';
+		} else {
+			officeStatus = 'OFFICE BOARD REJECTED SCORE';
+			console.warn('Office board rejected score: ' + result.error);
 		}
+	});
+}
+
+// Count the run into the lifetime stats; each unlock gets its own toast over the game
+const statsTracker = trackStats(game, stats, {
+	counts: function () {
+		return runMode === 'solo';
+	},
+	onUnlock: function (unlocked) {
+		const labels = unlocked.map(function (achievement) {
+			unlockToasts.push({ achievement, until: null });
+			return achievement.label.toLowerCase();
+		});
+		// Unlocks at the end of a run follow the final score rather than replacing it
+		const said = 'Achievement unlocked: ' + labels.join(', ') + '.';
+		announce(game.isGameOver ? announcer.textContent + ' ' + said : said);
+		saveStats(localStorage, stats);
+	},
+	onRunEnd: function () {
+		saveStats(localStorage, stats);
+	},
+});
 
-		// Spawn pipes
-		lastPipeAt += dt;
-		if (lastPipeAt > PIPE_INTERVAL_MS) {
-			spawnPipe();
-			lastPipeAt = 0;
+// Deliver scores queued while offline
+if (officeBoard) {
+	officeBoard.flush();
+	window.addEventListener('online', function () {
+		officeBoard.flush();
+	});
+}
+
+// Start a new live run in the fixed world with the current mode, preset, assist options and physics
+// Runs with an assist or changed physics are marked assisted
+// Split screen starts both courses on the same seed so both players face the same teeth
+let runAssisted = false;
+function newRun() {
+	runMode = settings.game.mode;
+	botRun = null;
+	resizeCanvas();
+	const options = {
+		width: WORLD_WIDTH,
+		height: WORLD_HEIGHT,
+		seed: randomSeed(),
+		difficulty: settings.game.difficulty,
+		gapScale: settings.game.gapScale,
+		physics: settings.physics,
+		players: runMode === 'race' ? 2 : 1,
+		hitboxMode,
+	};
+	resetGame(game, options);
+	if (runMode === 'split') {
+		resetGame(splitGame, options);
+	}
+	runAssisted = isAssisted(settings.game) || !isDefaultPhysics(settings.physics);
+	statsTracker.startRun();
+	effects.reset();
+	splitEffects.reset();
+	flapBuffer.clear();
+	updateHud();
+}
+
+// End of a run: show the game over screen once every course is over
+[game, splitGame].forEach(function (g) {
+	g.events.on('gameover', function () {
+		if (runOver()) {
+			screen.tryGo(STATES.GAME_OVER);
 		}
+	});
+});
+
+// Final scores of a two-player run, player 1 first
+function raceScores() {
+	return raceTongues().map(function (tongue) {
+		return tongue.score;
+	});
+}
+
+function raceTongues() {
+	return runMode === 'split' ? [game.tongues[0], splitGame.tongues[0]] : game.tongues;
+}
+
+// Who won a two-player run, e.g. 'PLAYER 2 WINS' (see raceWinner in src/game.js)
+function raceResult() {
+	const winner = raceWinner(raceTongues());
+	return winner === null ? 'DRAW' : 'PLAYER ' + (winner + 1) + ' WINS';
+}
+
+// Flap for player 0 or 1; alone, player 2's keys flap too
+function flapPlayer(player) {
+	if (runMode === 'split') {
+		flap(player ? splitGame : game, 0);
+	} else {
+		flap(game, runMode === 'race' ? player : 0);
 	}
+}
 
-	function draw() {
-		// Background (covers entire canvas including ground)
-		if (bgPattern) {
-			ctx.globalAlpha = 0.6;
-			ctx.fillStyle = bgPattern;
-			ctx.fillRect(0, 0, canvas.width, canvas.height);
-			ctx.globalAlpha = 1.0;
+// Handle a player's flap input (player 0 is player 1)
+// The first flap starts the run; after game over or during a replay it restarts,
+// and while paused it asks to resume instead
+function onFlap(player = 0) {
+	switch (screen.state) {
+	case STATES.READY:
+		screen.go(STATES.PLAYING);
+		flapPlayer(player);
+		break;
+	case STATES.PLAYING:
+		// Input during a replay hands control back to the player
+		if (game.replay) {
+			newRun();
 		} else {
-			// Fallback sky
-			ctx.fillStyle = '#70c5ce';
-			ctx.fillRect(0, 0, canvas.width, canvas.height);
-			ctx.fillStyle = '#8be0ec';
-			for (let x = 0; x < canvas.width; x += 120) {
-				ctx.fillRect(x, 120, 60, 10);
-			}
+			flapPlayer(player);
+		}
+		break;
+	case STATES.PAUSED:
+		requestResume();
+		break;
+	case STATES.GAME_OVER:
+		// Let the death animation play out and the name be typed first; a flap near the
+		// end of the animation is kept and starts the next run as soon as it's over
+		if (pendingEntry) break;
+		if (isDying()) {
+			flapBuffer.press(performance.now());
+			break;
 		}
+		// Restart instead of moving
+		newRun();
+		screen.go(STATES.PLAYING);
+		break;
+	}
+}
 
-		// Ground (teeth strip over background)
-		if (typeof groundImg !== 'undefined' && groundImg.complete) {
-			ctx.drawImage(groundImg, 0, canvas.height - GROUND_HEIGHT, canvas.width, GROUND_HEIGHT);
+// Begin the game loop if it isn't already going
+// The loop keeps drawing in every state; only PLAYING advances the simulation
+function startLoop() {
+	if (loopStarted) return;
+	loopStarted = true;
+	lastTimestamp = performance.now(); // Record start time
+	requestAnimationFrame(gameLoop);   // Begin game loop
+}
+
+// Play a recorded run back through the normal update/draw path
+// bot is 'demo' or 'hint' for runs the autopilot played (see ATTRACT MODE AND SHOW ME)
+function startReplay(run, bot = null) {
+	if (!run) return;
+	runMode = 'solo';
+	botRun = bot;
+	resizeCanvas();
+	resetGame(game, { run });
+	effects.reset();
+	if (!screen.is(STATES.PLAYING)) {
+		screen.go(STATES.PLAYING);
+	}
+}
+
+// PAUSE AND RESUME
+// Pausing freezes the simulation straight away; resuming runs a short countdown first
+// so the player has time to get ready. Losing focus or hiding the tab always pauses.
+// Reference: Page Visibility API, window blur events
+
+function pauseGame(reason) {
+	resumeCountdown = null;
+	if (screen.is(STATES.PLAYING)) {
+		screen.go(STATES.PAUSED, { reason });
+	}
+}
+
+// Start (or restart) the countdown back to PLAYING
+function requestResume() {
+	if (!screen.is(STATES.PAUSED) || resumeCountdown !== null) return;
+	resumeCountdown = RESUME_COUNTDOWN_MS;
+}
+
+// P / Escape: pause while playing, resume while paused, cancel a running countdown
+function togglePause() {
+	if (screen.is(STATES.PLAYING)) {
+		pauseGame('key');
+	} else if (screen.is(STATES.PAUSED)) {
+		if (resumeCountdown === null) {
+			requestResume();
+		} else {
+			resumeCountdown = null;
 		}
+	}
+}
+
+document.addEventListener('visibilitychange', function () {
+	if (document.hidden) {
+		pauseGame('hidden');
+	}
+});
+window.addEventListener('blur', function () {
+	pauseGame('blur');
+});
+
+// Linear interpolation between two values
+function lerp(a, b, t) {
+	return a + (b - a) * t;
+}
+
+// Render the current state
+// alpha is the fraction of a step elapsed since the last simulation step;
+// moving objects are drawn between their previous and current positions
+function draw(alpha = 1) {
+	// The whole screen in world units: the run's world, or two of them side by side for split screen
+	const shown = courses();
+	const size = { width: world.width * shown.length, height: world.height };
+
+	// Map it onto the canvas, letterboxed if it has another shape (old replays)
+	const view = worldTransform(canvas.width, canvas.height, size);
+	ctx.save();
+	ctx.setTransform(1, 0, 0, 1, 0, 0);
+	ctx.fillStyle = '#0b1820';
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+	ctx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+	ctx.beginPath();
+	ctx.rect(0, 0, size.width, size.height);
+	ctx.clip();
 
-		// Top teeth strip (flipped vertically)
-		if (typeof groundImg !== 'undefined' && groundImg.complete) {
-			ctx.save();
-			ctx.scale(1, -1);
-			ctx.drawImage(groundImg, 0, -GROUND_HEIGHT, canvas.width, GROUND_HEIGHT);
-			ctx.restore();
+	shown.forEach(function (course, i) {
+		ctx.save();
+		ctx.translate(world.width * i, 0);
+		drawCourse(course.game, course.effects, alpha);
+		ctx.restore();
+	});
+	if (shown.length > 1) {
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect(world.width - 2, 0, 4, world.height);
+	}
+
+	ctx.fillStyle = '#ffffff';
+	if (screen.is(STATES.READY)) {
+		ctx.textAlign = 'center';
+		ctx.font = 'bold 24px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		if (runMode === 'solo') {
+			ctx.fillText('CLICK OR PRESS ' + firstKey('flap') + ' TO START', size.width / 2, size.height * 0.42);
+		} else {
+			ctx.fillText('P1: ' + firstKey('flap') + '   P2: ' + firstKey('flap2'), size.width / 2, size.height * 0.42);
+			ctx.font = 'bold 16px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+			ctx.fillText('OR TAP YOUR HALF OF THE SCREEN TO START', size.width / 2, size.height * 0.42 + 28);
 		}
+	}
 
-		// Pipes
-		for (const p of pipes) {
+	if (toast && performance.now() < toast.until) {
+		ctx.textAlign = 'right';
+		ctx.font = 'bold 14px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText(toast.text, size.width - 18, size.height - GROUND_HEIGHT - 16);
+	}
+
+	drawUnlockToast(size);
+
+	if (screen.is(STATES.PAUSED)) {
+		drawPausedOverlay(size);
+	}
+
+	// The game over screen waits for the death animation; a two-player run names the winner
+	// The demo goes straight back to the title instead
+	const gameOverShown = screen.is(STATES.GAME_OVER) && !isDying() && botRun !== 'demo';
+	if (gameOverShown) {
+		ctx.textAlign = 'center';
+		ctx.font = 'bold 36px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillStyle = '#ffffff';
+		if (runMode === 'solo') {
+			ctx.fillText('GAME OVER', size.width / 2, size.height * 0.45);
+		} else {
 			ctx.fillStyle = '#fff200';
-			ctx.fillRect(p.x, 0, p.width, p.topHeight);
-			ctx.fillRect(
-				p.x,
-				p.topHeight + p.gap,
-				p.width,
-				canvas.height - GROUND_HEIGHT - (p.topHeight + p.gap)
+			ctx.fillText(raceResult(), size.width / 2, size.height * 0.4);
+			ctx.fillStyle = '#ffffff';
+			ctx.font = 'bold 24px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+			ctx.fillText(raceScores().map(function (score, i) {
+				return 'P' + (i + 1) + ' ' + score;
+			}).join('   '), size.width / 2, size.height * 0.45);
+		}
+	}
+
+	// The name form covers the restart hints until it's dealt with
+	if (gameOverShown && !pendingEntry) {
+		ctx.font = 'bold 20px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText('CLICK OR PRESS ' + firstKey('flap') + ' TO RESTART', size.width / 2, size.height * 0.52);
+		ctx.font = 'bold 14px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		if (runMode === 'solo') {
+			ctx.fillText(
+				firstKey('replay') + ': WATCH REPLAY   ' + firstKey('exportRun') + ': EXPORT RUN   ' + firstKey('importRun') + ': IMPORT RUN',
+				size.width / 2,
+				size.height * 0.57
 			);
-			// Pipe lips
-			ctx.fillStyle = '#e0c700';
-			ctx.fillRect(p.x - 4, p.topHeight - 10, p.width + 8, 10);
-			ctx.fillRect(p.x - 4, p.topHeight + p.gap, p.width + 8, 10);
 		}
+		if (officeStatus) {
+			ctx.fillText(officeStatus, size.width / 2, size.height * 0.62);
+		}
+	}
 
-		// Mouth
-		ctx.save();
-		ctx.translate(mouthX + MOUTH_SIZE / 2, mouthY + MOUTH_SIZE / 2);
-		const tilt = Math.max(-0.5, Math.min(1.0, mouthVelY / 9));
-		ctx.rotate(tilt);
-		if (mouthImg.complete) {
-			ctx.drawImage(mouthImg, -MOUTH_SIZE / 2, -MOUTH_SIZE / 2, MOUTH_SIZE, MOUTH_SIZE);
-		} else {
-			// Fallback vector mouth
-			ctx.fillStyle = '#ffd166';
-			ctx.beginPath();
-			ctx.arc(0, 0, MOUTH_SIZE / 2, 0, Math.PI * 2);
-			ctx.fill();
-			ctx.fillStyle = '#000';
-			ctx.beginPath();
-			ctx.arc(MOUTH_SIZE / 6, -MOUTH_SIZE / 6, 3, 0, Math.PI * 2);
-			ctx.fill();
-			// Tongue overlay only in fallback mode
-			const tongueW = 12;
-			const tongueH = 8;
-			const tongueX = MOUTH_SIZE / 2 - 4;
-			const tongueY = -tongueH / 2;
-			if (tongueImg && tongueImg.complete) {
-				try {
-					ctx.drawImage(tongueImg, tongueX, tongueY, tongueW, tongueH);
-				} catch (_) {
-					ctx.fillStyle = '#ff6b6b';
-					ctx.fillRect(tongueX, tongueY, tongueW, tongueH);
-				}
-			} else {
+	if (game.replay) {
+		ctx.textAlign = 'right';
+		ctx.font = 'bold 18px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText(botRun === 'demo' ? 'DEMO' : botRun === 'hint' ? 'AUTOPILOT #' + game.replay.run.seed : 'REPLAY #' + game.replay.run.seed, size.width - 18, 36);
+	}
+	if (botRun === 'demo') {
+		ctx.textAlign = 'center';
+		ctx.font = 'bold 16px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText('PRESS ANY KEY', size.width / 2, size.height - GROUND_HEIGHT - 16);
+	}
+
+	ctx.restore();
+}
+
+// The oldest waiting achievement, as a banner across the top for a few seconds
+function drawUnlockToast(size) {
+	const now = performance.now();
+	if (unlockToasts.length && unlockToasts[0].until !== null && now >= unlockToasts[0].until) {
+		unlockToasts.shift();
+	}
+	const shown = unlockToasts[0];
+	if (!shown) return;
+	if (shown.until === null) {
+		shown.until = now + UNLOCK_TOAST_MS;
+	}
+	const width = Math.min(size.width - 40, 320);
+	const x = (size.width - width) / 2;
+	const y = GROUND_HEIGHT + 12;
+	ctx.fillStyle = 'rgba(11, 24, 32, 0.85)';
+	ctx.fillRect(x, y, width, 64);
+	ctx.strokeStyle = '#fff200';
+	ctx.lineWidth = 2;
+	ctx.strokeRect(x, y, width, 64);
+	ctx.textAlign = 'center';
+	ctx.fillStyle = '#fff200';
+	ctx.font = 'bold 12px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.fillText('ACHIEVEMENT UNLOCKED', size.width / 2, y + 18);
+	ctx.fillStyle = '#ffffff';
+	ctx.font = 'bold 18px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.fillText(shown.achievement.label, size.width / 2, y + 40);
+	ctx.font = '12px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.fillText(shown.achievement.description.toUpperCase(), size.width / 2, y + 57);
+}
+
+// One course in its own world units: the scene, its effects and its scores
+function drawCourse(g, fx, alpha) {
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(0, 0, world.width, world.height);
+	ctx.clip();
+
+	// The scene shakes after a crash; the HUD stays put
+	const shake = fx.shakeOffset();
+	ctx.save();
+	ctx.translate(shake.x, shake.y);
+
+	// Backdrop: parallax layers and the floor and ceiling strips
+	drawBackdrop(ctx, world.width, world.height, lerp(g.prevBackgroundOffset, g.backgroundOffset, alpha));
+
+	// Pipes
+	for (const p of g.pipes) {
+		// Moving teeth are drawn between their last two positions too
+		const pipeX = lerp(p.prevX, p.x, alpha);
+		const shown = {
+			width: p.width,
+			topHeight: lerp(p.prevTopHeight, p.topHeight, alpha),
+			gap: lerp(p.prevGap, p.gap, alpha),
+			wire: p.wire,
+		};
+		drawTeeth(pipeX, shown);
+		if (p.wire) {
+			drawWire(pipeX, shown);
+		}
+	}
+
+	// Candies and power-ups
+	for (const e of g.entities) {
+		drawEntity(e, lerp(e.prevX, e.x, alpha), lerp(e.prevY, e.y, alpha));
+	}
+
+	g.tongues.forEach(function (tongue, i) {
+		drawTongue(g, fx, tongue, i, alpha);
+	});
+
+	drawParticles(fx);
+
+	if (showHitboxes) {
+		drawHitboxes(g);
+	}
+	ctx.restore();
+
+	// Collision flash
+	const flashAlpha = fx.flashAlpha();
+	if (flashAlpha > 0) {
+		ctx.fillStyle = 'rgba(255, 255, 255, ' + flashAlpha + ')';
+		ctx.fillRect(0, 0, world.width, world.height);
+	}
+
+	// UI: the score and best, or one score per player in a two-player run
+	ctx.fillStyle = '#ffffff';
+	ctx.font = 'bold 32px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.textAlign = 'left';
+	if (runMode === 'solo') {
+		ctx.fillText('SCORE: ' + g.score, 18, world.height / 2 - 20);
+		ctx.fillText('BEST: ' + scores.best[g.difficulty], 18, world.height / 2 + 20);
+	} else {
+		g.tongues.forEach(function (tongue, i) {
+			ctx.globalAlpha = tongue.isOut ? 0.5 : 1;
+			ctx.fillText('P' + playerNumber(g, i) + ': ' + tongue.score, 18, world.height / 2 - 20 + i * 40);
+		});
+		ctx.globalAlpha = 1;
+	}
+	ctx.font = 'bold 16px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.fillText(DIFFICULTY_PRESETS[g.difficulty].label, 18, world.height / 2 + 48);
+	drawPowerUpTimers(g);
+	ctx.restore();
+}
+
+// A tongue, tumbling away instead while the death animation runs
+// In a two-player run each tongue is labelled with its player, and a tongue that's out is faded
+function drawTongue(g, fx, tongue, index, alpha) {
+	const drawMouthY = lerp(tongue.prevMouthY, tongue.mouthY, alpha);
+	// The death animation belongs to the tongue that ended the run
+	const deathPose = g.isGameOver && tongue.outTick === g.tick ? fx.deathPose() : null;
+	ctx.save();
+	if (tongue.isOut && !deathPose) {
+		ctx.globalAlpha = 0.45;
+	}
+	if (deathPose) {
+		ctx.translate(deathPose.x, deathPose.y);
+		ctx.rotate(deathPose.angle);
+	} else {
+		ctx.translate(tongue.mouthX + MOUTH_SIZE / 2, drawMouthY + MOUTH_SIZE / 2);
+		ctx.rotate(tiltFor(tongue.mouthVelY));
+	}
+	// A shrunken tongue is drawn scaled down about its centre, matching its hitbox
+	const shrink = tongueSize(tongue) / MOUTH_SIZE;
+	ctx.scale(shrink, shrink);
+	const tongueSprite = themeImage(theme.tongue);
+	if (tongueSprite) {
+		ctx.drawImage(tongueSprite, -MOUTH_SIZE / 2, -MOUTH_SIZE / 2, MOUTH_SIZE, MOUTH_SIZE);
+	} else {
+		// Fallback vector mouth
+		ctx.fillStyle = '#ffd166';
+		ctx.beginPath();
+		ctx.arc(0, 0, MOUTH_SIZE / 2, 0, Math.PI * 2);
+		ctx.fill();
+		ctx.fillStyle = '#000';
+		ctx.beginPath();
+		ctx.arc(MOUTH_SIZE / 6, -MOUTH_SIZE / 6, 3, 0, Math.PI * 2);
+		ctx.fill();
+		// Tongue overlay only in fallback mode
+		const tongueW = 12;
+		const tongueH = 8;
+		const tongueX = MOUTH_SIZE / 2 - 4;
+		const tongueY = -tongueH / 2;
+		if (tongueImg && tongueImg.complete) {
+			try {
+				ctx.drawImage(tongueImg, tongueX, tongueY, tongueW, tongueH);
+			} catch (_) {
 				ctx.fillStyle = '#ff6b6b';
 				ctx.fillRect(tongueX, tongueY, tongueW, tongueH);
 			}
+		} else {
+			ctx.fillStyle = '#ff6b6b';
+			ctx.fillRect(tongueX, tongueY, tongueW, tongueH);
 		}
-		ctx.restore();
+	}
+	ctx.restore();
+	if (deathPose) return;
 
-		// UI
-		ctx.fillStyle = '#ffffff';
-		ctx.font = 'bold 32px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	// Shield bubble around the tongue
+	if (hasPowerUp(tongue, 'shield')) {
+		ctx.strokeStyle = ENTITY_TYPES.shield.color;
+		ctx.lineWidth = 3;
+		ctx.globalAlpha = 0.7;
+		ctx.beginPath();
+		ctx.arc(tongue.mouthX + MOUTH_SIZE / 2, drawMouthY + MOUTH_SIZE / 2, MOUTH_SIZE * 0.8, 0, Math.PI * 2);
+		ctx.stroke();
+		ctx.globalAlpha = 1;
+	}
+
+	if (runMode !== 'solo') {
+		ctx.fillStyle = PLAYER_COLORS[playerNumber(g, index) - 1];
+		ctx.globalAlpha = tongue.isOut ? 0.45 : 1;
+		ctx.textAlign = 'center';
+		ctx.font = 'bold 14px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText('P' + playerNumber(g, index), tongue.mouthX + MOUTH_SIZE / 2, drawMouthY - 8);
+		ctx.globalAlpha = 1;
+	}
+}
+
+// BACKDROP AND TEETH
+
+const LIP_OVERHANG = 4; // How far the lips stick out past a pipe (matches hitbox.js)
+
+// Parallax layers, then the floor and ceiling strips, scrolled `offset` pixels
+// Shared by the game and the landing page, which keeps it still
+// High contrast swaps the art for plain black with solid floor and ceiling bands;
+// reduced motion holds the parallax layers still
+function drawBackdrop(context, width, height, offset) {
+	if (highContrast) {
+		context.fillStyle = '#000000';
+		context.fillRect(0, 0, width, height);
+		context.fillStyle = '#555555';
+		context.fillRect(0, 0, width, GROUND_HEIGHT);
+		context.fillRect(0, height - GROUND_HEIGHT, width, GROUND_HEIGHT);
+		context.fillStyle = '#ffffff';
+		context.fillRect(0, GROUND_HEIGHT - 2, width, 2);
+		context.fillRect(0, height - GROUND_HEIGHT, width, 2);
+		return;
+	}
+	context.fillStyle = theme.background;
+	context.fillRect(0, 0, width, height);
+	const layerOffset = effects.reducedMotion ? 0 : offset;
+	for (const layer of theme.layers) {
+		const img = themeImage(layer.image);
+		if (!img) continue;
+		// Each copy fills the height and keeps the image's proportions
+		const tileWidth = img.naturalWidth * (height / img.naturalHeight);
+		context.globalAlpha = layer.alpha;
+		for (const x of layerTiles(layerOffset, layer.speed, tileWidth, width)) {
+			context.drawImage(img, x, 0, tileWidth, height);
+		}
+	}
+	context.globalAlpha = 1;
+	drawStrip(context, theme.ground, width, height - GROUND_HEIGHT, offset, false);
+	drawStrip(context, theme.ceiling, width, 0, offset, true);
+}
+
+// A teeth strip stretched to the view width and scrolled; flip turns it upside down
+function drawStrip(context, strip, width, y, offset, flip) {
+	const img = strip && themeImage(strip.image);
+	if (!img) return;
+	for (const x of layerTiles(offset, strip.speed, width, width)) {
+		if (flip) {
+			context.save();
+			context.scale(1, -1);
+			context.drawImage(img, x, -y - GROUND_HEIGHT, width, GROUND_HEIGHT);
+			context.restore();
+		} else {
+			context.drawImage(img, x, y, width, GROUND_HEIGHT);
+		}
+	}
+}
+
+// One pipe: two teeth facing each other across the gap
+// p only needs width, topHeight and gap
+function drawTeeth(pipeX, p) {
+	const floorY = world.height - GROUND_HEIGHT;
+	const gapBottom = p.topHeight + p.gap;
+	const teeth = theme.teeth;
+	const img = !highContrast && teeth.crop && themeImage(teeth.image);
+	if (!img) {
+		// Flat teeth when the theme has no sprite (white and yellow in high contrast)
+		ctx.fillStyle = highContrast ? '#ffffff' : teeth.color;
+		ctx.fillRect(pipeX, 0, p.width, p.topHeight);
+		ctx.fillRect(pipeX, gapBottom, p.width, floorY - gapBottom);
+		ctx.fillStyle = highContrast ? '#ffd400' : teeth.lipColor;
+		ctx.fillRect(pipeX - LIP_OVERHANG, p.topHeight - 10, p.width + LIP_OVERHANG * 2, 10);
+		ctx.fillRect(pipeX - LIP_OVERHANG, gapBottom, p.width + LIP_OVERHANG * 2, 10);
+		return;
+	}
+
+	// The sprite spans the lips so its crown lines up with the hitbox at the gap
+	const x = pipeX - LIP_OVERHANG;
+	const w = p.width + LIP_OVERHANG * 2;
+	drawSlicedTooth(img, { x, y: gapBottom, w, h: floorY - gapBottom });
+
+	// The top tooth is the same sprite flipped, crown pointing down at the gap
+	ctx.save();
+	ctx.translate(0, p.topHeight);
+	ctx.scale(1, -1);
+	drawSlicedTooth(img, { x, y: 0, w, h: p.topHeight });
+	ctx.restore();
+}
+
+// Braces wire across the gap, with a bracket where it meets each tooth
+function drawWire(pipeX, p) {
+	const y = p.topHeight + p.gap * p.wire.at;
+	const t = p.wire.thickness;
+	ctx.fillStyle = '#9aa7b0';
+	ctx.fillRect(pipeX, y - t / 2, p.width, t);
+	ctx.fillStyle = '#dfe7ec';
+	ctx.fillRect(pipeX, y - t / 2, p.width, t / 3);
+	ctx.fillStyle = '#6c7a84';
+	ctx.fillRect(pipeX + p.width / 2 - t, p.topHeight - t, t * 2, t);
+	ctx.fillRect(pipeX + p.width / 2 - t, p.topHeight + p.gap, t * 2, t);
+}
+
+function drawSlicedTooth(img, dest) {
+	const teeth = theme.teeth;
+	const rects = nineSliceRects(teeth.crop, teeth.slice, dest, { scale: dest.w / teeth.crop.w, tile: teeth.tile });
+	for (const r of rects) {
+		ctx.drawImage(img, r.sx, r.sy, r.sw, r.sh, r.dx, r.dy, r.dw, r.dh);
+	}
+}
+
+// A candy or power-up token, centred on (x, y)
+// Candies are wrapped sweets; power-ups are rings with their initial
+function drawEntity(e, x, y) {
+	const spec = ENTITY_TYPES[e.type];
+	ctx.fillStyle = spec.color;
+	if (spec.kind === 'collectible') {
+		// Wrapper ends
+		ctx.beginPath();
+		ctx.moveTo(x - e.radius * 0.6, y);
+		ctx.lineTo(x - e.radius * 1.6, y - e.radius * 0.6);
+		ctx.lineTo(x - e.radius * 1.6, y + e.radius * 0.6);
+		ctx.moveTo(x + e.radius * 0.6, y);
+		ctx.lineTo(x + e.radius * 1.6, y - e.radius * 0.6);
+		ctx.lineTo(x + e.radius * 1.6, y + e.radius * 0.6);
+		ctx.fill();
+		ctx.beginPath();
+		ctx.arc(x, y, e.radius, 0, Math.PI * 2);
+		ctx.fill();
+		return;
+	}
+	ctx.beginPath();
+	ctx.arc(x, y, e.radius, 0, Math.PI * 2);
+	ctx.fill();
+	ctx.strokeStyle = '#ffffff';
+	ctx.lineWidth = 2;
+	ctx.stroke();
+	ctx.fillStyle = '#0b1820';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.font = 'bold 12px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.fillText(spec.label[0], x, y + 1);
+	ctx.textBaseline = 'alphabetic';
+}
+
+// Running power-ups in the top left, each with a bar that empties as its time runs out
+// In a two-player run each one says whose it is
+function drawPowerUpTimers(g) {
+	const barWidth = 90;
+	const running = [];
+	g.tongues.forEach(function (tongue, i) {
+		const who = runMode === 'solo' ? '' : 'P' + playerNumber(g, i) + ' ';
+		for (const p of activePowerUps(tongue)) {
+			running.push({ ...p, label: who + p.label });
+		}
+	});
+	running.forEach(function (p, i) {
+		const y = 24 + i * 26;
+		ctx.fillStyle = p.color;
 		ctx.textAlign = 'left';
-		ctx.fillText('SCORE: ' + score, 18, canvas.height / 2 - 20);
-		ctx.fillText('BEST: ' + best, 18, canvas.height / 2 + 20);
+		ctx.font = 'bold 12px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText(p.label + ' ' + Math.ceil(p.remainingMs / 1000) + 's', 18, y);
+		ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+		ctx.fillRect(18, y + 5, barWidth, 5);
+		ctx.fillStyle = p.color;
+		ctx.fillRect(18, y + 5, barWidth * p.fraction, 5);
+	});
+	ctx.fillStyle = '#ffffff';
+}
 
-		if (!isRunning) {
-			ctx.textAlign = 'center';
-			ctx.font = 'bold 24px Roboto, system-ui, -apple-system, Segoe UI, Arial';
-			ctx.fillText('CLICK OR PRESS SPACE TO START', canvas.width / 2, canvas.height * 0.42);
+// Particles from the pool, faded out over their life
+function drawParticles(fx) {
+	for (const p of fx.pool.particles) {
+		if (!p.active) continue;
+		ctx.globalAlpha = 1 - p.age / p.life;
+		ctx.fillStyle = p.color;
+		if (p.shape === 'spark') {
+			// Small plus-shaped twinkle
+			ctx.fillRect(p.x - p.size / 2, p.y - 1, p.size, 2);
+			ctx.fillRect(p.x - 1, p.y - p.size / 2, 2, p.size);
+		} else {
+			ctx.beginPath();
+			ctx.arc(p.x, p.y, p.size / 2, 0, Math.PI * 2);
+			ctx.fill();
 		}
+	}
+	ctx.globalAlpha = 1;
+}
 
-		if (isGameOver) {
-			ctx.textAlign = 'center';
-			ctx.font = 'bold 36px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
-			ctx.fillStyle = '#ffffff';
-			ctx.fillText('GAME OVER', canvas.width / 2, canvas.height * 0.45);
-			ctx.font = 'bold 20px Roboto, system-ui, -apple-system, Segoe UI, Arial';
-			ctx.fillText('CLICK OR PRESS SPACE TO RESTART', canvas.width / 2, canvas.height * 0.52);
+// Dim the frozen game and show either the resume hint or the countdown
+// size is the whole screen in world units (two worlds wide in split screen)
+function drawPausedOverlay(size) {
+	ctx.fillStyle = 'rgba(11, 24, 32, 0.65)';
+	ctx.fillRect(0, 0, size.width, size.height);
+	ctx.fillStyle = '#ffffff';
+	ctx.textAlign = 'center';
+	if (resumeCountdown === null) {
+		ctx.font = 'bold 36px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText('PAUSED', size.width / 2, size.height * 0.45);
+		ctx.font = 'bold 20px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText('PRESS ' + bindings.pause.slice(0, 2).map(keyLabel).join(', ') + ' OR CLICK TO RESUME', size.width / 2, size.height * 0.52);
+	} else {
+		ctx.font = 'bold 72px Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+		ctx.fillText(String(Math.ceil(resumeCountdown / 1000)), size.width / 2, size.height * 0.5);
+	}
+}
+
+// Debug overlay: outline every collision shape as the simulation sees it
+// Drawn at the latest simulation step rather than interpolated, so it shows exactly what collides
+function drawHitboxes(g) {
+	ctx.save();
+	ctx.lineWidth = 2;
+
+	// Teeth
+	ctx.strokeStyle = '#00e5ff';
+	for (const p of g.pipes) {
+		const teeth = teethShapes(p, world.height - GROUND_HEIGHT);
+		strokeShape(teeth.top);
+		strokeShape(teeth.bottom);
+		if (teeth.wire) {
+			strokeShape(teeth.wire);
 		}
 	}
 
-	function gameLoop(timestamp) {
-		const dt = Math.min(50, timestamp - lastTimestamp);
-		lastTimestamp = timestamp;
-		update(dt);
-		draw();
-		if (isRunning) requestAnimationFrame(gameLoop);
+	// Tongues
+	ctx.strokeStyle = '#ff2bd6';
+	ctx.fillStyle = '#ff2bd6';
+	const shapes = g.tongues.map(function (tongue) {
+		return tongueHitbox(g, tongue);
+	});
+	shapes.forEach(strokeShape);
+
+	// Current mode, so it's clear which shape is in use
+	ctx.font = 'bold 14px Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	ctx.textAlign = 'left';
+	const next = g.replay || hitboxMode === g.hitboxMode ? '' : ', ' + hitboxMode.toUpperCase() + ' NEXT RUN';
+	ctx.fillText('HITBOX: ' + shapes[0].type.toUpperCase() + ' (' + firstKey('hitboxMode') + ' TO CHANGE' + next + ')', 18, world.height - GROUND_HEIGHT - 12);
+	ctx.restore();
+}
+
+function strokeShape(shape) {
+	if (shape.type === 'circle') {
+		ctx.beginPath();
+		ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+		ctx.stroke();
+	} else if (shape.type === 'mask') {
+		for (const p of shape.points) {
+			ctx.fillRect(p.x - 0.5, p.y - 0.5, 1, 1);
+		}
+	} else {
+		ctx.beginPath();
+		shape.points.forEach(function (p, i) {
+			if (i === 0) {
+				ctx.moveTo(p.x, p.y);
+			} else {
+				ctx.lineTo(p.x, p.y);
+			}
+		});
+		ctx.closePath();
+		ctx.stroke();
 	}
+}
 
-	// Input
-	function onKeyDown(e) {
-		if (e.code === 'Space' || e.key === ' ') {
-			e.preventDefault();
-			flap();
+function gameLoop(timestamp) {
+	const dt = Math.min(MAX_FRAME_MS, timestamp - lastTimestamp);
+	lastTimestamp = timestamp;
+
+	if (screen.is(STATES.PAUSED) && resumeCountdown !== null) {
+		resumeCountdown -= dt;
+		if (resumeCountdown <= 0) {
+			resumeCountdown = null;
+			screen.go(STATES.PLAYING);
 		}
 	}
-	function onPointer() {
-		flap();
+
+	// Only a running game advances; otherwise keep drawing where the last step left off
+	// The game speed assist slows the simulation clock; effects and countdowns keep real time
+	// Split screen's courses step together, so both players see the same teeth at the same time
+	const playing = screen.is(STATES.PLAYING);
+	const alpha = playing ? update(game, dt * settings.game.speed) : game.accumulator / STEP_MS;
+	if (playing && runMode === 'split') {
+		update(splitGame, dt * settings.game.speed);
+	}
+	if (!screen.is(STATES.PAUSED)) {
+		effects.update(dt);
+		splitEffects.update(dt);
+	}
+	// The name form comes up once the death animation is over
+	if (pendingEntry && nameForm.hidden && !isDying()) {
+		showNameEntry();
+	}
+	syncGameMenu();
+	// A flap buffered during the death animation restarts straight away
+	if (screen.is(STATES.GAME_OVER) && !pendingEntry && !isDying() && flapBuffer.take(timestamp)) {
+		onFlap();
 	}
-	document.addEventListener('keydown', onKeyDown);
-	canvas.addEventListener('mousedown', onPointer);
-	canvas.addEventListener('touchstart', function (e) {
+	pollGamepads();
+	// The game canvas is hidden until a run starts; the loop may already be polling gamepads
+	if (!screen.is(STATES.LOADING) && !screen.is(STATES.LANDING)) {
+		draw(alpha);
+	}
+	requestAnimationFrame(gameLoop);
+}
+
+// JSON EXPORT AND IMPORT
+// Replays and score history are shared as small JSON files
+// Reference: Blob/URL.createObjectURL downloads, FileReader API
+
+// Save text as a downloaded .json file
+function downloadJson(filename, text) {
+	const blob = new Blob([text], { type: 'application/json' });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	// Revoking straight away cancels the download in some browsers (Firefox, older Safari)
+	setTimeout(function () {
+		URL.revokeObjectURL(url);
+	}, 1000);
+}
+
+// Ask the player for a .json file and hand its text to onText
+function pickJsonFile(onText) {
+	const input = document.createElement('input');
+	input.type = 'file';
+	input.accept = 'application/json,.json';
+	input.addEventListener('change', function () {
+		const file = input.files && input.files[0];
+		if (!file) return;
+		const reader = new FileReader();
+		reader.onload = function () {
+			onText(String(reader.result));
+		};
+		reader.readAsText(file);
+	});
+	input.click();
+}
+
+// Download the last finished run as a JSON file
+// A run is the seed, the world size and the step of every flap
+function exportLastRun() {
+	const lastRun = game.lastRun;
+	if (!lastRun) return;
+	downloadJson('mouth-trap-run-' + lastRun.seed + '.json', serializeRun(lastRun));
+}
+
+// Ask for a replay file and play it back
+function importRun() {
+	pickJsonFile(function (text) {
+		let run;
+		try {
+			run = parseRun(text);
+		} catch (err) {
+			window.alert('Could not load replay: ' + err.message);
+			return;
+		}
+		game.lastRun = run;
+		startReplay(run);
+	});
+}
+
+// Download best scores, leaderboard and run history
+function exportScoreHistory() {
+	downloadJson('mouth-trap-scores.json', exportScores(scores));
+}
+
+// Merge a scores file from another browser or a backup
+function importScoreHistory() {
+	pickJsonFile(function (text) {
+		try {
+			importScores(scores, text);
+		} catch (err) {
+			window.alert('Could not load scores: ' + err.message);
+			return;
+		}
+		saveScores(localStorage, scores);
+		if (screen.is(STATES.LANDING)) {
+			drawLanding();
+		}
+	});
+}
+
+// NAME ENTRY
+// A small form over the game over screen, shown when a run makes the leaderboard
+const nameForm = document.getElementById('name-entry');
+const nameInput = document.getElementById('name-entry-input');
+const nameSkip = document.getElementById('name-entry-skip');
+nameInput.maxLength = NAME_MAX_LENGTH;
+
+// The form itself appears from the game loop once the death animation has finished
+function openNameEntry(pending) {
+	pendingEntry = pending;
+	nameInput.value = scores.lastName;
+}
+
+function showNameEntry() {
+	nameForm.hidden = false;
+	nameInput.focus();
+	nameInput.select();
+}
+
+// Close the form, saving the name unless the player skipped
+function closeNameEntry(save) {
+	if (!pendingEntry) return;
+	if (save && cleanName(nameInput.value)) {
+		submitEntry(pendingEntry, nameInput.value);
+	}
+	pendingEntry = null;
+	nameForm.hidden = true;
+	nameInput.blur();
+}
+
+nameForm.addEventListener('submit', function (e) {
+	e.preventDefault();
+	closeNameEntry(true);
+});
+nameSkip.addEventListener('click', function () {
+	closeNameEntry(false);
+});
+
+// INPUT
+// Keys and gamepad buttons go through rebindable actions (src/input.js); pointer presses
+// on the game always flap. Held keys only repeat the actions that allow it.
+// Reference: KeyboardEvent.repeat, Pointer Events, Gamepad API
+const bindings = settings.controls.bindings;
+const gamepads = createGamepadPoller();
+const flapBuffer = createFlapBuffer();
+let rebinding = null; // Action waiting for its new key on the settings screen, or null
+
+function onKeyDown(e) {
+	// Keys typed into the name form belong to the form
+	if (pendingEntry) {
+		if (e.code === 'Escape') {
+			closeNameEntry(false);
+		}
+		return;
+	}
+	if (rebinding) {
+		e.preventDefault();
+		if (!e.repeat) {
+			finishRebinding(e.code);
+		}
+		return;
+	}
+	// Enter and Space on a focused button press that button
+	if (e.target && e.target.tagName === 'BUTTON' && ['Enter', 'NumpadEnter', 'Space'].indexOf(e.code) !== -1) {
+		return;
+	}
+	const actions = actionsFor(bindings, e.code).filter(function (action) {
+		return !e.repeat || ACTIONS[action].repeat;
+	});
+	if (actions.length) {
 		e.preventDefault();
-		onPointer();
-	}, { passive: false });
-
-	// Landing page drawing function
-	function drawLanding() {
-		// Clear canvas first
-		landingCtx.clearRect(0, 0, landingCanvas.width, landingCanvas.height);
-		
-		// Background (static, covers entire canvas)
-		if (bgPattern) {
-			landingCtx.globalAlpha = 0.6;
-			landingCtx.fillStyle = bgPattern;
-			landingCtx.fillRect(0, 0, landingCanvas.width, landingCanvas.height);
-			landingCtx.globalAlpha = 1.0;
-		} else if (bgImg && bgImg.complete) {
-			// Draw background image directly if pattern creation failed
-			landingCtx.globalAlpha = 0.6;
-			landingCtx.drawImage(bgImg, 0, 0, landingCanvas.width, landingCanvas.height);
-			landingCtx.globalAlpha = 1.0;
+		onActions(actions);
+	}
+}
+
+// Buttons pressed since the last frame act like key presses (no repeat)
+// The second gamepad's flap is player 2's (see padActions)
+function pollGamepads() {
+	if (!navigator.getGamepads) return;
+	for (const press of gamepads.presses(navigator.getGamepads())) {
+		wakeTitle();
+		if (botRun === 'demo') {
+			endDemo();
+			continue;
+		}
+		if (pendingEntry) continue;
+		if (rebinding) {
+			finishRebinding(press.code);
 		} else {
-			// Fallback sky (only show if no images loaded yet)
-			landingCtx.fillStyle = '#70c5ce';
-			landingCtx.fillRect(0, 0, landingCanvas.width, landingCanvas.height);
-			landingCtx.fillStyle = '#8be0ec';
-			for (let x = 0; x < landingCanvas.width; x += 120) {
-				landingCtx.fillRect(x, 120, 60, 10);
-			}
+			onActions(padActions(actionsFor(bindings, press.code), press.pad));
 		}
+	}
+}
+
+// One key or button can mean several actions; the first that applies here wins
+function onActions(actions) {
+	for (const action of actions) {
+		if (onAction(action)) return;
+	}
+}
 
-		// Ground (teeth strip over background)
-		if (groundImg && groundImg.complete) {
-			landingCtx.drawImage(groundImg, 0, landingCanvas.height - GROUND_HEIGHT, landingCanvas.width, GROUND_HEIGHT);
+// Carry out an action if it means something on the current screen; true if it did
+function onAction(action) {
+	const landing = screen.is(STATES.LANDING);
+	const inGame = !landing && !screen.is(STATES.LOADING);
+	const betweenRuns = screen.is(STATES.READY) || screen.is(STATES.GAME_OVER);
+
+	// Sound and effects settings work on every screen
+	if (onAudioAction(action)) {
+		return true;
+	}
+	// The intro only has its START button
+	if (shownRoute && shownRoute.view === 'intro') {
+		return false;
+	}
+	switch (action) {
+	case 'reducedMotion':
+		// Particles, shake, flash and the death animation off
+		toggleReducedMotion();
+		return true;
+	case 'flap':
+	case 'flap2':
+		if (!inGame) return false;
+		onFlap(action === 'flap2' ? 1 : 0);
+		return true;
+	case 'confirm':
+		if (landing) {
+			if (landingView !== 'title') return false;
+			router.navigate({ view: 'play' });
+		} else if (!screen.is(STATES.PLAYING)) {
+			onFlap();
+		}
+		return true;
+	case 'restart':
+		return restartRun();
+	case 'pause':
+		if (!screen.is(STATES.PLAYING) && !screen.is(STATES.PAUSED)) return false;
+		togglePause();
+		return true;
+	case 'back':
+		if (gameMenuShown() && screen.is(STATES.GAME_OVER)) {
+			showLanding();
+			return true;
 		}
+		if (!landing || landingView === 'title') return false;
+		onLandingAction({ action: 'back' });
+		return true;
+	case 'left':
+	case 'right':
+		// Pick a difficulty (or leaderboard or settings tab) on the landing page
+		if (!landing || landingView === 'achievements') return false;
+		if (landingView === 'settings') {
+			const index = SETTINGS_SECTIONS.indexOf(settingsTab) + (action === 'left' ? -1 : 1);
+			onLandingAction({ action: 'settingsTab', id: SETTINGS_SECTIONS[(index + SETTINGS_SECTIONS.length) % SETTINGS_SECTIONS.length] });
+			return true;
+		}
+		{
+			const current = landingView === 'leaderboard' ? leaderboardTab : settings.game.difficulty;
+			const offset = action === 'left' ? -1 : 1;
+			const index = Math.max(0, Math.min(DIFFICULTY_IDS.length - 1, DIFFICULTY_IDS.indexOf(current) + offset));
+			onLandingAction({ action: 'difficulty', id: DIFFICULTY_IDS[index] });
+		}
+		return true;
+	case 'leaderboard':
+		if (!landing) return false;
+		onLandingAction({ action: landingView === 'leaderboard' ? 'back' : 'leaderboard' });
+		return true;
+	case 'hitboxes':
+		// Hitbox debug overlay
+		if (!inGame) return false;
+		showHitboxes = !showHitboxes;
+		return true;
+	}
 
-		// Top teeth strip (flipped vertically)
-		if (groundImg && groundImg.complete) {
-			landingCtx.save();
-			landingCtx.scale(1, -1);
-			landingCtx.drawImage(groundImg, 0, -GROUND_HEIGHT, landingCanvas.width, GROUND_HEIGHT);
-			landingCtx.restore();
+	// Replay shortcuts and hitbox mode changes only make sense between runs
+	if (!betweenRuns && !(screen.is(STATES.PLAYING) && game.replay)) return false;
+	switch (action) {
+	case 'replay':
+	case 'exportRun':
+		// Two-player runs aren't recorded
+		if (runMode !== 'solo') return false;
+		if (action === 'replay') {
+			startReplay(game.lastRun);
+		} else {
+			exportLastRun();
 		}
+		return true;
+	case 'importRun':
+		importRun();
+		return true;
+	case 'hitboxMode':
+		// A replay keeps the hitbox it was recorded with
+		if (!showHitboxes || game.replay) return false;
+		// Takes effect from the next run so recordings stay consistent
+		hitboxMode = HITBOX_MODES[(HITBOX_MODES.indexOf(hitboxMode) + 1) % HITBOX_MODES.length];
+		return true;
+	}
+	return false;
+}
 
-		// Title
-		landingCtx.fillStyle = '#ffffff';
-		landingCtx.font = 'bold 4rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+// Throw the current run away and wait for the first flap of a new one
+function restartRun() {
+	if (screen.is(STATES.LANDING) || screen.is(STATES.LOADING)) return false;
+	if (screen.is(STATES.READY) || (screen.is(STATES.GAME_OVER) && (pendingEntry || isDying()))) {
+		return true;
+	}
+	resumeCountdown = null;
+	newRun();
+	screen.go(STATES.READY);
+	return true;
+}
+
+// Bind the key or button pressed on the settings screen (Escape cancels)
+function finishRebinding(code) {
+	if (code !== 'Escape') {
+		bindKey(bindings, rebinding, code);
+		saveSettings(localStorage, settings);
+	}
+	rebinding = null;
+	drawLanding();
+}
+
+// Pointer presses on the game flap; only the main mouse button counts
+// With two players the left half of the screen is player 1's touch zone and the right half player 2's
+function onPointer(e) {
+	if (e.button > 0) return;
+	e.preventDefault();
+	const rect = canvas.getBoundingClientRect();
+	onFlap(runMode !== 'solo' && e.clientX > rect.left + rect.width / 2 ? 1 : 0);
+}
+document.addEventListener('keydown', onKeyDown);
+canvas.addEventListener('pointerdown', onPointer);
+
+// GAME MENU
+// Real buttons under the game over and pause screens: restart or resume, replay, SHOW ME
+// (the autopilot on the same course), main menu
+const gameMenu = document.getElementById('game-menu');
+const gameMenuPrimary = document.getElementById('game-menu-primary');
+const gameMenuReplay = document.getElementById('game-menu-replay');
+const gameMenuHint = document.getElementById('game-menu-hint');
+
+// Shown once the game over screen is up (after the death animation and name form), or when paused
+function gameMenuShown() {
+	if (botRun === 'demo') return false;
+	return (screen.is(STATES.GAME_OVER) && !isDying() && !pendingEntry) || screen.is(STATES.PAUSED);
+}
+
+// Called every frame; only touches the DOM when something changed
+function syncGameMenu() {
+	const shown = gameMenuShown();
+	const paused = screen.is(STATES.PAUSED);
+	if (shown === !gameMenu.hidden && gameMenu.dataset.paused === String(paused)) return;
+	gameMenu.hidden = !shown;
+	gameMenu.dataset.paused = String(paused);
+	gameMenuPrimary.textContent = paused ? 'RESUME' : 'RESTART';
+	gameMenuReplay.hidden = paused || runMode !== 'solo' || !game.lastRun;
+	gameMenuHint.hidden = gameMenuReplay.hidden;
+	if (shown) {
+		gameMenuPrimary.focus();
+	}
+}
+
+gameMenuPrimary.addEventListener('click', function () {
+	onFlap();
+});
+gameMenuReplay.addEventListener('click', function () {
+	startReplay(game.lastRun);
+});
+gameMenuHint.addEventListener('click', function () {
+	showMe(game.lastRun);
+});
+document.getElementById('game-menu-landing').addEventListener('click', function () {
+	showLanding();
+});
+
+// Leave the run for the title screen, going back through history when the title screen is
+// where the player came from
+function showLanding() {
+	router.back({ view: 'landing' });
+}
+
+// Drop the run (whatever state it's in) so the landing screens can show
+function leaveRun() {
+	resumeCountdown = null;
+	botRun = null;
+	flapBuffer.clear();
+	screen.go(STATES.LANDING);
+}
+
+// Gamepads are polled by the game loop, which is started early so they work on the menus too
+window.addEventListener('gamepadconnected', function () {
+	startLoop();
+});
+
+// Landing page drawing function
+// Drawn in world units like the game, scaled to the canvas
+function drawLanding() {
+	// Clear canvas first
+	landingCtx.setTransform(viewport.scale, 0, 0, viewport.scale, 0, 0);
+	landingCtx.clearRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
+	
+	// Backdrop, standing still
+	drawBackdrop(landingCtx, WORLD_WIDTH, WORLD_HEIGHT, 0);
+
+	// Say which art is missing instead of silently drawing flat colours
+	if (missingAssets.length) {
+		landingCtx.fillStyle = '#ff6b6b';
+		landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
 		landingCtx.textAlign = 'center';
-		landingCtx.shadowColor = 'rgba(0,0,0,0.5)';
-		landingCtx.shadowBlur = 4;
-		landingCtx.shadowOffsetX = 2;
-		landingCtx.shadowOffsetY = 2;
-		landingCtx.fillText('MOUTH TRAP', landingCanvas.width / 2, landingCanvas.height * 0.4);
-
-		// Subtitle
-		landingCtx.font = 'bold 1.2rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
-		landingCtx.shadowBlur = 2;
-		landingCtx.shadowOffsetX = 1;
-		landingCtx.shadowOffsetY = 1;
-		landingCtx.fillText('CLICK ANYWHERE TO START PLAYING!', landingCanvas.width / 2, landingCanvas.height * 0.5);
-
-		// Start button background
-		const buttonWidth = 200;
-		const buttonHeight = 60;
-		const buttonX = (landingCanvas.width - buttonWidth) / 2;
-		const buttonY = landingCanvas.height * 0.6;
-
-		// Button background (just yellow, no shadow or border)
+		landingCtx.fillText('MISSING ASSETS: ' + missingAssets.map(function (err) {
+			return err.id;
+		}).join(', '), WORLD_WIDTH / 2, GROUND_HEIGHT + 20);
+	}
+
+	landingButtons = [];
+	if (landingView === 'leaderboard') {
+		drawLeaderboard();
+	} else if (landingView === 'achievements') {
+		drawAchievements();
+	} else if (landingView === 'settings') {
+		drawSettings();
+	} else {
+		drawTitle();
+	}
+	syncLandingControls();
+}
+
+// Title screen: name, START GAME, difficulty presets and the way into the leaderboard
+function drawTitle() {
+	// Title
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.font = 'bold 3rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.textAlign = 'center';
+	landingCtx.shadowColor = 'rgba(0,0,0,0.5)';
+	landingCtx.shadowBlur = 4;
+	landingCtx.shadowOffsetX = 2;
+	landingCtx.shadowOffsetY = 2;
+	landingCtx.fillText('MOUTH TRAP', WORLD_WIDTH / 2, WORLD_HEIGHT * 0.3);
+
+	// Subtitle
+	landingCtx.font = 'bold 1.2rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.shadowBlur = 2;
+	landingCtx.shadowOffsetX = 1;
+	landingCtx.shadowOffsetY = 1;
+	landingCtx.fillText('CLICK ANYWHERE TO START PLAYING!', WORLD_WIDTH / 2, WORLD_HEIGHT * 0.37);
+
+	// Start button background
+	const buttonWidth = 200;
+	const buttonHeight = 60;
+	const buttonX = (WORLD_WIDTH - buttonWidth) / 2;
+	const buttonY = WORLD_HEIGHT * 0.42;
+
+	// Button background (just yellow, no shadow or border)
+	landingCtx.fillStyle = '#fff200';
+	landingCtx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
+
+	// Button text
+	landingCtx.fillStyle = '#000000';
+	landingCtx.font = 'bold 1.5rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.shadowColor = 'transparent';
+	landingCtx.shadowBlur = 0;
+	landingCtx.shadowOffsetX = 0;
+	landingCtx.shadowOffsetY = 0;
+	landingCtx.fillText('START GAME', WORLD_WIDTH / 2, buttonY + buttonHeight / 2 + 8);
+	landingButtons.push({ action: 'start', label: 'START GAME', x: buttonX, y: buttonY, w: buttonWidth, h: buttonHeight });
+
+	// Difficulty presets under the start button, each with its own best score
+	const presetY = buttonY + buttonHeight + 24;
+	drawPresetRow(presetY, settings.game.difficulty, function (id, button) {
+		landingCtx.fillStyle = '#ffffff';
+		landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		landingCtx.fillText('BEST ' + scores.best[id], button.x + button.w / 2, button.y + button.h + 18);
+	});
+
+	// Leaderboard, achievements, controls and settings links (controls opens the settings' controls tab)
+	const links = [['leaderboard', '', 'LEADERBOARD'], ['achievements', '', 'ACHIEVEMENTS'], ['settings', 'controls', 'CONTROLS'], ['settings', 'audio', 'SETTINGS']];
+	const linkWidth = 108;
+	links.forEach(function (link, i) {
+		drawLandingButton(
+			{ action: link[0], id: link[1], x: WORLD_WIDTH / 2 - (linkWidth * links.length + 8 * (links.length - 1)) / 2 + i * (linkWidth + 8), y: presetY + 44 + 40, w: linkWidth, h: 40 },
+			link[2],
+			false,
+			'bold 0.7rem Orbitron, system-ui, -apple-system, Segoe UI, Arial'
+		);
+	});
+
+	// One player, or two racing on one screen or side by side
+	const modeIds = Object.keys(PLAY_MODES);
+	const modeWidth = 110;
+	modeIds.forEach(function (id, i) {
+		drawLandingButton(
+			{ action: 'mode', id, x: WORLD_WIDTH / 2 - (modeWidth * modeIds.length + 8 * (modeIds.length - 1)) / 2 + i * (modeWidth + 8), y: presetY + 44 + 88, w: modeWidth, h: 32 },
+			PLAY_MODES[id].label,
+			id === settings.game.mode,
+			'bold 0.8rem Orbitron, system-ui, -apple-system, Segoe UI, Arial'
+		);
+	});
+
+	// Sound settings and their keys
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	const soundKeys = ['mute', 'music', 'volumeDown', 'volumeUp'].map(firstKey).join(' / ');
+	landingCtx.fillText(audioStatus() + '   (' + soundKeys + ')', WORLD_WIDTH / 2, presetY + 44 + 144);
+	landingCtx.fillText(effectsStatus() + '   (' + firstKey('reducedMotion') + ')', WORLD_WIDTH / 2, presetY + 44 + 164);
+	const changes = assistSummary();
+	if (changes) {
 		landingCtx.fillStyle = '#fff200';
-		landingCtx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
-
-		// Button text
-		landingCtx.fillStyle = '#000000';
-		landingCtx.font = 'bold 1.5rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
-		landingCtx.shadowColor = 'transparent';
-		landingCtx.shadowBlur = 0;
-		landingCtx.shadowOffsetX = 0;
-		landingCtx.shadowOffsetY = 0;
-		landingCtx.fillText('START GAME', landingCanvas.width / 2, buttonY + buttonHeight / 2 + 8);
-	}
-
-	// Start game function
-	function startGame() {
-		showLanding = false;
-		document.getElementById('landing-page').style.display = 'none';
-		document.getElementById('game-container').style.display = 'block';
-		// Initialize game
-		draw();
-	}
-
-	// Landing page event listeners
-	landingCanvas.addEventListener('click', startGame);
-	landingCanvas.addEventListener('touchstart', function(e) {
-		e.preventDefault();
-		startGame();
-	}, { passive: false });
+		landingCtx.fillText('ASSISTED: ' + changes, WORLD_WIDTH / 2, presetY + 44 + 184);
+	}
+	const selected = settings.game.difficulty;
+	landingCanvas.setAttribute('aria-label', 'Mouth Trap. ' + DIFFICULTY_PRESETS[selected].label.toLowerCase()
+		+ ' selected, best score ' + scores.best[selected] + ', ' + PLAY_MODES[settings.game.mode].label.toLowerCase()
+		+ '. ' + audioStatus().toLowerCase() + '.');
+}
+
+// Assists and physics changes in effect, in a few words, e.g. 'SPEED 85%  CUSTOM PHYSICS'
+// Empty when the next run plays by the standard rules
+function assistSummary() {
+	const parts = [];
+	if (settings.game.speed !== 1) parts.push('SPEED ' + assistLabel('speed', settings.game.speed));
+	if (settings.game.gapScale !== 1) parts.push('GAPS ' + assistLabel('gapScale', settings.game.gapScale));
+	if (!isDefaultPhysics(settings.physics)) parts.push('CUSTOM PHYSICS');
+	return parts.join('  ');
+}
+
+// Label of an action's first key, or '-' when it has none
+function firstKey(action) {
+	return bindings[action].length ? keyLabel(bindings[action][0]) : '-';
+}
+
+// Settings screen: a tab per section of SETTINGS_SCHEMA, each setting with buttons to step
+// it down and up; the controls tab lists every action with its keys instead
+const SETTINGS_NOTES = {
+	game: ['RUNS WITH SPEED OR GAP ASSIST ARE MARKED * ON THE LEADERBOARD'],
+	effects: ['AUTO FOLLOWS YOUR SYSTEM SETTINGS'],
+	physics: ['EXPERIMENTAL: RUNS WITH CHANGED PHYSICS ARE MARKED *', 'ON THE LEADERBOARD AND STAY OFF THE OFFICE BOARD'],
+};
+function drawSettings() {
+	const width = WORLD_WIDTH;
+	const tableWidth = Math.min(width - 40, 440);
+	const left = (width - tableWidth) / 2;
+
+	landingCtx.fillStyle = 'rgba(11, 24, 32, 0.75)';
+	landingCtx.fillRect(left - 12, GROUND_HEIGHT, tableWidth + 24, WORLD_HEIGHT - GROUND_HEIGHT * 2);
+
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.textAlign = 'center';
+	landingCtx.font = 'bold 2rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText('SETTINGS', width / 2, GROUND_HEIGHT + 40);
+
+	// One tab per section
+	const tabGap = 4;
+	const tabWidth = (tableWidth - tabGap * (SETTINGS_SECTIONS.length - 1)) / SETTINGS_SECTIONS.length;
+	SETTINGS_SECTIONS.forEach(function (section, i) {
+		drawLandingButton(
+			{ action: 'settingsTab', id: section, x: left + i * (tabWidth + tabGap), y: GROUND_HEIGHT + 52, w: tabWidth, h: 32 },
+			SETTINGS_SCHEMA[section].label,
+			section === settingsTab,
+			'bold 0.8rem Orbitron, system-ui, -apple-system, Segoe UI, Arial'
+		);
+	});
+
+	const bodyY = GROUND_HEIGHT + 110;
+	if (settingsTab === 'controls') {
+		drawBindings(left, bodyY, tableWidth);
+	} else {
+		drawSettingRows(left, bodyY, tableWidth);
+	}
+
+	const actionsY = GROUND_HEIGHT + 510;
+	const actionWidth = (tableWidth - 24) / 3;
+	drawLandingButton({ action: 'resetSection', x: left, y: actionsY, w: actionWidth, h: 36 }, 'DEFAULTS', false);
+	drawLandingButton({ action: 'resetAll', x: left + actionWidth + 12, y: actionsY, w: actionWidth, h: 36 }, 'RESET ALL', false);
+	drawLandingButton({ action: 'back', x: left + (actionWidth + 12) * 2, y: actionsY, w: actionWidth, h: 36 }, 'BACK', true);
+}
+
+// The open section's settings: name on the left, value between a down and an up button
+// Values that differ from the default are shown in yellow
+function drawSettingRows(left, top, tableWidth) {
+	const fields = SETTINGS_SCHEMA[settingsTab].fields;
+	const values = settings[settingsTab];
+	const rowHeight = 52;
+	Object.keys(fields).forEach(function (key, i) {
+		const spec = fields[key];
+		const y = top + i * rowHeight;
+		const value = formatSetting(settingsTab, key, values[key]);
+		landingCtx.fillStyle = '#ffffff';
+		landingCtx.font = 'bold 1rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		landingCtx.textAlign = 'left';
+		landingCtx.fillText(spec.label, left, y + 24);
+		landingCtx.fillStyle = values[key] === spec.default ? '#ffffff' : '#fff200';
+		landingCtx.textAlign = 'center';
+		landingCtx.fillText(value, left + tableWidth - 85, y + 24);
+
+		const verbs = { number: ['Lower', 'Raise'], boolean: ['Toggle', 'Toggle'] }[spec.type] || ['Previous', 'Next'];
+		['settingDown', 'settingUp'].forEach(function (action, side) {
+			const button = { action, id: settingsTab + '.' + key, key, x: left + tableWidth - (side ? 40 : 170), y, w: 40, h: 36 };
+			drawLandingButton(button, side ? '>' : '<', false);
+			button.label = verbs[side] + ' ' + spec.label.toLowerCase() + ', now ' + value;
+		});
+	});
+
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.textAlign = 'center';
+	(SETTINGS_NOTES[settingsTab] || []).forEach(function (note, i) {
+		landingCtx.fillText(note, WORLD_WIDTH / 2, top + Object.keys(fields).length * rowHeight + 16 + i * 20);
+	});
+}
+
+// Every action with its keys; pick one and press a key to rebind it
+function drawBindings(left, top, tableWidth) {
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.textAlign = 'center';
+	landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText(
+		rebinding ? 'PRESS A KEY OR BUTTON FOR ' + ACTIONS[rebinding].label + ' (ESC CANCELS)' : 'CLICK AN ACTION TO REBIND IT',
+		WORLD_WIDTH / 2,
+		top - 8
+	);
+
+	const rowHeight = 22;
+	Object.keys(ACTIONS).forEach(function (action, i) {
+		const keys = bindings[action].map(keyLabel).join(', ') || '-';
+		const row = {
+			action: 'rebind',
+			id: action,
+			label: 'Rebind ' + ACTIONS[action].label + ', now ' + keys,
+			x: left,
+			y: top + i * rowHeight,
+			w: tableWidth,
+			h: rowHeight - 2,
+		};
+		if (action === rebinding) {
+			landingCtx.fillStyle = '#fff200';
+			landingCtx.fillRect(row.x, row.y, row.w, row.h);
+		}
+		landingCtx.fillStyle = action === rebinding ? '#000000' : '#ffffff';
+		landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		landingCtx.textAlign = 'left';
+		landingCtx.fillText(ACTIONS[action].label, row.x + 8, row.y + 15);
+		landingCtx.textAlign = 'right';
+		landingCtx.fillText(keys, row.x + row.w - 8, row.y + 15);
+		landingButtons.push(row);
+	});
+}
+
+// Achievements screen: every achievement with its progress, then the lifetime stats
+function drawAchievements() {
+	const width = WORLD_WIDTH;
+	const tableWidth = Math.min(width - 40, 440);
+	const left = (width - tableWidth) / 2;
+	const totals = stats.totals;
+	const unlockedCount = ACHIEVEMENTS.filter(function (achievement) {
+		return stats.unlocked[achievement.id];
+	}).length;
+
+	landingCtx.fillStyle = 'rgba(11, 24, 32, 0.75)';
+	landingCtx.fillRect(left - 12, GROUND_HEIGHT, tableWidth + 24, WORLD_HEIGHT - GROUND_HEIGHT * 2);
+
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.textAlign = 'center';
+	landingCtx.font = 'bold 2rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText('ACHIEVEMENTS', width / 2, GROUND_HEIGHT + 40);
+	landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText(unlockedCount + ' OF ' + ACHIEVEMENTS.length + ' UNLOCKED', width / 2, GROUND_HEIGHT + 62);
 
-	// Wait for images to load before showing landing page
-	function waitForImages() {
-		if ((bgImg && bgImg.complete) || (groundImg && groundImg.complete)) {
+	// One row each: name and progress (or the unlock date), description underneath
+	// Unlocked ones are yellow; run achievements only show their goal, since progress resets every run
+	const rowY = GROUND_HEIGHT + 92;
+	const rowHeight = 33;
+	ACHIEVEMENTS.forEach(function (achievement, i) {
+		const y = rowY + i * rowHeight;
+		const date = stats.unlocked[achievement.id];
+		landingCtx.fillStyle = date ? '#fff200' : '#9aa7b0';
+		landingCtx.textAlign = 'left';
+		landingCtx.font = 'bold 0.8rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+		landingCtx.fillText(achievement.label, left, y);
+		landingCtx.textAlign = 'right';
+		landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		let status = date ? date.slice(0, 10) : 'IN ONE RUN';
+		if (!date && achievement.scope === 'total') {
+			status = Math.min(achievementProgress(stats, achievement), achievement.goal) + ' / ' + achievement.goal;
+		}
+		landingCtx.fillText(status, left + tableWidth, y);
+		landingCtx.textAlign = 'left';
+		landingCtx.fillStyle = '#ffffff';
+		landingCtx.font = '0.75rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		landingCtx.fillText(achievement.description, left, y + 15);
+	});
+
+	// Lifetime stats
+	const statsY = rowY + ACHIEVEMENTS.length * rowHeight + 6;
+	const deaths = DEATH_CAUSES.map(function (cause) {
+		return cause.toUpperCase() + ' ' + totals.deaths[cause];
+	}).join('  ');
+	landingCtx.textAlign = 'center';
+	landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText('GAMES ' + totals.games + '   FLAPS ' + totals.flaps + '   TEETH PASSED ' + totals.pipes, width / 2, statsY);
+	landingCtx.fillText('NEAR MISSES ' + totals.nearMisses + '   LONGEST RUN ' + (totals.longestMs / 1000).toFixed(1) + 's', width / 2, statsY + 18);
+	landingCtx.fillText('DEATHS  ' + deaths, width / 2, statsY + 36);
+
+	const backWidth = (tableWidth - 24) / 3;
+	drawLandingButton({ action: 'back', x: (width - backWidth) / 2, y: GROUND_HEIGHT + 518, w: backWidth, h: 36 }, 'BACK', true);
+	landingCanvas.setAttribute('aria-label', 'Achievements. ' + unlockedCount + ' of ' + ACHIEVEMENTS.length + ' unlocked. '
+		+ totals.games + ' games played, ' + totals.pipes + ' teeth passed.');
+}
+
+// Leaderboard screen: the top scores for one preset plus history import/export
+function drawLeaderboard() {
+	const width = WORLD_WIDTH;
+	const tableWidth = Math.min(width - 40, 440);
+	const left = (width - tableWidth) / 2;
+
+	landingCtx.fillStyle = 'rgba(11, 24, 32, 0.75)';
+	landingCtx.fillRect(left - 12, GROUND_HEIGHT, tableWidth + 24, WORLD_HEIGHT - GROUND_HEIGHT * 2);
+
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.textAlign = 'center';
+	landingCtx.font = 'bold 2rem Orbitron, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText('LEADERBOARD', width / 2, GROUND_HEIGHT + 48);
+
+	// One tab per preset
+	drawPresetRow(GROUND_HEIGHT + 68, leaderboardTab);
+
+	// Rows: rank, name, score, survival time, date
+	const office = leaderboardSource === 'office';
+	const top = office ? (officeTop ? officeTop.entries : []) : topScores(scores, leaderboardTab);
+	const rowY = GROUND_HEIGHT + 148;
+	const rowHeight = 28;
+	landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillStyle = '#fff200';
+	landingCtx.textAlign = 'left';
+	landingCtx.fillText('#', left, rowY);
+	landingCtx.fillText('NAME', left + 30, rowY);
+	landingCtx.textAlign = 'right';
+	landingCtx.fillText('SCORE', left + tableWidth * 0.62, rowY);
+	landingCtx.fillText('TIME', left + tableWidth * 0.8, rowY);
+	landingCtx.fillText('DATE', left + tableWidth, rowY);
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.font = '1rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	if (top.length === 0) {
+		const status = office && officeTop ? officeTop.status : 'ready';
+		landingCtx.textAlign = 'center';
+		landingCtx.fillText(
+			status === 'loading' ? 'LOADING...' : status === 'error' ? 'OFFICE BOARD UNREACHABLE' : 'NO SCORES YET',
+			width / 2,
+			rowY + rowHeight * 2
+		);
+	}
+	top.forEach(function (entry, i) {
+		const y = rowY + rowHeight * (i + 1);
+		landingCtx.textAlign = 'left';
+		landingCtx.fillText(String(i + 1), left, y);
+		landingCtx.fillText(entry.name + (entry.assisted ? ' *' : ''), left + 30, y);
+		landingCtx.textAlign = 'right';
+		landingCtx.fillText(String(entry.score), left + tableWidth * 0.62, y);
+		landingCtx.fillText((entry.durationMs / 1000).toFixed(1) + 's', left + tableWidth * 0.8, y);
+		landingCtx.fillText(entry.date.slice(0, 10), left + tableWidth, y);
+	});
+	if (top.some(function (entry) {
+		return entry.assisted;
+	})) {
+		landingCtx.font = 'bold 0.8rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+		landingCtx.textAlign = 'center';
+		landingCtx.fillText('* PLAYED WITH AN ASSIST OR CHANGED PHYSICS', width / 2, rowY + rowHeight * 10 + 22);
+	}
+
+	// Actions
+	const actionsY = rowY + rowHeight * 11 + 12;
+	const actionWidth = (tableWidth - 24) / 3;
+	drawLandingButton({ action: 'export', x: left, y: actionsY, w: actionWidth, h: 40 }, 'EXPORT', false);
+	drawLandingButton({ action: 'import', x: left + actionWidth + 12, y: actionsY, w: actionWidth, h: 40 }, 'IMPORT', false);
+	drawLandingButton({ action: 'back', x: left + (actionWidth + 12) * 2, y: actionsY, w: actionWidth, h: 40 }, 'BACK', true);
+
+	// Which board is listed, when there is an office board to choose
+	if (officeBoard) {
+		const sourceY = actionsY + 52;
+		const sourceWidth = (tableWidth - 12) / 2;
+		drawLandingButton({ action: 'source', id: 'local', x: left, y: sourceY, w: sourceWidth, h: 36 }, 'LOCAL', !office);
+		drawLandingButton({ action: 'source', id: 'office', x: left + sourceWidth + 12, y: sourceY, w: sourceWidth, h: 36 }, 'OFFICE', office);
+	}
+}
+
+// Fetch the office board for the open tab, redrawing once it arrives
+function loadOfficeTop() {
+	const tab = leaderboardTab;
+	officeTop = { difficulty: tab, entries: [], status: 'loading' };
+	officeBoard.fetchTop(tab).then(function (entries) {
+		return { entries, status: 'ready' };
+	}, function () {
+		return { entries: [], status: 'error' };
+	}).then(function (result) {
+		// Ignore answers for a tab that's no longer open
+		if (!officeTop || officeTop.difficulty !== tab) return;
+		officeTop = { difficulty: tab, entries: result.entries, status: result.status };
+		if (screen.is(STATES.LANDING) && landingView === 'leaderboard') {
 			drawLanding();
+		}
+	});
+}
+
+// A row of difficulty buttons centred at y, with `selected` highlighted
+// decorate(id, button) can draw extra text under each button
+function drawPresetRow(y, selected, decorate) {
+	const presetWidth = 110;
+	const presetHeight = 44;
+	const presetGap = 12;
+	const rowWidth = DIFFICULTY_IDS.length * presetWidth + (DIFFICULTY_IDS.length - 1) * presetGap;
+	DIFFICULTY_IDS.forEach(function (id, i) {
+		const button = {
+			action: 'difficulty',
+			id,
+			x: (WORLD_WIDTH - rowWidth) / 2 + i * (presetWidth + presetGap),
+			y,
+			w: presetWidth,
+			h: presetHeight,
+		};
+		drawLandingButton(button, DIFFICULTY_PRESETS[id].label, id === selected);
+		if (decorate) {
+			decorate(id, button);
+		}
+	});
+}
+
+// Draw a clickable landing button and remember where it is
+// Selected buttons are filled yellow, the rest are white outlines
+function drawLandingButton(button, label, selected, font = 'bold 1rem Orbitron, system-ui, -apple-system, Segoe UI, Arial') {
+	if (selected) {
+		landingCtx.fillStyle = '#fff200';
+		landingCtx.fillRect(button.x, button.y, button.w, button.h);
+	} else {
+		landingCtx.strokeStyle = '#ffffff';
+		landingCtx.lineWidth = 2;
+		landingCtx.strokeRect(button.x + 1, button.y + 1, button.w - 2, button.h - 2);
+	}
+	landingCtx.fillStyle = selected ? '#000000' : '#ffffff';
+	landingCtx.font = font;
+	landingCtx.textAlign = 'center';
+	landingCtx.fillText(label, button.x + button.w / 2, button.y + button.h / 2 + 6);
+	button.label = label;
+	button.selected = selected;
+	landingButtons.push(button);
+}
+
+// Lay a real, focusable <button> over each canvas button so keyboards and screen readers
+// can use them. Existing elements are reused (matched by action and id) so focus survives
+// a redraw; positions are percentages of the world, so they follow the canvas size.
+const landingControls = document.getElementById('landing-controls');
+function syncLandingControls() {
+	const existing = new Map();
+	for (const el of Array.from(landingControls.children)) {
+		existing.set(el.dataset.key, el);
+	}
+	landingButtons.forEach(function (button, i) {
+		const key = button.action + ':' + (button.id || '');
+		let el = existing.get(key);
+		existing.delete(key);
+		if (!el) {
+			el = document.createElement('button');
+			el.type = 'button';
+			el.dataset.key = key;
+			el.addEventListener('click', function () {
+				const target = landingButtons.find(function (b) {
+					return b.action + ':' + (b.id || '') === el.dataset.key;
+				});
+				if (target) {
+					onLandingAction(target);
+				}
+			});
+		}
+		el.textContent = button.label;
+		if (button.action === 'difficulty' || button.action === 'source' || button.action === 'mode') {
+			el.setAttribute('aria-pressed', String(Boolean(button.selected)));
+		}
+		el.style.left = (button.x / WORLD_WIDTH * 100) + '%';
+		el.style.top = (button.y / WORLD_HEIGHT * 100) + '%';
+		el.style.width = (button.w / WORLD_WIDTH * 100) + '%';
+		el.style.height = (button.h / WORLD_HEIGHT * 100) + '%';
+		// Keep document order (and so tab order) the same as the drawing order
+		if (landingControls.children[i] !== el) {
+			landingControls.insertBefore(el, landingControls.children[i] || null);
+		}
+	});
+	for (const el of existing.values()) {
+		el.remove();
+	}
+}
+
+// Where the landing buttons were last drawn, for click handling
+let landingButtons = [];
+
+// Convert a mouse/touch position to landing page world units
+function landingPoint(clientX, clientY) {
+	return clientToWorld(clientX, clientY, landingCanvas.getBoundingClientRect(), WORLD_WIDTH, WORLD_HEIGHT);
+}
+
+// Handle a click or tap on the landing page
+// Buttons do their thing; anywhere else on the title screen starts the game
+function onLandingPress(clientX, clientY) {
+	if (!screen.is(STATES.LANDING)) return;
+	const point = landingPoint(clientX, clientY);
+	const hit = landingButtons.find(function (b) {
+		return point.x >= b.x && point.x <= b.x + b.w && point.y >= b.y && point.y <= b.y + b.h;
+	});
+	if (hit) {
+		onLandingAction(hit);
+	} else if (landingView === 'title') {
+		router.navigate({ view: 'play' });
+	}
+}
+
+// Run a landing button's action and redraw
+function onLandingAction(button) {
+	switch (button.action) {
+	case 'difficulty':
+		if (landingView === 'leaderboard') {
+			leaderboardTab = button.id;
+			if (leaderboardSource === 'office') {
+				loadOfficeTop();
+			}
 		} else {
-			// Show loading state
-			landingCtx.fillStyle = '#0b1820';
-			landingCtx.fillRect(0, 0, landingCanvas.width, landingCanvas.height);
-			landingCtx.fillStyle = '#ffffff';
-			landingCtx.font = 'bold 2rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
-			landingCtx.textAlign = 'center';
-			landingCtx.fillText('LOADING...', landingCanvas.width / 2, landingCanvas.height / 2);
-			setTimeout(waitForImages, 100);
+			selectDifficulty(button.id);
+		}
+		break;
+	case 'leaderboard':
+	case 'achievements':
+		router.navigate({ view: button.action });
+		return;
+	case 'source':
+		leaderboardSource = button.id;
+		if (leaderboardSource === 'office') {
+			loadOfficeTop();
 		}
+		break;
+	case 'back':
+		router.back({ view: 'landing' });
+		return;
+	case 'mode':
+		settings.game.mode = button.id;
+		saveSettings(localStorage, settings);
+		break;
+	case 'start':
+		router.navigate({ view: 'play' });
+		return;
+	case 'settings':
+		router.navigate({ view: 'settings', tab: button.id });
+		return;
+	case 'settingsTab':
+		// Switching tabs doesn't add history entries, so back still leaves the settings
+		router.navigate({ view: 'settings', tab: button.id }, { replace: true });
+		return;
+	case 'settingDown':
+	case 'settingUp':
+		stepSetting(settings, settingsTab, button.key, button.action === 'settingUp' ? 1 : -1);
+		changeSettings();
+		break;
+	case 'resetSection':
+	case 'resetAll':
+		resetSettings(settings, button.action === 'resetSection' ? settingsTab : null);
+		rebinding = null;
+		changeSettings();
+		announce(button.action === 'resetSection' ? SETTINGS_SCHEMA[settingsTab].label.toLowerCase() + ' settings reset' : 'All settings reset');
+		break;
+	case 'rebind':
+		rebinding = button.id;
+		break;
+	case 'export':
+		exportScoreHistory();
+		break;
+	case 'import':
+		importScoreHistory();
+		break;
 	}
-	
-	// Start loading process
-	waitForImages();
-})();
+	drawLanding();
+}
+
+// Start game function
+function startGame() {
+	screen.go(STATES.READY);
+	showShellView('game');
+	// Initialize game and keep drawing until the first flap
+	newRun();
+	startLoop();
+}
+
+// Landing page event listeners (mouse, touch and pen alike)
+landingCanvas.addEventListener('pointerdown', function (e) {
+	if (e.button > 0) return;
+	e.preventDefault();
+	onLandingPress(e.clientX, e.clientY);
+});
+
+// Loading screen: a progress bar for the asset manifest, with a count of failures
+function drawLoading() {
+	const width = WORLD_WIDTH;
+	const height = WORLD_HEIGHT;
+	const barWidth = Math.min(width - 80, 320);
+	const barX = (width - barWidth) / 2;
+	const barY = height / 2;
+	const fraction = loadProgress.total ? loadProgress.done / loadProgress.total : 0;
+
+	landingCtx.setTransform(viewport.scale, 0, 0, viewport.scale, 0, 0);
+	landingCtx.fillStyle = '#0b1820';
+	landingCtx.fillRect(0, 0, width, height);
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.font = 'bold 2rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.textAlign = 'center';
+	landingCtx.fillText('LOADING', width / 2, barY - 24);
+
+	landingCtx.strokeStyle = '#ffffff';
+	landingCtx.lineWidth = 2;
+	landingCtx.strokeRect(barX, barY, barWidth, 20);
+	landingCtx.fillStyle = '#fff200';
+	landingCtx.fillRect(barX + 3, barY + 3, (barWidth - 6) * fraction, 14);
+
+	landingCtx.fillStyle = '#ffffff';
+	landingCtx.font = 'bold 0.9rem Roboto, system-ui, -apple-system, Segoe UI, Arial';
+	landingCtx.fillText(loadProgress.done + ' / ' + loadProgress.total, width / 2, barY + 44);
+	if (loadProgress.failed) {
+		landingCtx.fillStyle = '#ff6b6b';
+		landingCtx.fillText(loadProgress.failed + ' FAILED', width / 2, barY + 66);
+	}
+}
+
+// ATTRACT MODE AND SHOW ME
+// Left on the title screen for a while, the game plays itself: the autopilot (src/autopilot.js)
+// plays a run on the chosen difficulty, which is shown like a replay, marked DEMO and silent,
+// so it never counts toward scores, stats or achievements. Any key, click or button (or the
+// run ending) goes back to the title. SHOW ME on the game over screen plays the run the
+// autopilot makes of the same course: same seed, difficulty, assist options and physics.
+// Reference: Attract mode (arcade games)
+const DEMO_IDLE_MS = 15000;     // Time on the title screen, untouched, before the demo starts
+const DEMO_MAX_MS = 60000;      // Longest demo; a run still going then drops out of the sky
+const DEMO_END_MS = 1500;       // The demo's crash stays up this long before the title is back
+const HINT_MAX_MS = 120000;     // Longest SHOW ME run
+let demoTimer = null;           // Pending demo start (or return to the title once it's over)
+
+// Play an autopilot run on the current settings (or a recording's) and return the recording
+function autopilotRun(options, maxMs) {
+	return playAutopilot({
+		width: WORLD_WIDTH,
+		height: WORLD_HEIGHT,
+		hitboxMode,
+		tongueMask: game.tongueMask,
+		maxTicks: Math.round(maxMs / STEP_MS),
+		...options,
+	}).run;
+}
+
+// Show the autopilot playing the course of a finished run
+function showMe(run) {
+	if (!run) return;
+	startReplay(autopilotRun({
+		width: run.world.width,
+		height: run.world.height,
+		seed: run.seed,
+		difficulty: run.difficulty,
+		gapScale: run.assist.gapScale,
+		physics: run.physics,
+		hitboxMode: run.hitbox,
+	}, HINT_MAX_MS), 'hint');
+	announce('The autopilot is playing your course. Press ' + firstKey('flap') + ' to play again yourself.');
+}
+
+// (Re)start the idle countdown; called on every input and whenever the title screen shows
+function wakeTitle() {
+	clearTimeout(demoTimer);
+	demoTimer = setTimeout(startDemo, DEMO_IDLE_MS);
+}
+
+function startDemo() {
+	const onTitle = screen.is(STATES.LANDING) && landingView === 'title' && shownRoute && shownRoute.view === 'landing';
+	if (!onTitle || rebinding || document.hidden) {
+		wakeTitle();
+		return;
+	}
+	const run = autopilotRun({
+		seed: randomSeed(),
+		difficulty: settings.game.difficulty,
+		gapScale: settings.game.gapScale,
+		physics: settings.physics,
+	}, DEMO_MAX_MS);
+	screen.go(STATES.READY);
+	showShellView('game');
+	startReplay(run, 'demo');
+	startLoop();
+	announce('Demo. Press any key to stop it.');
+}
+
+// Back to the title screen, still on its route
+function endDemo() {
+	if (botRun !== 'demo') return;
+	leaveRun();
+	applyRoute(router.route);
+}
+
+game.events.on('gameover', function () {
+	if (botRun === 'demo') {
+		clearTimeout(demoTimer);
+		demoTimer = setTimeout(endDemo, DEMO_END_MS);
+	}
+});
+
+// Input stops the demo before anything else sees it, and otherwise keeps the title awake
+['keydown', 'pointerdown'].forEach(function (type) {
+	window.addEventListener(type, function (e) {
+		if (botRun === 'demo') {
+			e.preventDefault();
+			e.stopPropagation();
+			endDemo();
+		}
+		wakeTitle();
+	}, true);
+});
+
+// APP SHELL
+// One page holds every view: the intro, the landing screens (title, leaderboard, settings,
+// achievements) and the game. The router (src/router.js) keeps the view in the URL hash, so
+// browser back and forward work, and every change of view fades out and back in.
+// Reference: History API, CSS transitions
+const VIEW_FADE_MS = 250;       // Fade out (and again in) when the view changes
+const shellViews = {
+	intro: document.getElementById('intro'),
+	landing: document.getElementById('landing-page'),
+	game: document.getElementById('game-container'),
+};
+let shownRoute = null;          // Route on screen, once the first one has been shown
+let fadeTimer = null;           // Pending view change while the old view fades out
+
+// Show one of the shell's top-level views and hide the others
+function showShellView(id) {
+	for (const key of Object.keys(shellViews)) {
+		shellViews[key].style.display = key === id ? (key === 'game' ? 'flex' : '') : 'none';
+	}
+	if (id !== 'intro') {
+		intro.hide();
+	}
+}
+
+// INTRO
+// The entry page: title, bio and the START button, whose video plays while it's hovered
+// (or focused from the keyboard; clicks and page loads don't start it)
+// Reference: HTMLMediaElement play/pause
+function createIntro(startButton, onStart) {
+	const video = startButton.querySelector('.button-video');
+
+	function playVideo() {
+		// play() rejects when the browser blocks it or the video can't load; the button still works
+		video.play().catch(function () {});
+	}
+
+	// Pause and rewind, so the video starts from the beginning on the next hover
+	function stopVideo() {
+		video.pause();
+		video.currentTime = 0;
+	}
+
+	startButton.addEventListener('mouseenter', playVideo);
+	startButton.addEventListener('focus', function () {
+		if (startButton.matches(':focus-visible')) {
+			playVideo();
+		}
+	});
+	startButton.addEventListener('mouseleave', stopVideo);
+	startButton.addEventListener('blur', stopVideo);
+	startButton.addEventListener('click', onStart);
+
+	return {
+		hide() {
+			stopVideo();
+		},
+	};
+}
+
+const intro = createIntro(document.getElementById('startButton'), function () {
+	router.navigate({ view: 'landing' });
+});
+
+// Put a route on screen: leave any run for the landing screens, or start one for 'play'
+// Before the assets are in, landing routes show the loading bar and 'play' waits for them
+function applyRoute(route) {
+	shownRoute = route;
+	if (screen.is(STATES.LOADING)) {
+		showShellView(route.view === 'intro' ? 'intro' : 'landing');
+		drawLoading();
+		return;
+	}
+	if (route.view === 'play') {
+		if (screen.is(STATES.LANDING)) {
+			startGame();
+		}
+		return;
+	}
+	if (!screen.is(STATES.LANDING)) {
+		leaveRun();
+	}
+	rebinding = null;
+	if (route.view === 'intro') {
+		showShellView('intro');
+		return;
+	}
+	landingView = route.view === 'landing' ? 'title' : route.view;
+	if (route.view === 'settings') {
+		settingsTab = SETTINGS_SECTIONS.indexOf(route.tab) !== -1 ? route.tab : 'audio';
+	} else if (route.view === 'leaderboard') {
+		leaderboardTab = settings.game.difficulty;
+		if (leaderboardSource === 'office') {
+			loadOfficeTop();
+		}
+	}
+	showShellView('landing');
+	drawLanding();
+	wakeTitle();
+}
+
+// Fade the page out, change view and fade back in; tabs of one view swap straight away
+function showRoute(route) {
+	clearTimeout(fadeTimer);
+	document.body.classList.remove('view-fading');
+	if (!shownRoute || shownRoute.view === route.view || effects.reducedMotion) {
+		applyRoute(route);
+		return;
+	}
+	document.body.classList.add('view-fading');
+	fadeTimer = setTimeout(function () {
+		applyRoute(route);
+		document.body.classList.remove('view-fading');
+	}, VIEW_FADE_MS);
+}
+
+const router = createRouter(window, showRoute);
+
+// OFFLINE AND UPDATES
+// sw.js precaches the game (src/offline.js lists what) so it installs and plays offline.
+// A new release installs in the background and waits until the player picks RELOAD.
+// Reference: ServiceWorkerContainer.register, ServiceWorkerRegistration updatefound
+const updatePrompt = document.getElementById('update-prompt');
+let waitingWorker = null;       // Installed new release waiting for the player's go-ahead
+let updateAccepted = false;     // RELOAD was picked; reload once the new release takes over
+
+function offerUpdate(worker) {
+	waitingWorker = worker;
+	updatePrompt.hidden = false;
+	announce('A new version is ready. Reload to update.');
+}
+
+document.getElementById('update-prompt-reload').addEventListener('click', function () {
+	updatePrompt.hidden = true;
+	if (!waitingWorker) return;
+	updateAccepted = true;
+	waitingWorker.postMessage({ type: 'skip-waiting' });
+});
+
+document.getElementById('update-prompt-later').addEventListener('click', function () {
+	updatePrompt.hidden = true;
+});
+
+function registerServiceWorker() {
+	// Workers need http(s); opened from disk the game still plays, just not offline
+	if (!navigator.serviceWorker || location.protocol === 'file:') return;
+	navigator.serviceWorker.register('sw.js', { type: 'module' }).then(function (registration) {
+		// A release that finished installing while the game was closed
+		if (registration.waiting && navigator.serviceWorker.controller) {
+			offerUpdate(registration.waiting);
+		}
+		registration.addEventListener('updatefound', function () {
+			const worker = registration.installing;
+			worker.addEventListener('statechange', function () {
+				// The very first install has no older release to replace, so nothing to offer
+				if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+					offerUpdate(worker);
+				}
+			});
+		});
+	}, function (err) {
+		console.warn('Offline play unavailable: ' + err.message);
+	});
+	navigator.serviceWorker.addEventListener('controllerchange', function () {
+		if (!updateAccepted) return;
+		updateAccepted = false;
+		location.reload();
+	});
+}
+
+registerServiceWorker();
+router.start();
 
+// Load everything, then show the landing page
+loadGameAssets().then(function () {
+	screen.go(STATES.LANDING);
+	applyRoute(router.route);
+});
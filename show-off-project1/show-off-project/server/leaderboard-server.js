@@ -0,0 +1,233 @@
+// STAND-IN OFFICE LEADERBOARD SERVER
+// A small Node server for developing and testing the shared leaderboard without any
+// external service. It also serves the game files, so one command gives you a working
+// page at http://localhost:8787/?leaderboard=/api
+//
+//   GET  /api/scores?difficulty=normal   top 10 for a preset
+//   POST /api/scores                     submit a signed entry (see src/score-client.js)
+//
+// Every submission must carry a valid signature over its replay hash, and its replay is
+// re-simulated here: the score it reproduces has to match the score claimed.
+// Scores are kept in memory, or in a JSON file when --data is given.
+//
+// Usage: node server/leaderboard-server.js [--port 8787] [--data scores.json]
+// Reference: Node.js http module
+
+import http from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createGame, resetGame, step, isDefaultPhysics } from '../src/game.js';
+import { isDifficulty } from '../src/difficulty.js';
+import { cleanName, LEADERBOARD_SIZE } from '../src/leaderboard.js';
+import { parseRun, serializeRun } from '../src/replay.js';
+import { verifyEntrySignature, DEFAULT_SIGNING_KEY } from '../src/score-client.js';
+
+const GAME_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_REPLAY_TICKS = 60 * 60 * 60; // One hour of play at 60 steps per second
+
+const CONTENT_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.json': 'application/json; charset=utf-8',
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.mp4': 'video/mp4',
+	'.svg': 'image/svg+xml',
+	'.webmanifest': 'application/manifest+json',
+	'.woff2': 'font/woff2',
+};
+
+// Play a recording back and return the score it reaches
+// Returns null when the replay can't be checked here
+export function replayScore(run) {
+	// The sprite mask isn't available outside the browser
+	if (run.hitbox === 'mask') return null;
+	const game = createGame();
+	resetGame(game, { run });
+	while (!game.isGameOver && game.tick < MAX_REPLAY_TICKS) {
+		step(game);
+	}
+	return game.isGameOver ? game.score : null;
+}
+
+// Check a submitted entry; returns a clean entry or throws with the reason
+export async function validateSubmission(body, signingKey = DEFAULT_SIGNING_KEY) {
+	if (!body || typeof body !== 'object') {
+		throw new Error('expected a JSON object');
+	}
+	const name = cleanName(body.name || '');
+	if (!name) throw new Error('missing name');
+	if (!Number.isInteger(body.score) || body.score < 0) throw new Error('invalid score');
+	if (!isDifficulty(body.difficulty)) throw new Error('unknown difficulty');
+	if (typeof body.date !== 'string' || isNaN(Date.parse(body.date))) throw new Error('invalid date');
+
+	let run;
+	try {
+		run = parseRun(serializeRun(body.run));
+	} catch (err) {
+		throw new Error('invalid replay: ' + err.message);
+	}
+	if (run.difficulty !== body.difficulty) throw new Error('replay difficulty does not match');
+	// The shared board compares unassisted runs with the standard physics only
+	if (run.assist.gapScale !== 1) throw new Error('assisted runs are not accepted');
+	if (!isDefaultPhysics(run.physics)) throw new Error('custom physics runs are not accepted');
+	if (!(await verifyEntrySignature(body, signingKey))) throw new Error('bad signature');
+
+	const reproduced = replayScore(run);
+	if (reproduced === null) throw new Error('replay could not be verified');
+	if (reproduced !== body.score) throw new Error('replay does not reach the claimed score');
+
+	return {
+		name,
+		score: body.score,
+		difficulty: body.difficulty,
+		durationMs: Math.max(0, Number(body.durationMs) || 0),
+		date: body.date,
+		replayHash: body.replayHash,
+	};
+}
+
+function sendJson(res, status, body) {
+	res.writeHead(status, {
+		'Content-Type': 'application/json; charset=utf-8',
+		'Access-Control-Allow-Origin': '*',
+		'Access-Control-Allow-Headers': 'Content-Type',
+		'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+	});
+	res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+	return new Promise(function (resolve, reject) {
+		let size = 0;
+		const chunks = [];
+		req.on('data', function (chunk) {
+			size += chunk.length;
+			if (size > MAX_BODY_BYTES) {
+				reject(new Error('request too large'));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', function () {
+			resolve(Buffer.concat(chunks).toString('utf8'));
+		});
+		req.on('error', reject);
+	});
+}
+
+// Create the server without starting it
+// options.dataFile persists scores as JSON; options.signingKey must match the game's key;
+// options.serveStatic (default true) serves the game files next to the API
+export function createLeaderboardServer(options = {}) {
+	const signingKey = options.signingKey || DEFAULT_SIGNING_KEY;
+	const serveStatic = options.serveStatic !== false;
+	let entries = [];
+	let loaded = null;
+
+	function load() {
+		if (!loaded) {
+			loaded = options.dataFile
+				? readFile(options.dataFile, 'utf8').then(function (text) {
+					entries = JSON.parse(text);
+				}).catch(function () {
+					entries = [];
+				})
+				: Promise.resolve();
+		}
+		return loaded;
+	}
+
+	function top(difficulty) {
+		return entries.filter(function (e) {
+			return e.difficulty === difficulty;
+		}).sort(function (a, b) {
+			return b.score - a.score || Date.parse(a.date) - Date.parse(b.date);
+		}).slice(0, LEADERBOARD_SIZE);
+	}
+
+	async function handleApi(req, res, url) {
+		await load();
+		if (req.method === 'OPTIONS') {
+			sendJson(res, 204, {});
+		} else if (req.method === 'GET') {
+			const difficulty = url.searchParams.get('difficulty');
+			if (!isDifficulty(difficulty)) {
+				sendJson(res, 400, { error: 'unknown difficulty' });
+				return;
+			}
+			sendJson(res, 200, { scores: top(difficulty) });
+		} else if (req.method === 'POST') {
+			let entry;
+			try {
+				entry = await validateSubmission(JSON.parse(await readBody(req)), signingKey);
+			} catch (err) {
+				sendJson(res, 400, { error: err.message });
+				return;
+			}
+			// The same replay can only be submitted once
+			if (entries.some(function (e) {
+				return e.replayHash === entry.replayHash;
+			})) {
+				sendJson(res, 409, { error: 'already submitted' });
+				return;
+			}
+			entries.push(entry);
+			if (options.dataFile) {
+				await writeFile(options.dataFile, JSON.stringify(entries, null, 2));
+			}
+			sendJson(res, 201, { rank: top(entry.difficulty).indexOf(entry) + 1 });
+		} else {
+			sendJson(res, 405, { error: 'method not allowed' });
+		}
+	}
+
+	async function handleStatic(res, url) {
+		const relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+		const file = path.resolve(GAME_ROOT, '.' + relative);
+		if (!file.startsWith(GAME_ROOT + path.sep)) {
+			res.writeHead(403);
+			res.end();
+			return;
+		}
+		try {
+			const body = await readFile(file);
+			res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+			res.end(body);
+		} catch (_) {
+			res.writeHead(404);
+			res.end('Not found');
+		}
+	}
+
+	return http.createServer(function (req, res) {
+		const url = new URL(req.url, 'http://localhost');
+		const handler = url.pathname === '/api/scores'
+			? handleApi(req, res, url)
+			: serveStatic && req.method === 'GET'
+				? handleStatic(res, url)
+				: Promise.resolve(sendJson(res, 404, { error: 'not found' }));
+		handler.catch(function (err) {
+			sendJson(res, 500, { error: err.message });
+		});
+	});
+}
+
+// Command-line entry point
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+	const args = process.argv.slice(2);
+	const option = function (name, fallback) {
+		const index = args.indexOf('--' + name);
+		return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+	};
+	const port = Number(option('port', 8787));
+	const dataFile = option('data', null);
+	createLeaderboardServer({ dataFile }).listen(port, function () {
+		console.log('Mouth Trap leaderboard on http://localhost:' + port + '/?leaderboard=/api');
+	});
+}
@@ -0,0 +1,188 @@
+// ACHIEVEMENTS AND LIFETIME STATS
+// Everything the game counts across runs, stored as one versioned JSON object:
+//   totals    lifetime counters: games played, flaps, teeth passed, near misses, the
+//             longest run, and deaths by cause (ground, top tooth, bottom tooth, wire)
+//   unlocked  achievement id -> date it was unlocked
+// trackStats() keeps the counters up to date from a game's events ('flap', 'score',
+// 'nearmiss', 'collision' and 'gameover'), so nothing in the simulation knows about it.
+// Replays don't count.
+// Reference: Web Storage API, Observer pattern, achievement systems
+
+export const STATS_STORAGE_KEY = 'mouth_trap_stats';
+export const STATS_VERSION = 1;
+
+// Ways to die, as the simulation's 'collision' events name them
+export const DEATH_CAUSES = ['ground', 'top', 'bottom', 'wire'];
+
+// Every achievement, in the order the achievements screen lists them
+// An achievement unlocks once `stat` reaches `goal`; scope 'total' counts over every run,
+// 'run' within a single run. stat is a key of the totals (or of deaths, as 'deaths.<cause>')
+// or, for run achievements, of the run counters (flaps, pipes, nearMisses, durationMs)
+export const ACHIEVEMENTS = [
+	{ id: 'first-bite', label: 'FIRST BITE', description: 'Finish a game', scope: 'total', stat: 'games', goal: 1 },
+	{ id: 'regular', label: 'REGULAR', description: 'Play 50 games', scope: 'total', stat: 'games', goal: 50 },
+	{ id: 'flapper', label: 'FLAPPER', description: 'Flap 1,000 times', scope: 'total', stat: 'flaps', goal: 1000 },
+	{ id: 'brace-yourself', label: 'BRACE YOURSELF', description: 'Pass 10 teeth in one run', scope: 'run', stat: 'pipes', goal: 10 },
+	{ id: 'dentist', label: 'DENTIST', description: 'Pass 500 teeth in total', scope: 'total', stat: 'pipes', goal: 500 },
+	{ id: 'close-shave', label: 'CLOSE SHAVE', description: 'Squeeze through the teeth with a near miss', scope: 'total', stat: 'nearMisses', goal: 1 },
+	{ id: 'daredevil', label: 'DAREDEVIL', description: '5 near misses in one run', scope: 'run', stat: 'nearMisses', goal: 5 },
+	{ id: 'survivor', label: 'SURVIVOR', description: 'Last a minute in one run', scope: 'run', stat: 'durationMs', goal: 60000 },
+	{ id: 'floored', label: 'FLOORED', description: 'Hit the ground 10 times', scope: 'total', stat: 'deaths.ground', goal: 10 },
+	{ id: 'overbite', label: 'OVERBITE', description: 'Crash into a top tooth 10 times', scope: 'total', stat: 'deaths.top', goal: 10 },
+	{ id: 'underbite', label: 'UNDERBITE', description: 'Crash into a bottom tooth 10 times', scope: 'total', stat: 'deaths.bottom', goal: 10 },
+];
+
+// Nothing counted, nothing unlocked
+export function emptyStats() {
+	const deaths = {};
+	for (const cause of DEATH_CAUSES) {
+		deaths[cause] = 0;
+	}
+	return {
+		version: STATS_VERSION,
+		totals: { games: 0, flaps: 0, pipes: 0, nearMisses: 0, longestMs: 0, deaths },
+		unlocked: {},
+	};
+}
+
+// Counters for one run
+function emptyRun() {
+	return { flaps: 0, pipes: 0, nearMisses: 0, durationMs: 0 };
+}
+
+function count(value) {
+	return Math.max(0, Number(value) || 0);
+}
+
+// Read the stats; anything missing or broken counts as zero
+// Unreadable data starts over. Data saved by a newer version is ignored and never saved
+// over (see saveStats), so a downgrade doesn't wipe stats a later version kept
+export function loadStats(storage) {
+	const stats = emptyStats();
+	let data = null;
+	try {
+		data = JSON.parse(storage.getItem(STATS_STORAGE_KEY));
+	} catch (_) {
+		return stats;
+	}
+	if (!data || typeof data.version !== 'number' || data.version > STATS_VERSION) {
+		return stats;
+	}
+	const totals = data.totals || {};
+	for (const key of Object.keys(stats.totals)) {
+		if (key !== 'deaths') {
+			stats.totals[key] = count(totals[key]);
+		}
+	}
+	for (const cause of DEATH_CAUSES) {
+		stats.totals.deaths[cause] = count(totals.deaths && totals.deaths[cause]);
+	}
+	for (const achievement of ACHIEVEMENTS) {
+		const date = data.unlocked && data.unlocked[achievement.id];
+		if (typeof date === 'string' && !isNaN(Date.parse(date))) {
+			stats.unlocked[achievement.id] = date;
+		}
+	}
+	return stats;
+}
+
+export function saveStats(storage, stats) {
+	if (storedByNewerVersion(storage)) return;
+	storage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+}
+
+// Are the stored stats from a version of the game newer than this one?
+function storedByNewerVersion(storage) {
+	try {
+		const data = JSON.parse(storage.getItem(STATS_STORAGE_KEY));
+		return Boolean(data) && typeof data.version === 'number' && data.version > STATS_VERSION;
+	} catch (_) {
+		return false;
+	}
+}
+
+// How far an achievement has got: the current value of its stat
+// run is the current run's counters, for 'run' achievements
+export function achievementProgress(stats, achievement, run = emptyRun()) {
+	const source = achievement.scope === 'run' ? run : stats.totals;
+	return achievement.stat.split('.').reduce(function (value, key) {
+		return value ? value[key] : undefined;
+	}, source) || 0;
+}
+
+// Unlock every achievement that has reached its goal; returns the ones that just unlocked
+export function checkAchievements(stats, run, date = new Date().toISOString()) {
+	const unlocked = [];
+	for (const achievement of ACHIEVEMENTS) {
+		if (stats.unlocked[achievement.id]) continue;
+		if (achievementProgress(stats, achievement, run) >= achievement.goal) {
+			stats.unlocked[achievement.id] = date;
+			unlocked.push(achievement);
+		}
+	}
+	return unlocked;
+}
+
+// Count a game's events into stats
+// options.counts(): whether the current run counts (replays never do); defaults to every run
+// options.onUnlock(achievements): called with the achievements each event unlocked
+// options.onRunEnd(): called after a counted run has been added, to save the stats
+// Returns { startRun() }, to call when a new run begins so run achievements start from zero
+export function trackStats(game, stats, options = {}) {
+	const counts = options.counts || function () {
+		return true;
+	};
+	let run = emptyRun();
+
+	function counted(e) {
+		return !game.replay && !(e && e.replay) && counts();
+	}
+
+	function check() {
+		const unlocked = checkAchievements(stats, run);
+		if (unlocked.length && options.onUnlock) {
+			options.onUnlock(unlocked);
+		}
+	}
+
+	game.events.on('flap', function (e) {
+		if (!counted(e)) return;
+		stats.totals.flaps++;
+		run.flaps++;
+		check();
+	});
+	game.events.on('score', function (e) {
+		// Bonus points come from candies; only passing the teeth counts here
+		if (!counted(e) || e.bonus) return;
+		stats.totals.pipes++;
+		run.pipes++;
+		check();
+	});
+	game.events.on('nearmiss', function (e) {
+		if (!counted(e)) return;
+		stats.totals.nearMisses++;
+		run.nearMisses++;
+		check();
+	});
+	game.events.on('collision', function (e) {
+		if (!counted(e) || DEATH_CAUSES.indexOf(e.cause) === -1) return;
+		stats.totals.deaths[e.cause]++;
+	});
+	game.events.on('gameover', function (e) {
+		if (!counted(e)) return;
+		stats.totals.games++;
+		run.durationMs = e.durationMs;
+		stats.totals.longestMs = Math.max(stats.totals.longestMs, e.durationMs);
+		check();
+		if (options.onRunEnd) {
+			options.onRunEnd();
+		}
+		run = emptyRun();
+	});
+
+	return {
+		startRun() {
+			run = emptyRun();
+		},
+	};
+}
@@ -0,0 +1,104 @@
+// ASSET LOADING
+// Everything the page needs before the landing screen (theme art, fonts, sounds, data) is
+// listed in a manifest and loaded through one function that reports real progress.
+// A manifest entry is:
+//   { id, type, src, optional }
+//   type      'image', 'audio', 'font' or 'json' (anything with a loader in options.loaders)
+//   src       one source, or a list tried in order until one loads (fallbacks)
+//             for fonts it's a CSS font shorthand such as 'bold 16px Orbitron'
+//   optional  failures are only warnings; the game has a fallback (e.g. system fonts)
+// The loaders themselves are passed in, so this module has no DOM access and can be tested.
+// Reference: Promise.all, HTMLImageElement load/error events, CSS Font Loading API
+
+export const ASSET_TIMEOUT_MS = 10000; // Longest wait for one source before trying the next
+
+// Raised when no source for an asset could be loaded
+export class AssetLoadError extends Error {
+	constructor(entry, tried, cause) {
+		super('Could not load ' + entry.type + ' "' + entry.id + '" (tried ' + tried.join(', ') + '): ' + cause.message);
+		this.name = 'AssetLoadError';
+		this.id = entry.id;
+		this.tried = tried;
+	}
+}
+
+// The sources of an entry as a list
+export function assetSources(entry) {
+	return (Array.isArray(entry.src) ? entry.src : [entry.src]).filter(function (src) {
+		return typeof src === 'string' && src !== '';
+	});
+}
+
+function withTimeout(promise, ms, src) {
+	let timer = null;
+	const timeout = new Promise(function (_, reject) {
+		timer = setTimeout(function () {
+			reject(new Error('timed out loading ' + src));
+		}, ms);
+	});
+	return Promise.race([promise, timeout]).finally(function () {
+		clearTimeout(timer);
+	});
+}
+
+// Load one entry, trying each source in turn
+async function loadEntry(entry, loaders, timeoutMs) {
+	const loader = loaders[entry.type];
+	const sources = assetSources(entry);
+	if (!loader) {
+		throw new AssetLoadError(entry, sources, new Error('no loader for type ' + entry.type));
+	}
+	const tried = [];
+	let lastError = new Error('no sources');
+	for (const src of sources) {
+		tried.push(src);
+		try {
+			return { value: await withTimeout(loader(src), timeoutMs, src), src };
+		} catch (err) {
+			lastError = err;
+		}
+	}
+	throw new AssetLoadError(entry, tried, lastError);
+}
+
+// Load every entry in the manifest in parallel
+// options.loaders maps each type to a function (src) -> Promise<asset>
+// options.onProgress({ done, total, failed, id }) is called as each entry settles
+// options.timeoutMs limits each source (default ASSET_TIMEOUT_MS)
+// Never rejects; resolves to { assets, sources, missing, warnings }:
+//   assets    the loaded asset for each id
+//   sources   which source each id loaded from (shows when a fallback was used)
+//   missing   AssetLoadErrors for required entries that failed
+//   warnings  AssetLoadErrors for optional entries that failed
+export async function loadAssets(manifest, options) {
+	const loaders = options.loaders;
+	const onProgress = options.onProgress || function () {};
+	const timeoutMs = options.timeoutMs || ASSET_TIMEOUT_MS;
+	const result = { assets: {}, sources: {}, missing: [], warnings: [] };
+	const total = manifest.length;
+	let done = 0;
+	let failed = 0;
+
+	onProgress({ done, total, failed, id: null });
+	const errors = await Promise.all(manifest.map(function (entry) {
+		return loadEntry(entry, loaders, timeoutMs).then(function (loaded) {
+			result.assets[entry.id] = loaded.value;
+			result.sources[entry.id] = loaded.src;
+			return null;
+		}, function (err) {
+			failed++;
+			return err;
+		}).then(function (err) {
+			done++;
+			onProgress({ done, total, failed, id: entry.id });
+			return err;
+		});
+	}));
+	// Failures are listed in manifest order, whatever order they happened in
+	manifest.forEach(function (entry, i) {
+		if (errors[i]) {
+			(entry.optional ? result.warnings : result.missing).push(errors[i]);
+		}
+	});
+	return result;
+}
@@ -0,0 +1,80 @@
+// ASSIST OPTIONS
+// Settings that make the game easier to see or to play:
+//   speed         the whole game runs at this fraction of normal speed (1, 0.85 or 0.7)
+//   gapScale      every gap between the teeth is this much wider (1, 1.15 or 1.3)
+//   highContrast  plain black backdrop, flat white teeth and stronger page colours
+//   reducedMotion no particles, shake, flash, death animation or parallax scrolling
+// highContrast and reducedMotion are 'auto', 'on' or 'off'; 'auto' follows the system
+// (prefers-contrast: more, prefers-reduced-motion: reduce).
+// Runs with speed or gapScale changed are marked as assisted on the leaderboard.
+// The options are saved with the other settings (see settings.js); the storage functions
+// below read the older standalone key when settings are first migrated.
+// Reference: WCAG 2.2 (1.4.6 Contrast, 2.2.1 Timing Adjustable, 2.3.3 Animation from Interactions)
+
+export const ASSIST_STORAGE_KEY = 'mouth_trap_assist';
+
+// The choices offered for each option, in display order
+export const ASSIST_CHOICES = {
+	speed: [1, 0.85, 0.7],
+	gapScale: [1, 1.15, 1.3],
+	highContrast: ['auto', 'on', 'off'],
+	reducedMotion: ['auto', 'on', 'off'],
+};
+
+export const DEFAULT_ASSIST = {
+	speed: 1,
+	gapScale: 1,
+	highContrast: 'auto',
+	reducedMotion: 'auto',
+};
+
+// Read the saved options, falling back to the defaults for anything missing or not offered
+// legacyReducedMotion is the older '1'/'0' reduced motion setting, used when nothing newer is saved
+export function loadAssist(storage, legacyReducedMotion = null) {
+	let saved = null;
+	try {
+		saved = JSON.parse(storage.getItem(ASSIST_STORAGE_KEY));
+	} catch (_) {
+		saved = null;
+	}
+	const assist = { ...DEFAULT_ASSIST };
+	if (legacyReducedMotion === '1' || legacyReducedMotion === '0') {
+		assist.reducedMotion = legacyReducedMotion === '1' ? 'on' : 'off';
+	}
+	if (saved && typeof saved === 'object') {
+		for (const key of Object.keys(ASSIST_CHOICES)) {
+			if (ASSIST_CHOICES[key].indexOf(saved[key]) !== -1) {
+				assist[key] = saved[key];
+			}
+		}
+	}
+	return assist;
+}
+
+export function saveAssist(storage, assist) {
+	storage.setItem(ASSIST_STORAGE_KEY, JSON.stringify(assist));
+}
+
+// Move an option on to its next choice (wrapping round)
+export function cycleAssist(assist, key) {
+	const choices = ASSIST_CHOICES[key];
+	assist[key] = choices[(choices.indexOf(assist[key]) + 1) % choices.length];
+	return assist[key];
+}
+
+// Resolve an 'auto' / 'on' / 'off' option against the system preference
+export function resolveToggle(value, systemPrefers) {
+	return value === 'auto' ? Boolean(systemPrefers) : value === 'on';
+}
+
+// Do these options make runs easier? (The visual ones don't)
+export function isAssisted(assist) {
+	return assist.speed !== 1 || assist.gapScale !== 1;
+}
+
+// How an option's value reads on the settings screen
+export function assistLabel(key, value) {
+	if (key === 'speed') return Math.round(value * 100) + '%';
+	if (key === 'gapScale') return value === 1 ? 'NORMAL' : '+' + Math.round((value - 1) * 100) + '%';
+	return String(value).toUpperCase();
+}
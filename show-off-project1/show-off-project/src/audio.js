@@ -0,0 +1,240 @@
+// PROCEDURAL AUDIO
+// Every sound is synthesized with the Web Audio API at play time, so the game ships no
+// audio files. Effects and the background loop run through their own gain nodes into a
+// master gain, which is where volume and mute are applied:
+//   oscillators/noise -> effects gain -\
+//   music sequencer   -> music gain   --> master gain -> speakers
+// Browsers only allow audio after a user gesture, so nothing is created until unlock().
+// Reference: Web Audio API, "A Tale of Two Clocks" (lookahead scheduling) by Chris Wilson
+
+export const AUDIO_STORAGE_KEY = 'mouth_trap_audio';
+
+export const DEFAULT_AUDIO_SETTINGS = {
+	muted: false,       // Silences everything without losing the volume levels
+	volume: 0.8,        // Master volume, 0..1
+	music: true,        // Whether the background loop plays during runs
+	musicVolume: 0.4,   // Background loop level relative to the effects, 0..1
+};
+
+// Read the saved settings, falling back to the defaults for anything missing or invalid
+// (These now live in the settings object, see settings.js; this reads the older key once.)
+export function loadAudioSettings(storage) {
+	let saved = null;
+	try {
+		saved = JSON.parse(storage.getItem(AUDIO_STORAGE_KEY));
+	} catch (_) {
+		saved = null;
+	}
+	const settings = { ...DEFAULT_AUDIO_SETTINGS };
+	if (saved && typeof saved === 'object') {
+		if (typeof saved.muted === 'boolean') settings.muted = saved.muted;
+		if (typeof saved.music === 'boolean') settings.music = saved.music;
+		if (Number.isFinite(saved.volume)) settings.volume = clampLevel(saved.volume);
+		if (Number.isFinite(saved.musicVolume)) settings.musicVolume = clampLevel(saved.musicVolume);
+	}
+	return settings;
+}
+
+export function saveAudioSettings(storage, settings) {
+	storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function clampLevel(value) {
+	return Math.max(0, Math.min(1, Math.round(value * 100) / 100));
+}
+
+// SOUND RECIPES
+// Each effect is a list of notes: { wave, from, to, at, length, level } where from/to are
+// frequencies in Hz (a sweep when they differ), at is the start offset and length the
+// duration in seconds. wave 'noise' plays filtered white noise instead of an oscillator.
+export const SOUNDS = {
+	flap: [
+		{ wave: 'triangle', from: 320, to: 640, at: 0, length: 0.11, level: 0.35 },
+	],
+	point: [
+		{ wave: 'square', from: 880, to: 880, at: 0, length: 0.07, level: 0.18 },
+		{ wave: 'square', from: 1320, to: 1320, at: 0.07, length: 0.12, level: 0.18 },
+	],
+	hit: [
+		{ wave: 'noise', from: 1800, to: 300, at: 0, length: 0.18, level: 0.6 },
+		{ wave: 'sawtooth', from: 140, to: 40, at: 0, length: 0.25, level: 0.35 },
+	],
+	powerup: [
+		{ wave: 'square', from: 523, to: 523, at: 0, length: 0.06, level: 0.16 },
+		{ wave: 'square', from: 659, to: 659, at: 0.06, length: 0.06, level: 0.16 },
+		{ wave: 'square', from: 784, to: 1568, at: 0.12, length: 0.18, level: 0.16 },
+	],
+	shield: [
+		{ wave: 'noise', from: 4000, to: 800, at: 0, length: 0.12, level: 0.4 },
+		{ wave: 'triangle', from: 660, to: 220, at: 0, length: 0.2, level: 0.3 },
+	],
+	gameover: [
+		{ wave: 'triangle', from: 440, to: 440, at: 0.25, length: 0.16, level: 0.3 },
+		{ wave: 'triangle', from: 349, to: 349, at: 0.42, length: 0.16, level: 0.3 },
+		{ wave: 'triangle', from: 262, to: 262, at: 0.59, length: 0.16, level: 0.3 },
+		{ wave: 'triangle', from: 196, to: 98, at: 0.76, length: 0.5, level: 0.3 },
+	],
+};
+
+// BACKGROUND LOOP
+// Two bars of bass and arpeggio in A minor, one entry per eighth note (0 = rest)
+const MUSIC_TEMPO = 112; // Beats per minute
+const MUSIC_BASS = [110, 0, 110, 0, 87.3, 0, 87.3, 0, 98, 0, 98, 0, 82.4, 0, 98, 0];
+const MUSIC_LEAD = [440, 523, 659, 523, 349, 440, 523, 440, 392, 494, 587, 494, 330, 415, 494, 415];
+const SCHEDULE_AHEAD = 0.1;  // Seconds of music queued ahead of the audio clock
+const SCHEDULER_MS = 25;     // How often the sequencer tops up the queue
+
+// Create the audio system
+// options.AudioContext is the constructor to use (window.AudioContext in the browser);
+// options.timers swaps setInterval/clearInterval in tests
+export function createAudio(settings, options = {}) {
+	const AudioContextClass = options.AudioContext || null;
+	const timers = options.timers || { setInterval, clearInterval };
+	let ctx = null;
+	let master = null;
+	let effects = null;
+	let musicGain = null;
+	let noiseBuffer = null;
+	let sequencer = null;   // Interval id while the loop is playing
+	let nextNoteTime = 0;   // Audio clock time of the next eighth note
+	let nextNote = 0;       // Index into the pattern
+
+	function applyLevels() {
+		if (!ctx) return;
+		const now = ctx.currentTime;
+		master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, now, 0.02);
+		musicGain.gain.setTargetAtTime(settings.music ? settings.musicVolume : 0, now, 0.02);
+	}
+
+	// One second of white noise, shared by every noise note
+	function getNoise() {
+		if (!noiseBuffer) {
+			noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+			const data = noiseBuffer.getChannelData(0);
+			for (let i = 0; i < data.length; i++) {
+				data[i] = Math.random() * 2 - 1;
+			}
+		}
+		return noiseBuffer;
+	}
+
+	// Schedule one note with a short attack and an exponential decay
+	function playNote(note, start, destination) {
+		const end = start + note.length;
+		const envelope = ctx.createGain();
+		envelope.gain.setValueAtTime(0.0001, start);
+		envelope.gain.exponentialRampToValueAtTime(note.level, start + 0.01);
+		envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+		envelope.connect(destination);
+
+		let source;
+		if (note.wave === 'noise') {
+			// Noise through a sweeping low-pass filter
+			source = ctx.createBufferSource();
+			source.buffer = getNoise();
+			const filter = ctx.createBiquadFilter();
+			filter.type = 'lowpass';
+			filter.frequency.setValueAtTime(note.from, start);
+			filter.frequency.exponentialRampToValueAtTime(note.to, end);
+			source.connect(filter);
+			filter.connect(envelope);
+		} else {
+			source = ctx.createOscillator();
+			source.type = note.wave;
+			source.frequency.setValueAtTime(note.from, start);
+			if (note.to !== note.from) {
+				source.frequency.exponentialRampToValueAtTime(note.to, end);
+			}
+			source.connect(envelope);
+		}
+		source.start(start);
+		source.stop(end + 0.05);
+	}
+
+	// Queue every eighth note that falls inside the lookahead window
+	function scheduleMusic() {
+		const eighth = 30 / MUSIC_TEMPO;
+		while (nextNoteTime < ctx.currentTime + SCHEDULE_AHEAD) {
+			const bass = MUSIC_BASS[nextNote];
+			const lead = MUSIC_LEAD[nextNote];
+			if (bass) {
+				playNote({ wave: 'triangle', from: bass, to: bass, length: eighth * 1.8, level: 0.5 }, nextNoteTime, musicGain);
+			}
+			if (lead) {
+				playNote({ wave: 'square', from: lead, to: lead, length: eighth * 0.6, level: 0.08 }, nextNoteTime, musicGain);
+			}
+			nextNote = (nextNote + 1) % MUSIC_BASS.length;
+			nextNoteTime += eighth;
+		}
+	}
+
+	return {
+		settings,
+
+		// Create the audio graph; call from a user gesture (click, key or touch)
+		// Safe to call repeatedly; also resumes a context the browser suspended
+		unlock() {
+			if (!AudioContextClass) return;
+			if (!ctx) {
+				ctx = new AudioContextClass();
+				master = ctx.createGain();
+				master.connect(ctx.destination);
+				effects = ctx.createGain();
+				effects.connect(master);
+				musicGain = ctx.createGain();
+				musicGain.connect(master);
+				master.gain.value = 0;
+				applyLevels();
+			}
+			if (ctx.state === 'suspended') {
+				ctx.resume();
+			}
+		},
+
+		// Play one of SOUNDS now; does nothing until unlocked
+		play(name) {
+			const notes = SOUNDS[name];
+			if (!ctx || !notes) return;
+			const now = ctx.currentTime;
+			for (const note of notes) {
+				playNote(note, now + note.at, effects);
+			}
+		},
+
+		startMusic() {
+			if (!ctx || sequencer !== null) return;
+			nextNote = 0;
+			nextNoteTime = ctx.currentTime + 0.05;
+			scheduleMusic();
+			sequencer = timers.setInterval(scheduleMusic, SCHEDULER_MS);
+		},
+
+		stopMusic() {
+			if (sequencer === null) return;
+			timers.clearInterval(sequencer);
+			sequencer = null;
+		},
+
+		isMusicPlaying() {
+			return sequencer !== null;
+		},
+
+		// Settings changes take effect immediately; saving them is up to the caller
+		setMuted(muted) {
+			settings.muted = Boolean(muted);
+			applyLevels();
+		},
+		setVolume(volume) {
+			settings.volume = clampLevel(volume);
+			applyLevels();
+		},
+		setMusic(enabled) {
+			settings.music = Boolean(enabled);
+			applyLevels();
+		},
+		setMusicVolume(volume) {
+			settings.musicVolume = clampLevel(volume);
+			applyLevels();
+		},
+	};
+}
@@ -0,0 +1,130 @@
+// AUTOPILOT
+// A bot that plays the game through the same flap() a player uses. Each step it looks at the
+// teeth the tongue is about to pass, works out the narrowest opening they'll leave while the
+// tongue is between them (chomping and bobbing teeth are run forward with applyMotion), and
+// flaps when the tongue is about to drop below that opening, unless the flap would carry it
+// into the top teeth.
+// It drives the title screen's attract-mode demo and the game over screen's SHOW ME hint, and
+// tools/simulate.js uses it to check that the game stays beatable.
+// Reference: Flappy Bird bots, lookahead control
+
+import { flap, step, createGame, resetGame, tongueHitbox, GROUND_HEIGHT, STEP_MS } from './game.js';
+import { difficultyAt } from './difficulty.js';
+import { applyMotion } from './patterns.js';
+import { shapeBounds } from './hitbox.js';
+
+const MARGIN = 10;            // Room the bot keeps from the teeth (pixels)
+const REACH = 8;              // The teeth's lips stick out a little past the pipe's sides
+const SAMPLE_STEPS = 3;       // How often moving teeth are sampled while the tongue is between them
+export const DEFAULT_MAX_TICKS = 60 * 60 * 5; // Longest headless run: five minutes of play
+
+// Where a pipe's gap is `ticks` steps from now (moving teeth keep moving, still ones stay)
+// A braces wire splits the gap; the bot takes the half it's in already (by its centre y)
+function gapAt(p, ticks, centre) {
+	let top = p.topHeight;
+	let gap = p.gap;
+	if (p.motion && ticks > 0) {
+		const future = { baseTop: p.baseTop, baseGap: p.baseGap, motion: p.motion, age: p.age + ticks * STEP_MS };
+		applyMotion(future);
+		top = future.topHeight;
+		gap = future.gap;
+	}
+	let bottom = top + gap;
+	if (p.wire) {
+		const wire = top + gap * p.wire.at;
+		if (centre < wire) {
+			bottom = wire - p.wire.thickness / 2;
+		} else {
+			top = wire + p.wire.thickness / 2;
+		}
+	}
+	return { top, bottom };
+}
+
+// The narrowest opening a pipe leaves while the tongue's box is between its teeth
+function openingFor(p, box, speed) {
+	const enter = Math.max(0, Math.floor((p.x - REACH - (box.x + box.w)) / speed));
+	const leave = Math.max(enter, Math.ceil((p.x + p.width + REACH - box.x) / speed));
+	const opening = { top: -Infinity, bottom: Infinity };
+	for (let t = enter; ; t = Math.min(leave, t + SAMPLE_STEPS)) {
+		const gap = gapAt(p, t, box.y + box.h / 2);
+		opening.top = Math.max(opening.top, gap.top);
+		opening.bottom = Math.min(opening.bottom, gap.bottom);
+		if (!p.motion || t === leave) break;
+	}
+	return opening;
+}
+
+// Should this player flap now? (player 1's tongue by default)
+export function autopilotWantsFlap(game, player = 0) {
+	const tongue = game.tongues[player];
+	if (game.isGameOver || !tongue || tongue.isOut) return false;
+	const physics = game.physics;
+	const speed = Math.max(0.1, difficultyAt(game.difficulty, game.score).scrollSpeed * physics.scrollScale);
+	const box = shapeBounds(tongueHitbox(game, tongue));
+
+	// Aim for the nearest teeth the tongue isn't all the way past, and the ones after; with
+	// none in sight, the middle of the mouth
+	const ahead = game.pipes.filter(function (p) {
+		return p.x + p.width + REACH > box.x;
+	}).sort(function (a, b) {
+		return a.x - b.x;
+	});
+	const middle = (game.world.height - GROUND_HEIGHT) / 2;
+	const opening = ahead.length ? openingFor(ahead[0], box, speed) : { top: 0, bottom: middle + box.h };
+	const after = ahead.length > 1 ? openingFor(ahead[1], box, speed) : null;
+
+	// The tongue is kept just above the bottom teeth, flapping as late as it can: every flap
+	// carries it `rise` higher before it falls back. When the teeth after these are higher it
+	// flies as high as these allow, to have less to climb
+	const rise = physics.flapPower * physics.flapPower / (2 * physics.gravity);
+	let line = opening.bottom - MARGIN;
+	if (after && after.bottom < opening.bottom) {
+		line = Math.max(after.bottom - MARGIN, opening.top + box.h + rise + MARGIN, line - rise);
+		line = Math.min(line, opening.bottom - MARGIN);
+	}
+	// An opening too narrow to fly through level is aimed at in the middle
+	line = Math.max(line, (opening.top + opening.bottom + box.h) / 2);
+
+	// Where the tongue's bottom edge will be next step without a flap
+	const nextBottom = box.y + box.h + tongue.mouthVelY + physics.gravity;
+	if (nextBottom <= line) return false;
+	// Hold off while a flap would carry the tongue into the top teeth, unless the bottom ones are closer
+	return box.y - rise >= opening.top + MARGIN / 2 || nextBottom > opening.bottom - MARGIN / 2;
+}
+
+// Flap for every tongue the autopilot is playing; call before each step()
+export function autopilotStep(game, players = [0]) {
+	for (const player of players) {
+		if (autopilotWantsFlap(game, player)) {
+			flap(game, player);
+		}
+	}
+}
+
+// Play a whole run with the autopilot, as fast as the machine allows
+// options are resetGame's (seed, difficulty, gapScale, physics, ...) plus maxTicks, after
+// which a run that's still going is stopped
+// Returns { score, ticks, durationMs, cause, finished, run }; run is the recording, ready to
+// replay (a stopped run's recording just ends: its tongue drops once the flaps run out)
+export function playAutopilot(options = {}) {
+	const maxTicks = options.maxTicks || DEFAULT_MAX_TICKS;
+	const game = createGame({ width: options.width, height: options.height, hitboxMode: options.hitboxMode, tongueMask: options.tongueMask });
+	let cause = null;
+	game.events.on('gameover', function (e) {
+		cause = e.cause;
+	});
+	resetGame(game, options);
+	while (!game.isGameOver && game.tick < maxTicks) {
+		autopilotStep(game);
+		step(game);
+	}
+	return {
+		score: game.score,
+		ticks: game.tick,
+		durationMs: game.tick * STEP_MS,
+		cause,
+		finished: game.isGameOver,
+		run: game.isGameOver ? game.lastRun : game.recording,
+	};
+}
@@ -0,0 +1,43 @@
+// GAME CONSTANTS AND CONFIGURATION
+// Shared by the simulation, the difficulty presets and the renderer.
+// Kept in their own module so anything can import them without pulling in the game.
+
+// Physics and gameplay constants
+// These values control the game's feel; the pipe values are where the Normal preset starts
+// Reference: Game design principles, physics simulation basics
+export const GRAVITY = 0.45;           // How fast the mouth falls (pixels per step)
+export const FLAP_STRENGTH = -7.5;     // How much upward force a flap provides (negative = up)
+export const PIPE_GAP_MIN = 140;       // Minimum space between top and bottom pipes
+export const PIPE_GAP_MAX = 200;       // Maximum space between top and bottom pipes
+export const PIPE_WIDTH = 70;          // Width of each pipe (teeth)
+export const PIPE_INTERVAL_MS = 1400;  // Time between new pipes spawning (milliseconds)
+export const SCROLL_SPEED = 2.6;       // How fast everything moves left (pixels per step)
+export const MOUTH_SIZE = 32;          // Size of the mouth/tongue sprite
+export const GROUND_HEIGHT = 80;       // Height of the ground/teeth area
+export const NEAR_MISS_DISTANCE = 8;   // Clearing the teeth by less than this is a near miss
+
+// Experimental physics
+// The settings screen lets players play with gravity, flap power and scroll speed. A run's
+// physics are recorded with it, and runs that change them stay off the leaderboards.
+// Limits are { min, max, step } for each value
+export const DEFAULT_PHYSICS = {
+	gravity: GRAVITY,           // Added to the fall speed every step
+	flapPower: -FLAP_STRENGTH,  // Upward speed a flap gives
+	scrollScale: 1,             // Multiplies the difficulty preset's scroll speed
+};
+export const PHYSICS_LIMITS = {
+	gravity: { min: 0.25, max: 0.7, step: 0.05 },
+	flapPower: { min: 5, max: 10, step: 0.5 },
+	scrollScale: { min: 0.5, max: 1.5, step: 0.1 },
+};
+
+// Logical world size
+// Every run is simulated in this fixed space whatever the window size, so gaps are equally
+// hard on every screen; the renderer scales it to fit (see viewport.js)
+export const WORLD_WIDTH = 480;
+export const WORLD_HEIGHT = 720;
+
+// Fixed timestep settings
+// The physics constants above were tuned for one update per 60 Hz frame, so the
+// simulation always advances in 60 Hz steps no matter how fast the screen refreshes
+export const STEP_MS = 1000 / 60;      // Length of one simulation step (milliseconds)
@@ -0,0 +1,57 @@
+// DIFFICULTY PRESETS AND PROGRESSION
+// Each preset says where the pipe settings start, how much they change per point scored
+// and how far they are allowed to go. As the score rises the gaps tighten, the teeth
+// scroll faster and spawn sooner, until the preset's limits are reached.
+// Reference: Difficulty curves in endless runners, linear ramp with clamping
+
+import { PIPE_GAP_MIN, PIPE_GAP_MAX, PIPE_INTERVAL_MS, SCROLL_SPEED } from './constants.js';
+
+// Preset used when nothing else has been chosen
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Presets in the order they appear on the landing screen
+// gapMin/gapMax: space between top and bottom teeth (pixels)
+// intervalMs: time between new teeth (milliseconds)
+// scrollSpeed: how fast the teeth move left (pixels per step)
+export const DIFFICULTY_PRESETS = {
+	easy: {
+		label: 'EASY',
+		start: { gapMin: 170, gapMax: 230, intervalMs: 1600, scrollSpeed: 2.2 },
+		perPoint: { gapMin: -0.75, gapMax: -1, intervalMs: -6, scrollSpeed: 0.015 },
+		limit: { gapMin: 140, gapMax: 190, intervalMs: 1300, scrollSpeed: 3.2 },
+	},
+	normal: {
+		label: 'NORMAL',
+		start: { gapMin: PIPE_GAP_MIN, gapMax: PIPE_GAP_MAX, intervalMs: PIPE_INTERVAL_MS, scrollSpeed: SCROLL_SPEED },
+		perPoint: { gapMin: -1.5, gapMax: -2, intervalMs: -12, scrollSpeed: 0.03 },
+		limit: { gapMin: 110, gapMax: 150, intervalMs: 1000, scrollSpeed: 4 },
+	},
+	hard: {
+		label: 'HARD',
+		start: { gapMin: 125, gapMax: 175, intervalMs: 1250, scrollSpeed: 3 },
+		perPoint: { gapMin: -2, gapMax: -2.5, intervalMs: -15, scrollSpeed: 0.04 },
+		limit: { gapMin: 100, gapMax: 130, intervalMs: 900, scrollSpeed: 4.6 },
+	},
+};
+
+// Preset ids in display order
+export const DIFFICULTY_IDS = Object.keys(DIFFICULTY_PRESETS);
+
+// Is this a known preset id?
+export function isDifficulty(id) {
+	return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, id);
+}
+
+// Pipe settings for a preset at a given score
+// Unknown ids fall back to the default preset
+export function difficultyAt(id, score) {
+	const preset = DIFFICULTY_PRESETS[isDifficulty(id) ? id : DEFAULT_DIFFICULTY];
+	const settings = {};
+	for (const key of Object.keys(preset.start)) {
+		const value = preset.start[key] + preset.perPoint[key] * score;
+		const limit = preset.limit[key];
+		// Ramps only ever move toward their limit
+		settings[key] = preset.perPoint[key] < 0 ? Math.max(limit, value) : Math.min(limit, value);
+	}
+	return settings;
+}
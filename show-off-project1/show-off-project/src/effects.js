@@ -0,0 +1,172 @@
+// PARTICLES AND SCREEN EFFECTS
+// Purely cosmetic feedback layered over the simulation: saliva droplets on a flap, sparkles
+// on a point, and on a crash a screen shake, a white flash and the tongue tumbling away
+// before the GAME OVER text. Nothing here feeds back into game.js, and it uses its own
+// random source so replays stay deterministic.
+// Particles live in a fixed pool allocated up front, so a busy frame allocates nothing.
+// Reference: Object pool pattern, "Juice it or lose it" (Jonasson & Purho)
+
+export const PARTICLE_POOL_SIZE = 160;  // Most particles alive at once; extra bursts are dropped
+export const SHAKE_MS = 350;            // How long the collision shake lasts
+export const FLASH_MS = 200;            // How long the collision flash takes to fade
+export const DEATH_MS = 900;            // Death animation before the game over screen
+
+// What each burst looks like
+// speed is in pixels per millisecond, spread the launch cone in radians around angle
+// (0 is right, -PI/2 is up), gravity in pixels per millisecond squared
+export const BURSTS = {
+	flap: { count: 6, shape: 'drop', colors: ['#d8f3ff', '#ffffff'], angle: Math.PI * 0.75, spread: 0.8, speed: [0.08, 0.18], size: [2, 4], life: [300, 500], gravity: 0.0008 },
+	score: { count: 14, shape: 'spark', colors: ['#fff200', '#ffffff'], angle: -Math.PI / 2, spread: Math.PI, speed: [0.08, 0.22], size: [3, 6], life: [400, 700], gravity: 0.0002 },
+	hit: { count: 24, shape: 'drop', colors: ['#ff6b6b', '#ffffff', '#e0c700'], angle: -Math.PI / 2, spread: Math.PI, speed: [0.1, 0.35], size: [2, 5], life: [500, 900], gravity: 0.0009 },
+};
+
+// Fixed-size particle storage
+// Particles are plain objects reused in place; `active` marks the ones in use
+export function createParticlePool(size = PARTICLE_POOL_SIZE) {
+	const particles = [];
+	for (let i = 0; i < size; i++) {
+		particles.push({ active: false, x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, size: 0, gravity: 0, color: '', shape: '' });
+	}
+	let cursor = 0; // Where to start looking for a free slot
+
+	return {
+		particles,
+
+		// Take a free particle, or null when the pool is full
+		acquire() {
+			for (let n = 0; n < size; n++) {
+				const p = particles[(cursor + n) % size];
+				if (!p.active) {
+					cursor = (cursor + n + 1) % size;
+					p.active = true;
+					p.age = 0;
+					return p;
+				}
+			}
+			return null;
+		},
+
+		// Move every live particle on by dt milliseconds and retire the expired ones
+		update(dt) {
+			for (const p of particles) {
+				if (!p.active) continue;
+				p.age += dt;
+				if (p.age >= p.life) {
+					p.active = false;
+					continue;
+				}
+				p.vy += p.gravity * dt;
+				p.x += p.vx * dt;
+				p.y += p.vy * dt;
+			}
+		},
+
+		activeCount() {
+			let count = 0;
+			for (const p of particles) {
+				if (p.active) count++;
+			}
+			return count;
+		},
+
+		clear() {
+			for (const p of particles) {
+				p.active = false;
+			}
+		},
+	};
+}
+
+function between(rng, range) {
+	return range[0] + rng() * (range[1] - range[0]);
+}
+
+// Create the effects state
+// options.reducedMotion turns every effect off; options.rng is the random source
+export function createEffects(options = {}) {
+	const rng = options.rng || Math.random;
+	const pool = createParticlePool(options.poolSize);
+	let shake = 0;    // Milliseconds of shake left
+	let flash = 0;    // Milliseconds of flash left
+	let death = null; // Tongue pose while it tumbles away: { x, y, vy, angle, spin, elapsed }
+
+	const effects = {
+		pool,
+		reducedMotion: Boolean(options.reducedMotion),
+
+		// Spray one of BURSTS from (x, y)
+		burst(kind, x, y) {
+			const spec = BURSTS[kind];
+			if (!spec || effects.reducedMotion) return;
+			for (let i = 0; i < spec.count; i++) {
+				const p = pool.acquire();
+				if (!p) return;
+				const angle = spec.angle + (rng() - 0.5) * spec.spread * 2;
+				const speed = between(rng, spec.speed);
+				p.x = x;
+				p.y = y;
+				p.vx = Math.cos(angle) * speed;
+				p.vy = Math.sin(angle) * speed;
+				p.life = between(rng, spec.life);
+				p.size = between(rng, spec.size);
+				p.gravity = spec.gravity;
+				p.color = spec.colors[i % spec.colors.length];
+				p.shape = spec.shape;
+			}
+		},
+
+		// Crash feedback: shake, flash and start the death animation from the tongue's pose
+		crash(x, y, angle) {
+			if (effects.reducedMotion) return;
+			shake = SHAKE_MS;
+			flash = FLASH_MS;
+			death = { x, y, vy: -0.35, angle, spin: 0.012, elapsed: 0 };
+		},
+
+		// Advance everything by dt milliseconds of real time
+		update(dt) {
+			pool.update(dt);
+			shake = Math.max(0, shake - dt);
+			flash = Math.max(0, flash - dt);
+			if (death) {
+				death.elapsed += dt;
+				death.vy += 0.0015 * dt;
+				death.y += death.vy * dt;
+				death.angle += death.spin * dt;
+				if (death.elapsed >= DEATH_MS) {
+					death = null;
+				}
+			}
+		},
+
+		// Screen offset for the current shake, in pixels
+		shakeOffset() {
+			if (shake <= 0) return { x: 0, y: 0 };
+			const strength = 8 * (shake / SHAKE_MS);
+			return { x: (rng() - 0.5) * 2 * strength, y: (rng() - 0.5) * 2 * strength };
+		},
+
+		// Opacity of the white collision flash, 0..1
+		flashAlpha() {
+			return flash > 0 ? 0.8 * (flash / FLASH_MS) : 0;
+		},
+
+		// The tumbling tongue's pose while the death animation runs, otherwise null
+		deathPose() {
+			return death;
+		},
+
+		isDying() {
+			return death !== null;
+		},
+
+		// Drop everything (new run, or reduced motion switched on)
+		reset() {
+			pool.clear();
+			shake = 0;
+			flash = 0;
+			death = null;
+		},
+	};
+	return effects;
+}
@@ -0,0 +1,120 @@
+// COLLECTIBLES AND POWER-UPS
+// Things floating in the gaps between the teeth. They live in game.entities next to
+// game.pipes, scroll with them and are picked up when the tongue touches them:
+//   collectibles  add bonus points straight away (candy)
+//   power-ups     start a timer in the tongue's powerUps; while it runs the power-up changes the run
+//                 (shield: the next tooth hit is absorbed, slowmo: the teeth scroll slower,
+//                 shrink: the tongue and its hitbox are smaller)
+// What can spawn, and how often, is data (SPAWN_RULES). Rolls come from the run's seeded
+// random source, the same one spawnPipe() uses, so replays see the same pickups.
+// Reference: Entity lists in arcade games, weighted random choice
+
+// Everything that can spawn
+// kind is 'collectible' or 'powerup'; radius is the pickup size in world units
+// points: bonus for a collectible; durationMs: how long a power-up lasts once picked up
+export const ENTITY_TYPES = {
+	candy: { kind: 'collectible', label: 'CANDY', radius: 10, color: '#ff7eb6', points: 2 },
+	shield: { kind: 'powerup', label: 'SHIELD', radius: 12, color: '#6ad5ff', durationMs: 10000 },
+	slowmo: { kind: 'powerup', label: 'SLOW-MO', radius: 12, color: '#b48cff', durationMs: 5000, scrollScale: 0.6 },
+	shrink: { kind: 'powerup', label: 'SHRINK', radius: 12, color: '#7dff8a', durationMs: 6000, sizeScale: 0.6 },
+};
+
+// What spawns in the gap of each new pipe
+// One roll per pipe is spread over the rules in order: a rule takes `chance` of the roll
+// once the score reaches minScore, so at most one entity spawns per pipe
+export const SPAWN_RULES = [
+	{ type: 'candy', chance: 0.3, minScore: 0 },
+	{ type: 'shrink', chance: 0.05, minScore: 3 },
+	{ type: 'shield', chance: 0.05, minScore: 5 },
+	{ type: 'slowmo', chance: 0.05, minScore: 8 },
+];
+
+// The entity type a roll in [0, 1) picks at this score, or null for none
+export function chooseSpawn(rules, roll, score) {
+	let from = 0;
+	for (const rule of rules) {
+		if (score < rule.minScore) continue;
+		if (roll < from + rule.chance) {
+			return rule.type;
+		}
+		from += rule.chance;
+	}
+	return null;
+}
+
+// Roll for an entity in the gap of a freshly spawned pipe
+// Consumes one roll, plus one for the height when something spawns, so a course still
+// depends only on its seed (but the pipes after it depend on whether something spawned)
+export function spawnEntity(game, pipe, rules = SPAWN_RULES) {
+	const type = chooseSpawn(rules, game.rng(), game.score);
+	if (!type) return null;
+	const x = pipe.x + pipe.width / 2;
+	const entity = {
+		type,
+		x,                                   // Centre, in world units
+		prevX: x,                            // Centre at the previous step (for interpolation)
+		pipe,                                // The pipe whose gap it floats in
+		place: 0.25 + game.rng() * 0.5,      // How far down the gap (0-1): somewhere in the middle half
+		radius: ENTITY_TYPES[type].radius,
+	};
+	followGap(entity);
+	entity.prevY = entity.y;                 // Centre height at the previous step (for interpolation)
+	game.entities.push(entity);
+	return entity;
+}
+
+// Keep an entity at the same place in its pipe's gap while the teeth bob or chomp
+// Entities placed by hand, without a pipe, stay where they are
+export function followGap(entity) {
+	if (entity.pipe) {
+		entity.y = entity.pipe.topHeight + entity.pipe.gap * entity.place;
+	}
+}
+
+// Does the entity touch a box (the tongue hitbox's bounds)?
+export function entityTouches(entity, box) {
+	const nearestX = Math.max(box.x, Math.min(entity.x, box.x + box.w));
+	const nearestY = Math.max(box.y, Math.min(entity.y, box.y + box.h));
+	const dx = entity.x - nearestX;
+	const dy = entity.y - nearestY;
+	return dx * dx + dy * dy < entity.radius * entity.radius;
+}
+
+// Start a power-up on a tongue, or top its timer back up if it's already running
+export function grantPowerUp(tongue, type) {
+	tongue.powerUps[type] = ENTITY_TYPES[type].durationMs;
+}
+
+// Run the power-up timers down by ms; returns the types that just ran out
+export function tickPowerUps(tongue, ms) {
+	const expired = [];
+	for (const type of Object.keys(tongue.powerUps)) {
+		tongue.powerUps[type] -= ms;
+		if (tongue.powerUps[type] <= 0) {
+			delete tongue.powerUps[type];
+			expired.push(type);
+		}
+	}
+	return expired;
+}
+
+// Is a power-up running on a tongue?
+export function hasPowerUp(tongue, type) {
+	return Object.prototype.hasOwnProperty.call(tongue.powerUps, type);
+}
+
+// A tongue's running power-ups for the HUD, in ENTITY_TYPES order: [{ type, label, color, remainingMs, fraction }]
+export function activePowerUps(tongue) {
+	return Object.keys(ENTITY_TYPES).filter(function (type) {
+		return hasPowerUp(tongue, type);
+	}).map(function (type) {
+		const spec = ENTITY_TYPES[type];
+		return {
+			type,
+			label: spec.label,
+			color: spec.color,
+			remainingMs: tongue.powerUps[type],
+			fraction: tongue.powerUps[type] / spec.durationMs,
+		};
+	});
+}
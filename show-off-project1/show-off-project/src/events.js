@@ -0,0 +1,39 @@
+// GAME EVENTS
+// A tiny publish/subscribe helper so the simulation can announce what happened
+// (flaps, points, crashes) without knowing who is listening
+// Reference: Observer pattern, DOM EventTarget
+
+export function createEmitter() {
+	const handlers = new Map(); // event type -> array of handler functions
+
+	// Subscribe to an event type; returns a function that unsubscribes again
+	function on(type, handler) {
+		if (!handlers.has(type)) {
+			handlers.set(type, []);
+		}
+		handlers.get(type).push(handler);
+		return function () {
+			off(type, handler);
+		};
+	}
+
+	function off(type, handler) {
+		const list = handlers.get(type);
+		if (!list) return;
+		const index = list.indexOf(handler);
+		if (index !== -1) {
+			list.splice(index, 1);
+		}
+	}
+
+	// Call every handler for this type with the event detail
+	function emit(type, detail) {
+		const list = handlers.get(type);
+		if (!list) return;
+		for (const handler of list.slice()) {
+			handler(detail);
+		}
+	}
+
+	return { on, off, emit };
+}
@@ -0,0 +1,576 @@
+// MOUTH TRAP SIMULATION
+// Everything that decides what happens in a run: tongue physics, teeth spawning (from the
+// pattern library in src/patterns.js), pickups and power-ups (src/entities.js), collisions
+// and scoring. There is no DOM, canvas or storage access in here, so the same code drives
+// the browser game, replays and the Node test suite.
+// The teeth, pickups and scroll belong to the game; everything that belongs to a player
+// (position, power-ups, score) lives in one tongue per player, so two players can race
+// through the same course.
+// Reference: Flappy Bird mechanics, "Fix Your Timestep!" by Glenn Fiedler
+
+import { createRng, randomSeed } from './rng.js';
+import { createEmitter } from './events.js';
+import { createRecording } from './replay.js';
+import { tongueShape, teethShapes, shapeBounds, shapesOverlap } from './hitbox.js';
+import { difficultyAt, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { OBSTACLE_PATTERNS, choosePattern, motionReach, patternShifts, applyMotion } from './patterns.js';
+import { ENTITY_TYPES, spawnEntity, followGap, entityTouches, grantPowerUp, tickPowerUps, hasPowerUp } from './entities.js';
+import {
+	DEFAULT_PHYSICS,
+	PIPE_WIDTH,
+	MOUTH_SIZE,
+	GROUND_HEIGHT,
+	NEAR_MISS_DISTANCE,
+	STEP_MS,
+	WORLD_WIDTH,
+	WORLD_HEIGHT,
+} from './constants.js';
+
+// The tuning constants live in constants.js; re-exported so callers only need this module
+export * from './constants.js';
+
+// GAME STATE
+
+// Where every tongue starts across the world: 28% from the left
+function startX(world) {
+	return world.width * 0.28;
+}
+
+// Create a tongue for one player, at the start position for a world
+export function createTongue(world) {
+	return {
+		mouthY: world.height / 2,      // Vertical position (starts at center)
+		mouthX: startX(world),         // Horizontal position
+		mouthVelY: 0,                  // Vertical velocity (speed of falling/rising)
+		prevMouthY: world.height / 2,  // Vertical position at the previous step (for interpolation)
+		powerUps: {},                  // Running power-ups: type -> milliseconds left (see entities.js)
+		absorbed: null,                // Pipe a shield took the hit from (it can't hit this tongue again)
+		score: 0,                      // Points this tongue has scored
+		isOut: false,                  // Whether this tongue has crashed
+		outTick: null,                 // Step it crashed on, to rank tongues with the same score
+	};
+}
+
+// Create a fresh game
+// width/height are the world size in world units (default WORLD_WIDTH x WORLD_HEIGHT);
+// nothing is spawned until resetGame()
+// hitboxMode picks the tongue hitbox (see HITBOX_MODES in hitbox.js); tongueMask is the
+// optional sprite mask used by the 'mask' mode; difficulty is a preset id from difficulty.js;
+// gapScale widens every gap (the wider gaps assist option, see assist.js); physics overrides
+// DEFAULT_PHYSICS from constants.js; players is how many tongues race (1 or 2)
+export function createGame(options = {}) {
+	const width = options.width || WORLD_WIDTH;
+	const height = options.height || WORLD_HEIGHT;
+	const game = {
+		// World size used by the simulation (fixed for the length of a run)
+		world: { width, height },
+
+		// One tongue per player; tongues[0] is player 1
+		tongues: [],
+
+		// Collision shapes
+		hitboxMode: options.hitboxMode || 'polygon', // How the tongue's hitbox is built
+		tongueMask: options.tongueMask || null,      // Solid pixels of the tongue sprite, for 'mask' mode
+
+		// Teeth management
+		pipes: [],                     // Array storing all active teeth obstacles
+		lastPipeAt: 0,                 // Time since the last teeth spawn (milliseconds)
+		sequence: null,                // Pattern being spawned: { pattern, index, anchor } (see patterns.js)
+
+		// Collectibles and power-ups (see entities.js)
+		entities: [],                  // Candies and power-ups floating in the gaps
+
+		// Scoring and game state
+		difficulty: options.difficulty || DEFAULT_DIFFICULTY, // Preset id driving the pipe settings
+		gapScale: options.gapScale || 1, // Assist: every gap is this much wider (recorded with the run)
+		physics: { ...DEFAULT_PHYSICS, ...options.physics }, // Gravity, flap power and scroll scale (recorded with the run)
+		score: 0,                      // Course score: the best tongue's score, which drives the difficulty
+		isGameOver: false,             // Whether the run has ended (every tongue is out)
+		accumulator: 0,                // Frame time not yet consumed by simulation steps
+		backgroundOffset: 0,           // Distance scrolled this run; parallax layers scale and wrap it
+		prevBackgroundOffset: 0,       // Scroll distance at the previous step (for interpolation)
+
+		// Run recording and replay
+		rng: Math.random,              // Random source for procedural generation (seeded per run)
+		tick: 0,                       // Number of simulation steps taken in this run
+		recording: null,               // Recording of the live run in progress: seed + flap ticks
+		lastRun: null,                 // Most recent finished recording, available to replay or export
+		replay: null,                  // Active replay ({ run, nextFlap }) or null during live play
+
+		// Subscribers for 'flap', 'score', 'pickup', 'powerupend', 'nearmiss', 'collision' and
+		// 'gameover'; every event but 'gameover' names the player it happened to
+		events: createEmitter(),
+	};
+	game.tongues = makeTongues(game.world, options.players || 1);
+	return game;
+}
+
+function makeTongues(world, players) {
+	const tongues = [];
+	for (let i = 0; i < players; i++) {
+		tongues.push(createTongue(world));
+	}
+	return tongues;
+}
+
+// CORE GAME FUNCTIONS
+
+// Reset all game state to initial values
+// Called when starting a new game or restarting after game over
+// options.run replays a recording; otherwise a new live run is recorded using
+// options.width/height (defaults to the current world), options.seed (defaults to random),
+// options.difficulty (defaults to the current preset), options.gapScale, options.physics,
+// options.hitboxMode and options.players (default to the current ones)
+// Races between two players aren't recorded: a recording holds one player's flaps
+// Reference: Game state management, initialization patterns
+export function resetGame(game, options = {}) {
+	const run = options.run || null;
+	const seed = run ? run.seed : (options.seed !== undefined ? options.seed : randomSeed());
+	const world = game.world;
+	// Replays restore the world size they were recorded with
+	world.width = run ? run.world.width : (options.width || world.width);
+	world.height = run ? run.world.height : (options.height || world.height);
+
+	// Replays are always one player
+	const players = run ? 1 : (options.players || game.tongues.length);
+	game.tongues = makeTongues(world, players); // Tongues back to the start, scores and power-ups cleared
+	game.accumulator = 0;               // Drop any leftover frame time
+	game.pipes = [];                    // Clear all teeth obstacles
+	game.lastPipeAt = 0;                // Reset teeth spawn timer
+	game.sequence = null;               // Next pipe starts a new pattern
+	game.entities = [];                 // Clear pickups
+	game.score = 0;                     // Reset score to zero
+	game.isGameOver = false;            // Mark game as active
+	game.backgroundOffset = 0;          // Reset background scroll position
+	game.prevBackgroundOffset = 0;
+
+	game.rng = createRng(seed);         // Same seed, same teeth
+	game.tick = 0;
+	game.replay = run ? { run, nextFlap: 0 } : null;
+	if (run) {
+		game.hitboxMode = run.hitbox;   // Collisions must match the recording
+		game.difficulty = run.difficulty;
+		game.gapScale = run.assist.gapScale;
+		game.physics = { ...run.physics };
+	} else {
+		if (options.difficulty) {
+			game.difficulty = options.difficulty;
+		}
+		if (options.gapScale) {
+			game.gapScale = options.gapScale;
+		}
+		if (options.physics) {
+			game.physics = { ...DEFAULT_PHYSICS, ...options.physics };
+		}
+		if (options.hitboxMode) {
+			game.hitboxMode = options.hitboxMode;
+		}
+	}
+	game.recording = run || players > 1 ? null : createRecording(seed, world, game.hitboxMode, game.difficulty, { gapScale: game.gapScale }, game.physics);
+}
+
+// Are these the standard physics? Runs with anything else stay off the leaderboards
+export function isDefaultPhysics(physics) {
+	return Object.keys(DEFAULT_PHYSICS).every(function (key) {
+		return physics[key] === DEFAULT_PHYSICS[key];
+	});
+}
+
+// Handle tongue movement (jumping) action for a player (0 is player 1)
+// Restarting after game over is up to the caller; a finished run or a crashed tongue ignores flaps
+export function flap(game, player = 0) {
+	const tongue = game.tongues[player];
+	if (game.isGameOver || !tongue || tongue.isOut) return;
+
+	// Remember which step this flap lands on so the run can be replayed
+	if (game.recording) {
+		game.recording.flaps.push(game.tick);
+	}
+
+	// Apply upward force to the tongue
+	tongue.mouthVelY = -game.physics.flapPower; // Negative value = upward movement
+	game.events.emit('flap', { tick: game.tick, player });
+}
+
+// Order two tongues for the race results: more points first, then whoever stayed in longer
+function compareTongues(a, b) {
+	if (a.score !== b.score) return a.score - b.score;
+	const aLasted = a.isOut ? a.outTick : Infinity;
+	const bLasted = b.isOut ? b.outTick : Infinity;
+	return aLasted === bLasted ? 0 : (aLasted > bLasted ? 1 : -1);
+}
+
+// Who won a race: the index of the best tongue (see compareTongues), or null for a draw
+// Works on tongues from different games too, as long as their runs started together
+export function raceWinner(tongues) {
+	let winner = null;
+	let best = null;
+	tongues.forEach(function (tongue, i) {
+		const order = best ? compareTongues(tongue, best) : 1;
+		if (order > 0) {
+			winner = i;
+			best = tongue;
+		} else if (order === 0) {
+			winner = null;
+		}
+	});
+	return winner;
+}
+
+// Create a new teeth obstacle
+// Spawns the next pipe of the current pattern, picking a new pattern when the last one is
+// done. Gap sizes come from the difficulty preset at the current score; the first pipe of a
+// pattern goes at a random height and the rest are placed relative to it
+// Reference: Procedural generation, collision detection setup
+export function spawnPipe(game) {
+	const world = game.world;
+	const settings = difficultyAt(game.difficulty, game.score);
+
+	if (!game.sequence) {
+		game.sequence = { pattern: choosePattern(OBSTACLE_PATTERNS, game.rng(), game.score), index: 0, anchor: 0 };
+	}
+	const sequence = game.sequence;
+	const pattern = OBSTACLE_PATTERNS[sequence.pattern];
+	const spec = pattern.pipes[sequence.index];
+
+	// Calculate random gap size between min and max
+	const gap = (settings.gapMin + game.rng() * (settings.gapMax - settings.gapMin)) * (spec.gapScale || 1) * game.gapScale;
+
+	// Define safe boundaries for teeth placement, leaving room for any movement
+	const reach = motionReach(spec.motion);
+	const topLimit = 40 + reach;                                         // Minimum distance from top
+	const bottomLimit = world.height - GROUND_HEIGHT - 40 - gap - reach; // Maximum distance from ground
+
+	// The first pipe picks the pattern's gap centre, leaving room for the later pipes' shifts
+	if (sequence.index === 0) {
+		const shifts = patternShifts(pattern);
+		const low = topLimit + gap / 2 - shifts.min;
+		const high = bottomLimit + gap / 2 - shifts.max;
+		sequence.anchor = high > low ? low + game.rng() * (high - low) : (low + high) / 2;
+	}
+	const topHeight = Math.max(topLimit, Math.min(bottomLimit, sequence.anchor + (spec.shift || 0) - gap / 2));
+
+	// Start teeth off-screen to the right
+	const x = world.width + PIPE_WIDTH;
+
+	// Add new teeth to the pipes array
+	const pipe = {
+		x,                    // Horizontal position
+		prevX: x,             // Horizontal position at the previous step (for interpolation)
+		width: PIPE_WIDTH,    // Teeth width
+		topHeight,            // Height of top teeth
+		gap,                  // Space between top and bottom teeth
+		prevTopHeight: topHeight, // topHeight and gap at the previous step (moving teeth interpolate too)
+		prevGap: gap,
+		passed: false,        // Whether the tongues have passed this teeth (for scoring)
+		cleared: false,       // Whether the tongues are all the way past (near misses are judged then)
+		closest: [],          // Per player: the least room the tongue had inside these teeth
+		pattern: sequence.pattern, // Pattern this pipe belongs to
+		baseTop: topHeight,   // Where the teeth spawned; motion moves them around this
+		baseGap: gap,
+		motion: spec.motion || null, // How the teeth move, or null for still teeth
+		age: 0,               // Simulated time since spawning (milliseconds), drives the motion
+		wire: spec.wire || null, // Braces wire across the gap, or null
+	};
+	applyMotion(pipe);
+	pipe.prevTopHeight = pipe.topHeight;
+	pipe.prevGap = pipe.gap;
+	game.pipes.push(pipe);
+
+	sequence.index++;
+	if (sequence.index >= pattern.pipes.length) {
+		game.sequence = null;
+	}
+	return pipe;
+}
+
+// How long to wait before the next pipe, as a fraction of the usual interval
+function nextSpacing(game) {
+	const sequence = game.sequence;
+	if (!sequence) return 1;
+	return OBSTACLE_PATTERNS[sequence.pattern].pipes[sequence.index].spacing || 1;
+}
+
+// Check if two rectangles overlap (collision detection)
+// Used to detect tongue collision with teeth and ground
+// Reference: AABB (Axis-Aligned Bounding Box) collision detection
+export function rectsOverlap(ax, ay, aw, ah, bx, by, bw, bh) {
+	// Standard AABB collision formula
+	// Two rectangles overlap if they intersect on both X and Y axes
+	return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+}
+
+// Size a tongue is drawn and collides at (smaller while shrunk)
+export function tongueSize(tongue) {
+	return hasPowerUp(tongue, 'shrink') ? MOUTH_SIZE * ENTITY_TYPES.shrink.sizeScale : MOUTH_SIZE;
+}
+
+// A tongue's collision shape at its current position and tilt (player 1's by default)
+// A shrunken tongue stays centred in the usual MOUTH_SIZE box
+export function tongueHitbox(game, tongue = game.tongues[0]) {
+	const size = tongueSize(tongue);
+	const inset = (MOUTH_SIZE - size) / 2;
+	return tongueShape(tongue.mouthX + inset, tongue.mouthY + inset, size, tongue.mouthVelY, game.hitboxMode, game.tongueMask);
+}
+
+// Work out whether a tongue touches either half of a pipe, or its braces wire
+// Pass the tongue hitbox in when checking several pipes in the same step (player 1's by default)
+// Returns 'top', 'bottom', 'wire' or null
+export function pipeCollision(game, p, tongue = tongueHitbox(game)) {
+	// Cheap box test first; most pipes are nowhere near the tongue
+	const box = shapeBounds(tongue);
+	if (!rectsOverlap(box.x, box.y, box.w, box.h, p.x - 4, 0, p.width + 8, game.world.height)) {
+		return null;
+	}
+	const teeth = teethShapes(p, game.world.height - GROUND_HEIGHT);
+	if (shapesOverlap(tongue, teeth.top)) return 'top';
+	if (shapesOverlap(tongue, teeth.bottom)) return 'bottom';
+	if (teeth.wire && shapesOverlap(tongue, teeth.wire)) return 'wire';
+	return null;
+}
+
+// Close the recording once the run ends so it can be replayed or exported
+function endRun(game, cause) {
+	const replay = game.replay;
+	if (game.recording) {
+		game.recording.score = game.score;
+		game.recording.ticks = game.tick;
+		game.lastRun = game.recording;
+		game.recording = null;
+	}
+	game.events.emit('gameover', {
+		score: game.score,
+		scores: game.tongues.map(function (tongue) {
+			return tongue.score;
+		}),
+		winner: raceWinner(game.tongues),
+		difficulty: game.difficulty,
+		durationMs: game.tick * STEP_MS, // Simulated time, so pauses don't count
+		cause,
+		replay: Boolean(replay),
+		// A replay that ends on a different score than was recorded didn't play the same run
+		diverged: Boolean(replay) && typeof replay.run.score === 'number' && replay.run.score !== game.score,
+		run: replay ? replay.run : game.lastRun,
+	});
+}
+
+// While a tongue is between the teeth, remember how close it came to them
+// box is the tongue hitbox's bounds; a polygon or circle can come closer than its box
+// without touching, so the clearance may be negative for a tongue that never hit
+function noteClearance(p, player, box) {
+	if (box.x + box.w < p.x || box.x > p.x + p.width) return;
+	const clearance = Math.min(box.y - p.topHeight, p.topHeight + p.gap - (box.y + box.h));
+	if (p.closest[player] === undefined || clearance < p.closest[player]) {
+		p.closest[player] = clearance;
+	}
+}
+
+// Move a tongue under gravity; returns 'ground' if it hit the ground
+function moveTongue(game, tongue) {
+	tongue.mouthVelY += game.physics.gravity;
+	tongue.mouthY += tongue.mouthVelY;
+
+	// Ground and ceiling
+	if (tongue.mouthY < 0) {
+		tongue.mouthY = 0;
+		tongue.mouthVelY = 0;
+	}
+	const groundY = game.world.height - GROUND_HEIGHT - MOUTH_SIZE;
+	if (tongue.mouthY > groundY) {
+		tongue.mouthY = groundY;
+		return 'ground';
+	}
+	return null;
+}
+
+// Advance the simulation by exactly one fixed step
+export function step(game) {
+	// Remember where everything was so rendering can interpolate
+	for (const tongue of game.tongues) {
+		tongue.prevMouthY = tongue.mouthY;
+	}
+	game.prevBackgroundOffset = game.backgroundOffset;
+	for (const p of game.pipes) {
+		p.prevX = p.x;
+		p.prevTopHeight = p.topHeight;
+		p.prevGap = p.gap;
+	}
+	for (const e of game.entities) {
+		e.prevX = e.x;
+		e.prevY = e.y;
+	}
+
+	if (game.isGameOver) return;
+
+	// Feed recorded flaps back in on the same steps they originally landed on
+	const replay = game.replay;
+	if (replay) {
+		const flaps = replay.run.flaps;
+		while (replay.nextFlap < flaps.length && flaps[replay.nextFlap] <= game.tick) {
+			game.tongues[0].mouthVelY = -game.physics.flapPower;
+			replay.nextFlap++;
+			game.events.emit('flap', { tick: game.tick, player: 0 });
+		}
+	}
+
+	// Physics, for the tongues still in; causes[i] is why tongue i crashed this step
+	const causes = game.tongues.map(function (tongue) {
+		return tongue.isOut ? null : moveTongue(game, tongue);
+	});
+	const inPlay = function (i) {
+		return !game.tongues[i].isOut;
+	};
+
+	// Slow-mo scales the scroll and the spawn timer together, so the teeth keep their spacing
+	// In a race it slows the course for everyone
+	const settings = difficultyAt(game.difficulty, game.score);
+	const slowed = game.tongues.some(function (tongue, i) {
+		return inPlay(i) && hasPowerUp(tongue, 'slowmo');
+	});
+	const pace = slowed ? ENTITY_TYPES.slowmo.scrollScale : 1;
+	const scrollSpeed = settings.scrollSpeed * game.physics.scrollScale * pace;
+
+	// Tongues that are out stay stuck in the teeth and scroll away with them
+	for (const tongue of game.tongues) {
+		if (tongue.isOut) {
+			tongue.mouthX -= scrollSpeed;
+		}
+	}
+
+	// Pipes
+	const hitboxes = game.tongues.map(function (tongue) {
+		return tongueHitbox(game, tongue);
+	});
+	const boxes = hitboxes.map(shapeBounds);
+	game.backgroundOffset += scrollSpeed;
+	for (let i = game.pipes.length - 1; i >= 0; i--) {
+		const p = game.pipes[i];
+		p.x -= scrollSpeed;
+		if (p.x + p.width < -10) {
+			game.pipes.splice(i, 1);
+			continue;
+		}
+		if (p.motion) {
+			p.age += STEP_MS * pace;
+			applyMotion(p);
+		}
+
+		// Scoring when mouth passes pipe center; every tongue in play is at the same x
+		const mouthCenter = startX(game.world) + MOUTH_SIZE / 2;
+		const pipeCenter = p.x + p.width / 2;
+		if (!p.passed && pipeCenter < mouthCenter) {
+			p.passed = true;
+			game.tongues.forEach(function (tongue, player) {
+				if (!inPlay(player)) return;
+				tongue.score++;
+				game.score = Math.max(game.score, tongue.score);
+				game.events.emit('score', { score: tongue.score, player, replay: Boolean(replay) });
+			});
+		}
+
+		// Collision; a shield absorbs the first tooth hit and that pipe can't hit the tongue again
+		game.tongues.forEach(function (tongue, player) {
+			if (!inPlay(player) || causes[player] || tongue.absorbed === p) return;
+			const hit = pipeCollision(game, p, hitboxes[player]);
+			if (!hit) {
+				noteClearance(p, player, boxes[player]);
+				return;
+			}
+			if (hasPowerUp(tongue, 'shield')) {
+				tongue.absorbed = p;
+				delete tongue.powerUps.shield;
+				game.events.emit('powerupend', { type: 'shield', reason: 'used', player });
+			} else {
+				causes[player] = hit;
+			}
+		});
+
+		// Once the tongues are all the way through, a close pass counts as a near miss
+		if (!p.cleared && p.x + p.width < startX(game.world)) {
+			p.cleared = true;
+			p.closest.forEach(function (clearance, player) {
+				const tongue = game.tongues[player];
+				if (inPlay(player) && !causes[player] && tongue.absorbed !== p && clearance < NEAR_MISS_DISTANCE) {
+					game.events.emit('nearmiss', { player, clearance, replay: Boolean(replay) });
+				}
+			});
+		}
+	}
+
+	// Pickups; when two tongues touch one in the same step, the first player gets it
+	for (let i = game.entities.length - 1; i >= 0; i--) {
+		const e = game.entities[i];
+		e.x -= scrollSpeed;
+		followGap(e);
+		if (e.x + e.radius < -10) {
+			game.entities.splice(i, 1);
+			continue;
+		}
+		const player = game.tongues.findIndex(function (tongue, j) {
+			return inPlay(j) && !causes[j] && entityTouches(e, boxes[j]);
+		});
+		if (player === -1) continue;
+		const tongue = game.tongues[player];
+		game.entities.splice(i, 1);
+		const spec = ENTITY_TYPES[e.type];
+		if (spec.kind === 'powerup') {
+			grantPowerUp(tongue, e.type);
+		}
+		game.events.emit('pickup', { type: e.type, kind: spec.kind, x: e.x, y: e.y, player });
+		if (spec.points) {
+			tongue.score += spec.points;
+			game.score = Math.max(game.score, tongue.score);
+			game.events.emit('score', { score: tongue.score, player, replay: Boolean(replay), bonus: spec.points });
+		}
+	}
+
+	// Power-up timers run on simulated time, so pauses don't use them up
+	game.tongues.forEach(function (tongue, player) {
+		if (!inPlay(player)) return;
+		for (const type of tickPowerUps(tongue, STEP_MS)) {
+			game.events.emit('powerupend', { type, reason: 'expired', player });
+		}
+	});
+
+	// Spawn pipes, maybe with something in the gap
+	game.lastPipeAt += STEP_MS * pace;
+	if (game.lastPipeAt > settings.intervalMs * nextSpacing(game)) {
+		spawnEntity(game, spawnPipe(game));
+		game.lastPipeAt = 0;
+	}
+
+	game.tick++;
+
+	// Crashed tongues are out; the run ends when nobody is left
+	const crashed = [];
+	game.tongues.forEach(function (tongue, player) {
+		if (!causes[player]) return;
+		tongue.isOut = true;
+		tongue.outTick = game.tick;
+		tongue.powerUps = {};
+		crashed.push(player);
+	});
+	if (!crashed.length) return;
+	game.isGameOver = game.tongues.every(function (tongue) {
+		return tongue.isOut;
+	});
+	for (const player of crashed) {
+		game.events.emit('collision', { cause: causes[player], player });
+	}
+	if (game.isGameOver) {
+		endRun(game, causes[crashed[crashed.length - 1]]);
+	}
+}
+
+// Feed real frame time into the fixed-step simulation
+// Runs as many whole steps as the elapsed time covers and keeps the remainder
+// for the next frame. Returns how far we are into the next step (0..1) so
+// rendering can interpolate between the last two steps.
+export function update(game, dt) {
+	game.accumulator += dt;
+	while (game.accumulator >= STEP_MS) {
+		step(game);
+		game.accumulator -= STEP_MS;
+	}
+	return game.accumulator / STEP_MS;
+}
@@ -0,0 +1,237 @@
+// HITBOXES AND SHAPED COLLISION
+// The tongue is drawn rotated by its tilt, so an unrotated square hitbox makes near misses
+// count as hits. This module describes the tongue and teeth as real shapes (rotated
+// polygons, circles, or a pixel mask taken from the sprite) and tests them against each other.
+// Shapes are plain objects so the simulation, the debug overlay and tests can all share them:
+//   { type: 'circle', x, y, r }
+//   { type: 'polygon', points: [{ x, y }, ...] }   (any simple polygon, convex or not)
+//   { type: 'mask', points: [{ x, y }, ...] }      (world positions of solid sprite pixels)
+// Reference: Real-Time Collision Detection (Ericson), point-in-polygon ray casting
+
+// Tongue hitbox modes, in the order the debug overlay cycles through them
+export const HITBOX_MODES = ['polygon', 'circle', 'mask', 'box'];
+
+// Outline of the tongue sprite (tongue-img.png), in sprite-size units around its centre
+// Traced by hand from the artwork; the sprite is drawn MOUTH_SIZE pixels square
+const TONGUE_OUTLINE = [
+	{ x: 0.389, y: -0.389 },
+	{ x: 0.194, y: -0.458 },
+	{ x: -0.083, y: -0.417 },
+	{ x: -0.278, y: -0.222 },
+	{ x: -0.389, y: 0.056 },
+	{ x: -0.333, y: 0.333 },
+	{ x: -0.139, y: 0.486 },
+	{ x: 0.111, y: 0.444 },
+	{ x: 0.167, y: 0.333 },
+	{ x: 0.056, y: 0.139 },
+	{ x: 0.111, y: -0.083 },
+	{ x: 0.333, y: -0.25 },
+];
+
+// Radius of the circle hitbox, as a fraction of the sprite size
+const TONGUE_RADIUS = 0.4;
+
+// Size of the lip drawn at the end of each tooth (matches the renderer)
+const LIP_OVERHANG = 4;
+const LIP_HEIGHT = 10;
+
+// How far the tongue sprite is rotated for a given vertical velocity
+// Shared by the renderer and the hitboxes so what you see is what collides
+export function tiltFor(velY) {
+	return Math.max(-0.5, Math.min(1.0, velY / 9));
+}
+
+// Rotate a local point by angle and move it to (cx, cy)
+function transformPoint(p, cx, cy, cos, sin, scale) {
+	const x = p.x * scale;
+	const y = p.y * scale;
+	return { x: cx + x * cos - y * sin, y: cy + x * sin + y * cos };
+}
+
+// Build a solid-pixel mask from sprite alpha data (e.g. ImageData from a canvas)
+// Only the pixel centres above the alpha threshold are kept, relative to the sprite centre
+// in sprite-size units, so the mask can be scaled and rotated like the outline
+export function createMask(width, height, alpha, threshold = 128) {
+	const points = [];
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			if (alpha[(y * width + x) * 4 + 3] >= threshold) {
+				points.push({ x: (x + 0.5) / width - 0.5, y: (y + 0.5) / height - 0.5 });
+			}
+		}
+	}
+	return { width, height, points };
+}
+
+// Hitbox for the tongue at its current position and tilt
+// x/y is the top-left of the sprite box, size its width/height
+// mode is one of HITBOX_MODES; 'mask' needs a mask from createMask() and falls back to the outline
+export function tongueShape(x, y, size, velY, mode, mask) {
+	if (mode === 'box') {
+		return boxShape(x, y, size, size);
+	}
+
+	const cx = x + size / 2;
+	const cy = y + size / 2;
+	if (mode === 'circle') {
+		return { type: 'circle', x: cx, y: cy, r: size * TONGUE_RADIUS };
+	}
+
+	const angle = tiltFor(velY);
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	const source = mode === 'mask' && mask ? mask.points : TONGUE_OUTLINE;
+	const points = source.map(function (p) {
+		return transformPoint(p, cx, cy, cos, sin, size);
+	});
+	return { type: mode === 'mask' && mask ? 'mask' : 'polygon', points };
+}
+
+// Axis-aligned rectangle as a polygon
+export function boxShape(x, y, w, h) {
+	return {
+		type: 'polygon',
+		points: [
+			{ x, y },
+			{ x: x + w, y },
+			{ x: x + w, y: y + h },
+			{ x, y: y + h },
+		],
+	};
+}
+
+// Outlines of a pipe's two teeth, including the lips at the gap, and its braces wire
+// floorY is where the bottom tooth meets the ground strip
+// wire is null unless the pipe has one (see patterns.js)
+export function teethShapes(p, floorY) {
+	const left = p.x;
+	const right = p.x + p.width;
+	const lipLeft = left - LIP_OVERHANG;
+	const lipRight = right + LIP_OVERHANG;
+	const gapTop = p.topHeight;
+	const gapBottom = p.topHeight + p.gap;
+
+	// Each tooth is a column that widens into its lip at the gap end
+	const top = {
+		type: 'polygon',
+		points: [
+			{ x: left, y: 0 },
+			{ x: right, y: 0 },
+			{ x: right, y: gapTop - LIP_HEIGHT },
+			{ x: lipRight, y: gapTop - LIP_HEIGHT },
+			{ x: lipRight, y: gapTop },
+			{ x: lipLeft, y: gapTop },
+			{ x: lipLeft, y: gapTop - LIP_HEIGHT },
+			{ x: left, y: gapTop - LIP_HEIGHT },
+		],
+	};
+	const bottom = {
+		type: 'polygon',
+		points: [
+			{ x: lipLeft, y: gapBottom },
+			{ x: lipRight, y: gapBottom },
+			{ x: lipRight, y: gapBottom + LIP_HEIGHT },
+			{ x: right, y: gapBottom + LIP_HEIGHT },
+			{ x: right, y: floorY },
+			{ x: left, y: floorY },
+			{ x: left, y: gapBottom + LIP_HEIGHT },
+			{ x: lipLeft, y: gapBottom + LIP_HEIGHT },
+		],
+	};
+	let wire = null;
+	if (p.wire) {
+		const wireY = gapTop + p.gap * p.wire.at - p.wire.thickness / 2;
+		wire = boxShape(left, wireY, p.width, p.wire.thickness);
+	}
+	return { top, bottom, wire };
+}
+
+// Smallest axis-aligned box around a shape, as { x, y, w, h }
+export function shapeBounds(shape) {
+	if (shape.type === 'circle') {
+		return { x: shape.x - shape.r, y: shape.y - shape.r, w: shape.r * 2, h: shape.r * 2 };
+	}
+	let minX = Infinity;
+	let minY = Infinity;
+	let maxX = -Infinity;
+	let maxY = -Infinity;
+	for (const p of shape.points) {
+		minX = Math.min(minX, p.x);
+		minY = Math.min(minY, p.y);
+		maxX = Math.max(maxX, p.x);
+		maxY = Math.max(maxY, p.y);
+	}
+	return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+// Is the point inside the polygon? (even-odd ray casting, works for concave outlines)
+export function pointInPolygon(x, y, points) {
+	let inside = false;
+	for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+		const a = points[i];
+		const b = points[j];
+		if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+// Do segments ab and cd cross?
+function segmentsIntersect(a, b, c, d) {
+	const d1 = cross(c, d, a);
+	const d2 = cross(c, d, b);
+	const d3 = cross(a, b, c);
+	const d4 = cross(a, b, d);
+	return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function cross(o, a, b) {
+	return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// Squared distance from point p to segment ab
+function distanceToSegmentSq(p, a, b) {
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const lengthSq = dx * dx + dy * dy;
+	let t = lengthSq ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq : 0;
+	t = Math.max(0, Math.min(1, t));
+	const ex = a.x + t * dx - p.x;
+	const ey = a.y + t * dy - p.y;
+	return ex * ex + ey * ey;
+}
+
+function polygonsOverlap(a, b) {
+	for (let i = 0, j = a.length - 1; i < a.length; j = i++) {
+		for (let k = 0, l = b.length - 1; k < b.length; l = k++) {
+			if (segmentsIntersect(a[j], a[i], b[l], b[k])) return true;
+		}
+	}
+	// No crossing edges: they only overlap if one sits entirely inside the other
+	return pointInPolygon(a[0].x, a[0].y, b) || pointInPolygon(b[0].x, b[0].y, a);
+}
+
+function circleOverlapsPolygon(c, points) {
+	if (pointInPolygon(c.x, c.y, points)) return true;
+	const rSq = c.r * c.r;
+	for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+		if (distanceToSegmentSq(c, points[j], points[i]) <= rSq) return true;
+	}
+	return false;
+}
+
+// Do two shapes touch?
+// The second shape is always an obstacle outline (a polygon)
+export function shapesOverlap(shape, polygon) {
+	const points = polygon.points;
+	if (shape.type === 'circle') {
+		return circleOverlapsPolygon(shape, points);
+	}
+	if (shape.type === 'mask') {
+		return shape.points.some(function (p) {
+			return pointInPolygon(p.x, p.y, points);
+		});
+	}
+	return polygonsOverlap(shape.points, points);
+}
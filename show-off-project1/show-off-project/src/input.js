@@ -0,0 +1,202 @@
+// INPUT BINDINGS
+// Keys and gamepad buttons are turned into named actions (flap, pause, confirm...) before
+// the game sees them, so any of them can be rebound. Both are identified by a code string:
+// KeyboardEvent.code for keys ('Space', 'KeyP') and 'Gamepad<n>' for button n of a
+// standard-mapping gamepad. A code may trigger several actions; the game decides which
+// one applies on the current screen (Escape is pause in a run and back on the menus).
+// Nothing here touches the DOM, so main.js feeds in the events and the gamepad list.
+// In a two-player run flap2 flaps player 2, as does the flap button of the second gamepad
+// (see padActions()); playing alone, flap2 is just another flap key.
+// Bindings are saved with the other settings (see settings.js); loadBindings() reads the
+// older standalone key when settings are first migrated.
+// Reference: KeyboardEvent.code, Gamepad API (standard mapping), input buffering
+
+export const INPUT_STORAGE_KEY = 'mouth_trap_bindings';
+export const MAX_KEYS_PER_ACTION = 3; // Keys or buttons each action can have at once
+export const FLAP_BUFFER_MS = 150;    // How early a flap may land and still start the next run
+
+// Every action, in the order the settings screen's controls tab lists them
+// When one code triggers several actions they're tried in this order too, which is why
+// hitboxMode (M while the hitbox overlay is up) comes before mute
+// repeat: holding the key repeats the action; the rest fire once per press
+export const ACTIONS = {
+	flap: { label: 'FLAP', repeat: false },
+	flap2: { label: 'PLAYER 2 FLAP', repeat: false },
+	confirm: { label: 'CONFIRM', repeat: false },
+	pause: { label: 'PAUSE', repeat: false },
+	restart: { label: 'RESTART', repeat: false },
+	back: { label: 'BACK', repeat: false },
+	left: { label: 'PREVIOUS', repeat: true },
+	right: { label: 'NEXT', repeat: true },
+	leaderboard: { label: 'LEADERBOARD', repeat: false },
+	replay: { label: 'WATCH REPLAY', repeat: false },
+	exportRun: { label: 'EXPORT RUN', repeat: false },
+	importRun: { label: 'IMPORT RUN', repeat: false },
+	hitboxes: { label: 'HITBOXES', repeat: false },
+	hitboxMode: { label: 'HITBOX MODE', repeat: false },
+	mute: { label: 'MUTE', repeat: false },
+	music: { label: 'MUSIC', repeat: false },
+	volumeDown: { label: 'VOLUME DOWN', repeat: true },
+	volumeUp: { label: 'VOLUME UP', repeat: true },
+	reducedMotion: { label: 'EFFECTS', repeat: false },
+};
+
+// Gamepad buttons in the standard mapping: 0 A, 1 B, 2 X, 3 Y, 9 Start, 14/15 d-pad left/right
+export const DEFAULT_BINDINGS = {
+	flap: ['Space', 'KeyW', 'Gamepad0'],
+	flap2: ['ArrowUp', 'Numpad0'],
+	confirm: ['Enter', 'NumpadEnter', 'Gamepad0'],
+	pause: ['KeyP', 'Escape', 'Gamepad9'],
+	restart: ['KeyN', 'Gamepad3'],
+	back: ['Escape', 'Backspace', 'Gamepad1'],
+	left: ['ArrowLeft', 'Gamepad14'],
+	right: ['ArrowRight', 'Gamepad15'],
+	leaderboard: ['KeyL', 'Gamepad2'],
+	replay: ['KeyR'],
+	exportRun: ['KeyE'],
+	importRun: ['KeyI'],
+	hitboxes: ['KeyH'],
+	hitboxMode: ['KeyM'],
+	mute: ['KeyM'],
+	music: ['KeyB'],
+	volumeDown: ['Minus', 'NumpadSubtract'],
+	volumeUp: ['Equal', 'NumpadAdd'],
+	reducedMotion: ['KeyF'],
+};
+
+// A fresh copy of the default bindings
+export function defaultBindings() {
+	const bindings = {};
+	for (const action of Object.keys(ACTIONS)) {
+		bindings[action] = DEFAULT_BINDINGS[action].slice();
+	}
+	return bindings;
+}
+
+// Read the saved bindings; actions with nothing valid saved keep their defaults
+export function loadBindings(storage) {
+	let saved = null;
+	try {
+		saved = JSON.parse(storage.getItem(INPUT_STORAGE_KEY));
+	} catch (_) {
+		saved = null;
+	}
+	return cleanBindings(saved);
+}
+
+// Check saved bindings: every action keeps its saved codes when they're a list of non-empty
+// strings and gets its defaults otherwise
+export function cleanBindings(saved) {
+	const bindings = defaultBindings();
+	if (!saved || typeof saved !== 'object') return bindings;
+	for (const action of Object.keys(ACTIONS)) {
+		const codes = saved[action];
+		if (Array.isArray(codes) && codes.every(function (code) {
+			return typeof code === 'string' && code !== '';
+		})) {
+			bindings[action] = Array.from(new Set(codes)).slice(0, MAX_KEYS_PER_ACTION);
+		}
+	}
+	return bindings;
+}
+
+export function saveBindings(storage, bindings) {
+	storage.setItem(INPUT_STORAGE_KEY, JSON.stringify(bindings));
+}
+
+// Make `code` the first key for an action
+// The code is taken off every other action, and the action's oldest key is dropped
+// once it has MAX_KEYS_PER_ACTION
+export function bindKey(bindings, action, code) {
+	for (const other of Object.keys(bindings)) {
+		bindings[other] = bindings[other].filter(function (c) {
+			return c !== code;
+		});
+	}
+	bindings[action] = [code].concat(bindings[action]).slice(0, MAX_KEYS_PER_ACTION);
+}
+
+// The actions a code triggers, in ACTIONS order
+export function actionsFor(bindings, code) {
+	return Object.keys(ACTIONS).filter(function (action) {
+		return (bindings[action] || []).indexOf(code) !== -1;
+	});
+}
+
+// Short name for a code on the settings screen: 'KeyA' -> 'A', 'Gamepad0' -> 'PAD A'
+const GAMEPAD_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'L3', 'R3', 'UP', 'DOWN', 'LEFT', 'RIGHT'];
+export function keyLabel(code) {
+	const pad = /^Gamepad(\d+)$/.exec(code);
+	if (pad) {
+		return 'PAD ' + (GAMEPAD_NAMES[Number(pad[1])] || pad[1]);
+	}
+	return code.replace(/^Key|^Digit/, '').replace(/^Arrow/, '').replace(/^Numpad/, 'NUM ').toUpperCase();
+}
+
+// The actions a press on gamepad `pad` (its Gamepad.index) stands for
+// Every gamepad shares the bindings; the second one's flap is player 2's
+export function padActions(actions, pad) {
+	if (pad !== 1) return actions;
+	return actions.map(function (action) {
+		return action === 'flap' ? 'flap2' : action;
+	});
+}
+
+// Turn gamepad snapshots into button presses
+// presses(gamepads) takes navigator.getGamepads() and returns a { code, pad } for every
+// button that went down since the last poll, pad being the gamepad's index; holding a
+// button doesn't repeat it. poll(gamepads) is the same but returns just the codes.
+export function createGamepadPoller(threshold = 0.5) {
+	const held = new Set(); // 'index:button' for every button down at the last poll
+
+	function presses(gamepads) {
+		const pressed = [];
+		const down = new Set();
+		for (const pad of gamepads || []) {
+			if (!pad || !pad.connected) continue;
+			pad.buttons.forEach(function (button, i) {
+				const value = typeof button === 'object' ? button.value : button;
+				const isDown = (typeof button === 'object' && button.pressed) || value > threshold;
+				if (!isDown) return;
+				const key = pad.index + ':' + i;
+				down.add(key);
+				if (!held.has(key)) {
+					pressed.push({ code: 'Gamepad' + i, pad: pad.index });
+				}
+			});
+		}
+		held.clear();
+		for (const key of down) {
+			held.add(key);
+		}
+		return pressed;
+	}
+
+	return {
+		presses,
+		poll(gamepads) {
+			return presses(gamepads).map(function (press) {
+				return press.code;
+			});
+		},
+	};
+}
+
+// Remember a flap that came too early (during the death animation) for a short while
+// take(now) is true once if the flap was pressed within windowMs of now
+export function createFlapBuffer(windowMs = FLAP_BUFFER_MS) {
+	let pressedAt = null;
+	return {
+		press(now) {
+			pressedAt = now;
+		},
+		take(now) {
+			const ready = pressedAt !== null && now - pressedAt <= windowMs;
+			pressedAt = null;
+			return ready;
+		},
+		clear() {
+			pressedAt = null;
+		},
+	};
+}
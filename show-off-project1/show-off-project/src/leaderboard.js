@@ -0,0 +1,229 @@
+// LOCAL LEADERBOARD AND RUN HISTORY
+// Everything the game remembers about finished runs, stored as one versioned JSON object:
+//   best:        best score per difficulty preset, from unassisted runs only
+//   leaderboard: named top-10 entries per preset ({ name, score, date, difficulty, durationMs },
+//                plus assisted: true for runs played with assist options, see assist.js)
+//   history:     the most recent runs, named or not
+//   lastName:    the name typed last time, offered again on the next prompt
+// The storage object is passed in (localStorage in the browser, a stub in tests).
+// Reference: Web Storage API, schema versioning with forward migrations
+
+import { DIFFICULTY_IDS, isDifficulty } from './difficulty.js';
+
+export const SCORES_STORAGE_KEY = 'mouth_trap_scores';
+export const SCORES_VERSION = 1;
+
+export const LEADERBOARD_SIZE = 10;   // Entries kept per difficulty
+export const HISTORY_SIZE = 100;      // Most recent runs kept
+export const NAME_MAX_LENGTH = 12;    // Longest name that fits the leaderboard columns
+
+// Keys written before the leaderboard existed (see migrate())
+const LEGACY_BEST_KEY = 'mouth_trap_best';
+const LEGACY_PRESET_BEST_PREFIX = 'mouth_trap_best_';
+
+// An empty store with every preset at zero
+export function emptyScores() {
+	const best = {};
+	for (const id of DIFFICULTY_IDS) {
+		best[id] = 0;
+	}
+	return { version: SCORES_VERSION, best, leaderboard: [], history: [], lastName: '' };
+}
+
+// Bring whatever is in storage up to the current version
+// Version 0 is the time before this module: a single 'mouth_trap_best' number, later one
+// 'mouth_trap_best_<preset>' number per preset. Those are folded into `best` and removed.
+function migrate(storage, data) {
+	if (!data) {
+		data = emptyScores();
+		const legacy = Number(storage.getItem(LEGACY_BEST_KEY) || 0);
+		for (const id of DIFFICULTY_IDS) {
+			const preset = Number(storage.getItem(LEGACY_PRESET_BEST_PREFIX + id) || 0);
+			// The single old best score was earned before presets, i.e. on normal
+			data.best[id] = Math.max(preset, id === 'normal' ? legacy : 0) || 0;
+			storage.removeItem(LEGACY_PRESET_BEST_PREFIX + id);
+		}
+		storage.removeItem(LEGACY_BEST_KEY);
+	}
+	return data;
+}
+
+// Keep only well-formed entries so a hand-edited or corrupt store can't break the game
+function cleanEntry(entry) {
+	if (!entry || typeof entry !== 'object') return null;
+	const score = Number(entry.score);
+	if (!Number.isInteger(score) || score < 0 || !isDifficulty(entry.difficulty)) return null;
+	const date = typeof entry.date === 'string' && !isNaN(Date.parse(entry.date)) ? entry.date : null;
+	if (!date) return null;
+	const cleaned = {
+		score,
+		date,
+		difficulty: entry.difficulty,
+		durationMs: Math.max(0, Number(entry.durationMs) || 0),
+	};
+	if (typeof entry.name === 'string' && entry.name.trim()) {
+		cleaned.name = cleanName(entry.name);
+	}
+	if (entry.assisted === true) {
+		cleaned.assisted = true;
+	}
+	return cleaned;
+}
+
+// Trim a typed name to something that fits on the board
+export function cleanName(name) {
+	return String(name).replace(/\s+/g, ' ').trim().slice(0, NAME_MAX_LENGTH);
+}
+
+function sortEntries(a, b) {
+	// Higher score first; on a tie the earlier run keeps its place
+	return b.score - a.score || Date.parse(a.date) - Date.parse(b.date);
+}
+
+// Drop everything but the top LEADERBOARD_SIZE per preset
+function trimLeaderboard(entries) {
+	const kept = [];
+	for (const id of DIFFICULTY_IDS) {
+		const forPreset = entries.filter(function (e) {
+			return e.difficulty === id;
+		});
+		forPreset.sort(sortEntries);
+		kept.push(...forPreset.slice(0, LEADERBOARD_SIZE));
+	}
+	return kept;
+}
+
+// Read the store, migrating older formats
+// Unreadable data starts over. Data saved by a newer version is ignored and never saved
+// over (see saveScores), so a downgrade doesn't wipe scores a later version kept
+export function loadScores(storage) {
+	let data = null;
+	const raw = storage.getItem(SCORES_STORAGE_KEY);
+	if (raw) {
+		try {
+			data = JSON.parse(raw);
+		} catch (_) {
+			return emptyScores();
+		}
+		if (!data || typeof data.version !== 'number' || data.version > SCORES_VERSION) {
+			return emptyScores();
+		}
+	}
+	const migrated = migrate(storage, data);
+	const scores = emptyScores();
+	scores.lastName = typeof migrated.lastName === 'string' ? cleanName(migrated.lastName) : '';
+	for (const id of DIFFICULTY_IDS) {
+		scores.best[id] = Math.max(0, Number(migrated.best && migrated.best[id]) || 0);
+	}
+	scores.leaderboard = trimLeaderboard((migrated.leaderboard || []).map(cleanEntry).filter(function (e) {
+		return e && e.name;
+	}));
+	scores.history = (migrated.history || []).map(cleanEntry).filter(Boolean).slice(-HISTORY_SIZE);
+	if (!raw) {
+		saveScores(storage, scores);
+	}
+	return scores;
+}
+
+export function saveScores(storage, scores) {
+	if (storedByNewerVersion(storage)) return;
+	storage.setItem(SCORES_STORAGE_KEY, JSON.stringify(scores));
+}
+
+// Is the stored data from a version of the game newer than this one?
+function storedByNewerVersion(storage) {
+	try {
+		const data = JSON.parse(storage.getItem(SCORES_STORAGE_KEY));
+		return Boolean(data) && typeof data.version === 'number' && data.version > SCORES_VERSION;
+	} catch (_) {
+		return false;
+	}
+}
+
+// Top entries for one preset, best first
+export function topScores(scores, difficulty) {
+	return scores.leaderboard.filter(function (e) {
+		return e.difficulty === difficulty;
+	}).sort(sortEntries);
+}
+
+// Would this score earn a place on the preset's board?
+export function qualifies(scores, difficulty, score) {
+	if (score <= 0) return false;
+	const top = topScores(scores, difficulty);
+	return top.length < LEADERBOARD_SIZE || score > top[top.length - 1].score;
+}
+
+// Remember a finished run in the history and best scores
+// run is { score, difficulty, durationMs, date?, assisted? }; returns the stored history entry
+export function recordRun(scores, run) {
+	const entry = cleanEntry({
+		score: run.score,
+		difficulty: run.difficulty,
+		durationMs: run.durationMs,
+		date: run.date || new Date().toISOString(),
+		assisted: run.assisted,
+	});
+	if (!entry) return null;
+	scores.history.push(entry);
+	if (scores.history.length > HISTORY_SIZE) {
+		scores.history.splice(0, scores.history.length - HISTORY_SIZE);
+	}
+	// Assisted runs go on the board (marked) but never set the best score
+	if (!entry.assisted) {
+		scores.best[entry.difficulty] = Math.max(scores.best[entry.difficulty], entry.score);
+	}
+	return entry;
+}
+
+// Put a named entry on the board
+// Returns its 1-based rank, or 0 if it didn't make the cut
+export function addEntry(scores, entry, name) {
+	const named = cleanEntry({ ...entry, name });
+	if (!named || !named.name) return 0;
+	entry.name = named.name; // The history entry gets the name too
+	scores.lastName = named.name;
+	scores.leaderboard = trimLeaderboard(scores.leaderboard.concat(named));
+	return topScores(scores, named.difficulty).indexOf(
+		scores.leaderboard.find(function (e) {
+			return e.date === named.date && e.score === named.score && e.name === named.name;
+		})
+	) + 1;
+}
+
+// JSON text of the whole store, for backing up or moving to another browser
+export function exportScores(scores) {
+	return JSON.stringify(scores, null, 2);
+}
+
+// Merge an exported store into this one
+// Entries already present (same date, score and preset) are skipped; throws on unreadable files
+export function importScores(scores, text) {
+	const incoming = JSON.parse(text);
+	if (!incoming || typeof incoming.version !== 'number' || incoming.version > SCORES_VERSION) {
+		throw new Error('unsupported scores file version');
+	}
+	const key = function (e) {
+		return e.date + '|' + e.score + '|' + e.difficulty;
+	};
+
+	const seenHistory = new Set(scores.history.map(key));
+	const history = (incoming.history || []).map(cleanEntry).filter(function (e) {
+		return e && !seenHistory.has(key(e));
+	});
+	scores.history = scores.history.concat(history).sort(function (a, b) {
+		return Date.parse(a.date) - Date.parse(b.date);
+	}).slice(-HISTORY_SIZE);
+
+	const seenBoard = new Set(scores.leaderboard.map(key));
+	const board = (incoming.leaderboard || []).map(cleanEntry).filter(function (e) {
+		return e && e.name && !seenBoard.has(key(e));
+	});
+	scores.leaderboard = trimLeaderboard(scores.leaderboard.concat(board));
+
+	for (const id of DIFFICULTY_IDS) {
+		const theirs = Number(incoming.best && incoming.best[id]) || 0;
+		scores.best[id] = Math.max(scores.best[id], theirs);
+	}
+	return { added: history.length + board.length };
+}
@@ -0,0 +1,93 @@
+// OFFLINE SUPPORT
+// What the service worker (sw.js) keeps so the game installs and plays without a network:
+//   precache  every file the game needs, stored under a versioned cache name when the worker
+//             installs and served from there; bump OFFLINE_VERSION whenever a release
+//             changes any of them, so browsers fetch the new set and offer to reload
+//   fonts     Google Fonts stylesheets and files, cached the first time they load online
+// Anything else (the office leaderboard API included) always goes to the network.
+// Kept free of worker globals so the lists and rules can be tested in Node.
+// Reference: Service Worker API, Cache Storage API, Web App Manifest
+
+export const OFFLINE_VERSION = 5;
+export const CACHE_PREFIX = 'mouth-trap-';
+export const FONTS_CACHE = CACHE_PREFIX + 'fonts';
+
+// Where Google Fonts serves its stylesheet and font files from
+export const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// Every file the game loads, relative to the page
+export const PRECACHE_URLS = [
+	'./',
+	'index.html',
+	'styles.css',
+	'fonts.css',
+	'fonts/orbitron.woff2',
+	'fonts/roboto.woff2',
+	'main.js',
+	'manifest.webmanifest',
+	'icons/icon.svg',
+	'intro/mouth.png',
+	'intro/buttonvideo.mp4',
+	'src/achievements.js',
+	'src/assets.js',
+	'src/assist.js',
+	'src/autopilot.js',
+	'src/audio.js',
+	'src/constants.js',
+	'src/difficulty.js',
+	'src/effects.js',
+	'src/entities.js',
+	'src/events.js',
+	'src/game.js',
+	'src/hitbox.js',
+	'src/input.js',
+	'src/leaderboard.js',
+	'src/offline.js',
+	'src/patterns.js',
+	'src/replay.js',
+	'src/rng.js',
+	'src/router.js',
+	'src/score-client.js',
+	'src/settings.js',
+	'src/state-machine.js',
+	'src/theme.js',
+	'src/viewport.js',
+	'themes/mouth.json',
+	'backgroundtexture.jpg',
+	'11656c9e79641ee23982fc097bd4c4f2.jpg',
+	'teethbackground.png',
+	'tongue-img.png',
+];
+
+// Name of the precache for a release
+export function precacheName(version = OFFLINE_VERSION) {
+	return CACHE_PREFIX + 'v' + version;
+}
+
+// The game's caches left behind by earlier releases, to delete once a new worker takes over
+// Caches from other apps on the same origin are left alone
+export function staleCaches(names, version = OFFLINE_VERSION) {
+	const current = precacheName(version);
+	return names.filter(function (name) {
+		return name.startsWith(CACHE_PREFIX) && name !== current && name !== FONTS_CACHE;
+	});
+}
+
+// Should the worker keep a font response for offline use?
+// Fonts fetched without CORS come back opaque: status 0 and ok false, though they work fine
+export function isCacheableFont(response) {
+	return response.ok || response.type === 'opaque';
+}
+
+// How the worker answers a request: 'precache', 'fonts' or 'network'
+// url is the request URL and scope the worker's scope URL (both absolute strings); pages
+// opened with a query (?theme=, ?leaderboard=) are still the precached page
+export function requestStrategy(url, scope, method = 'GET') {
+	if (method !== 'GET') return 'network';
+	const target = new URL(url);
+	if (FONT_ORIGINS.indexOf(target.origin) !== -1) return 'fonts';
+	const base = new URL(scope);
+	if (target.origin !== base.origin || !target.pathname.startsWith(base.pathname)) return 'network';
+	const path = target.pathname.slice(base.pathname.length);
+	return PRECACHE_URLS.indexOf(path === '' ? './' : path) !== -1 ? 'precache' : 'network';
+}
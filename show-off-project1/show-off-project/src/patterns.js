@@ -0,0 +1,136 @@
+// OBSTACLE PATTERNS
+// spawnPipe() doesn't make up teeth on the spot: it works through patterns from this
+// library, one pipe at a time. A pattern is data, so new ones need no simulation changes:
+//   weight    how likely it is to be picked, relative to the other unlocked patterns
+//   minScore  score at which it unlocks
+//   pipes     the pipes it spawns, in order; each may set
+//     gapScale  multiplies the difficulty's random gap (default 1)
+//     shift     moves the gap centre this many pixels from the pattern's first pipe (default 0)
+//     spacing   fraction of the usual spawn interval to wait before this pipe (default 1)
+//     motion    { type, amount, periodMs, phase } makes the teeth move (see MOTION_TYPES)
+//     wire      { at, thickness } stretches a braces wire across the gap, `at` (0..1) of the
+//               way down it; the tongue has to pass above or below
+// Motion only changes a pipe's topHeight and gap, so the usual collision tests cover it.
+// Reference: Authored obstacle chunks in endless runners
+
+// How moving teeth move (time is the pipe's age; phase is a fraction of a period)
+//   chomp  the jaws close by `amount` (0..1) of the gap and open again around a fixed centre
+//   bob    the whole gap rises and falls `amount` pixels either side of where it spawned
+export const MOTION_TYPES = ['chomp', 'bob'];
+
+export const OBSTACLE_PATTERNS = {
+	single: {
+		weight: 6,
+		minScore: 0,
+		pipes: [{}],
+	},
+	chomp: {
+		weight: 2,
+		minScore: 3,
+		pipes: [{ gapScale: 1.3, motion: { type: 'chomp', amount: 0.4, periodMs: 1800 } }],
+	},
+	bob: {
+		weight: 2,
+		minScore: 5,
+		pipes: [{ motion: { type: 'bob', amount: 50, periodMs: 2600 } }],
+	},
+	braces: {
+		weight: 1,
+		minScore: 8,
+		pipes: [{ gapScale: 1.8, wire: { at: 0.5, thickness: 8 } }],
+	},
+	staircase: {
+		weight: 1,
+		minScore: 10,
+		pipes: [{ shift: -60 }, { shift: 0, spacing: 0.8 }, { shift: 60, spacing: 0.8 }],
+	},
+	jaws: {
+		weight: 1,
+		minScore: 12,
+		pipes: [
+			{ gapScale: 1.3, motion: { type: 'chomp', amount: 0.4, periodMs: 1600 } },
+			{ gapScale: 1.3, spacing: 0.9, motion: { type: 'chomp', amount: 0.4, periodMs: 1600, phase: 0.5 } },
+		],
+	},
+};
+
+// Check a pattern against the format above; throws with a readable message
+export function validatePattern(id, pattern) {
+	function fail(message) {
+		throw new Error('pattern "' + id + '": ' + message);
+	}
+	function positive(value) {
+		return Number.isFinite(value) && value > 0;
+	}
+	if (!pattern || !positive(pattern.weight)) fail('weight must be a positive number');
+	if (!Number.isFinite(pattern.minScore) || pattern.minScore < 0) fail('minScore must be 0 or more');
+	if (!Array.isArray(pattern.pipes) || !pattern.pipes.length) fail('pipes must be a non-empty list');
+	pattern.pipes.forEach(function (spec, i) {
+		const where = 'pipe ' + i + ' ';
+		if (spec.gapScale !== undefined && !positive(spec.gapScale)) fail(where + 'gapScale must be positive');
+		if (spec.shift !== undefined && !Number.isFinite(spec.shift)) fail(where + 'shift must be a number');
+		if (spec.spacing !== undefined && !positive(spec.spacing)) fail(where + 'spacing must be positive');
+		const motion = spec.motion;
+		if (motion) {
+			if (MOTION_TYPES.indexOf(motion.type) === -1) fail(where + 'has an unknown motion type');
+			if (!Number.isFinite(motion.amount) || motion.amount < 0) fail(where + 'motion amount must be 0 or more');
+			if (motion.type === 'chomp' && motion.amount >= 1) fail(where + 'a chomp must leave part of the gap open');
+			if (!positive(motion.periodMs)) fail(where + 'motion periodMs must be positive');
+			if (motion.phase !== undefined && !Number.isFinite(motion.phase)) fail(where + 'motion phase must be a number');
+		}
+		const wire = spec.wire;
+		if (wire && (!(wire.at > 0 && wire.at < 1) || !positive(wire.thickness))) {
+			fail(where + 'wire needs `at` between 0 and 1 and a positive thickness');
+		}
+	});
+}
+
+// The pattern a roll in [0, 1) picks at this score, weighted among the unlocked ones
+// Falls back to the first pattern when nothing is unlocked
+export function choosePattern(patterns, roll, score) {
+	const ids = Object.keys(patterns).filter(function (id) {
+		return score >= patterns[id].minScore;
+	});
+	if (!ids.length) return Object.keys(patterns)[0];
+	let total = 0;
+	for (const id of ids) {
+		total += patterns[id].weight;
+	}
+	let target = roll * total;
+	for (const id of ids) {
+		target -= patterns[id].weight;
+		if (target < 0) return id;
+	}
+	return ids[ids.length - 1];
+}
+
+// How far a motion can move the gap edges beyond where the pipe spawned, in pixels
+// spawnPipe() keeps this much room so moving teeth stay on screen
+export function motionReach(motion) {
+	return motion && motion.type === 'bob' ? motion.amount : 0;
+}
+
+// Lowest and highest gap-centre shifts in a pattern
+export function patternShifts(pattern) {
+	const shifts = pattern.pipes.map(function (spec) {
+		return spec.shift || 0;
+	});
+	return { min: Math.min(0, ...shifts), max: Math.max(0, ...shifts) };
+}
+
+// Set a moving pipe's topHeight and gap for its current age
+// p.baseTop and p.baseGap are where the teeth spawned
+export function applyMotion(p) {
+	const motion = p.motion;
+	if (!motion) return;
+	const turn = 2 * Math.PI * (p.age / motion.periodMs + (motion.phase || 0));
+	let centre = p.baseTop + p.baseGap / 2;
+	let gap = p.baseGap;
+	if (motion.type === 'chomp') {
+		gap = p.baseGap * (1 - motion.amount * (0.5 - 0.5 * Math.cos(turn)));
+	} else if (motion.type === 'bob') {
+		centre += motion.amount * Math.sin(turn);
+	}
+	p.gap = gap;
+	p.topHeight = centre - gap / 2;
+}
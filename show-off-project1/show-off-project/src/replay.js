@@ -0,0 +1,87 @@
+// RUN RECORDINGS
+// A run is stored as the seed, the world size, the settings that change the teeth or the
+// tongue's physics and the step number of every flap.
+// Because the simulation is deterministic, that is enough to play it back exactly.
+// Reference: Deterministic lockstep replays
+
+import { HITBOX_MODES } from './hitbox.js';
+import { isDifficulty } from './difficulty.js';
+import { DEFAULT_PHYSICS, PHYSICS_LIMITS } from './constants.js';
+
+// Replay file format version
+// Bump this when a simulation change means old recordings would no longer play back the same
+export const REPLAY_VERSION = 5;
+
+// Assist options that change the simulation, for runs that didn't use any
+export const NO_ASSIST = { gapScale: 1 };
+
+// Start an empty recording for a new live run
+// The hitbox mode, difficulty preset, assist options and physics are stored because they
+// change which hits count, how the teeth are laid out and how the tongue moves
+export function createRecording(seed, world, hitbox, difficulty, assist = NO_ASSIST, physics = DEFAULT_PHYSICS) {
+	return {
+		version: REPLAY_VERSION,
+		seed,
+		world: { width: world.width, height: world.height },
+		hitbox,
+		difficulty,
+		assist: { gapScale: assist.gapScale },
+		physics: { gravity: physics.gravity, flapPower: physics.flapPower, scrollScale: physics.scrollScale },
+		flaps: [],                 // Step index at which each flap landed
+	};
+}
+
+// Turn a recording into the JSON text we hand out for ghost runs and bug reports
+export function serializeRun(run) {
+	return JSON.stringify(run);
+}
+
+// Check a replay file and return a clean run object
+// Throws with a readable message when the file can't be played back
+export function parseRun(text) {
+	const data = JSON.parse(text);
+	if (!data || data.version !== REPLAY_VERSION) {
+		throw new Error('unsupported replay version');
+	}
+	if (!Number.isInteger(data.seed) || data.seed < 0) {
+		throw new Error('missing or invalid seed');
+	}
+	if (!data.world || !(data.world.width > 0) || !(data.world.height > 0)) {
+		throw new Error('missing or invalid world size');
+	}
+	if (HITBOX_MODES.indexOf(data.hitbox) === -1) {
+		throw new Error('unknown hitbox mode');
+	}
+	if (!isDifficulty(data.difficulty)) {
+		throw new Error('unknown difficulty');
+	}
+	// Recordings without assist options didn't use any
+	const assist = data.assist === undefined ? NO_ASSIST : data.assist;
+	if (!assist || !(assist.gapScale >= 1 && assist.gapScale <= 2)) {
+		throw new Error('invalid assist options');
+	}
+	// Nor did recordings without physics change them
+	const physics = data.physics === undefined ? DEFAULT_PHYSICS : data.physics;
+	if (!physics || !Object.keys(PHYSICS_LIMITS).every(function (key) {
+		return physics[key] >= PHYSICS_LIMITS[key].min && physics[key] <= PHYSICS_LIMITS[key].max;
+	})) {
+		throw new Error('invalid physics');
+	}
+	if (!Array.isArray(data.flaps) || !data.flaps.every(function (t, i) {
+		return Number.isInteger(t) && t >= 0 && (i === 0 || t >= data.flaps[i - 1]);
+	})) {
+		throw new Error('flaps must be an ascending list of step numbers');
+	}
+	return {
+		version: data.version,
+		seed: data.seed,
+		world: { width: data.world.width, height: data.world.height },
+		hitbox: data.hitbox,
+		difficulty: data.difficulty,
+		assist: { gapScale: assist.gapScale },
+		physics: { gravity: physics.gravity, flapPower: physics.flapPower, scrollScale: physics.scrollScale },
+		flaps: data.flaps.slice(),
+		score: typeof data.score === 'number' ? data.score : undefined,
+		ticks: typeof data.ticks === 'number' ? data.ticks : undefined,
+	};
+}
@@ -0,0 +1,21 @@
+// SEEDED RANDOM NUMBER GENERATION
+// All procedural generation draws from one of these so a run can be rebuilt from its seed
+// Reference: Mulberry32 PRNG by Tommy Ettinger
+
+// Create a random source that returns numbers in [0, 1), like Math.random
+// The same seed always produces the same sequence
+export function createRng(seed) {
+	let a = seed >>> 0;
+	return function () {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Pick a fresh 32-bit seed for a new live run
+export function randomSeed() {
+	return Math.floor(Math.random() * 4294967296) >>> 0;
+}
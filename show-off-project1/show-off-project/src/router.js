@@ -0,0 +1,87 @@
+// ROUTER
+// Which view the app shell shows, kept in the URL hash so the browser's back and forward
+// buttons move between views and any view can be linked:
+//   #/             intro (the entry page with the START button)
+//   #/menu         title screen
+//   #/leaderboard  leaderboard
+//   #/settings     settings, optionally with a tab: #/settings/controls
+//   #/achievements achievements
+//   #/play         the game
+// Hash URLs work from any static host or file:// without server rewrites, and the one
+// precached page (see offline.js) answers every route.
+// Reference: History API (pushState, popstate), hash-based client-side routing
+
+// View id -> path after '#/'
+export const ROUTES = {
+	intro: '',
+	landing: 'menu',
+	leaderboard: 'leaderboard',
+	settings: 'settings',
+	achievements: 'achievements',
+	play: 'play',
+};
+
+// Read a route ({ view, tab }) from a location hash; anything unknown is the intro
+export function parseRoute(hash) {
+	const parts = String(hash || '').replace(/^#\/?/, '').split('/');
+	const view = Object.keys(ROUTES).find(function (id) {
+		return ROUTES[id] === parts[0];
+	});
+	if (!view) return { view: 'intro', tab: null };
+	return { view, tab: view === 'settings' && parts[1] ? parts[1] : null };
+}
+
+// The location hash for a route
+export function routeHash(route) {
+	return '#/' + ROUTES[route.view] + (route.tab ? '/' + route.tab : '');
+}
+
+// Route changes go through here; onRoute(route) is called for every change, whether it came
+// from navigate() or from the browser's back and forward buttons
+// win is the window (or anything with location, history and addEventListener)
+// Each history entry the router adds is numbered, so back() knows whether there is an
+// entry of ours to go back to or whether the page was opened straight onto this view
+export function createRouter(win, onRoute) {
+	let route = parseRoute(win.location.hash);
+	// After a reload the entry still carries its number
+	const state = win.history.state;
+	let index = state && typeof state.index === 'number' ? state.index : 0;
+
+	function go(next, replace) {
+		index = replace ? index : index + 1;
+		route = next;
+		win.history[replace ? 'replaceState' : 'pushState']({ index }, '', routeHash(next));
+		onRoute(route);
+	}
+
+	win.addEventListener('popstate', function (e) {
+		index = e.state && typeof e.state.index === 'number' ? e.state.index : 0;
+		route = parseRoute(win.location.hash);
+		onRoute(route);
+	});
+
+	return {
+		get route() {
+			return route;
+		},
+		// Show the route the page was opened on
+		start() {
+			win.history.replaceState({ index }, '', routeHash(route));
+			onRoute(route);
+		},
+		// Move to a view, adding a history entry unless options.replace; the current view is a no-op
+		navigate(next, options = {}) {
+			const target = { view: next.view, tab: next.tab || null };
+			if (routeHash(target) === routeHash(route)) return;
+			go(target, options.replace);
+		},
+		// Go back a history entry if it's one of ours, otherwise replace this one with fallback
+		back(fallback) {
+			if (index > 0) {
+				win.history.back();
+			} else {
+				go({ view: fallback.view, tab: fallback.tab || null }, true);
+			}
+		},
+	};
+}
@@ -0,0 +1,217 @@
+// SCORE SUBMISSION CLIENTS
+// The game talks to a leaderboard through one small interface, so the local board and the
+// shared office board are interchangeable:
+//   client.name                      'local' or 'http'
+//   client.submit(entry)             Promise<{ ok, queued?, rank?, error? }>
+//   client.fetchTop(difficulty)      Promise<entry[]>, best first
+// An entry is { name, score, difficulty, durationMs, date, run } where run is the replay
+// recording (see replay.js). The HTTP client signs each entry together with a hash of its
+// replay, retries failed requests and keeps an offline queue in storage.
+// Reference: Fetch API, Web Crypto HMAC, exponential backoff
+
+import { serializeRun } from './replay.js';
+import { addEntry, saveScores, topScores } from './leaderboard.js';
+
+export const QUEUE_STORAGE_KEY = 'mouth_trap_score_queue';
+
+// Shared secret for the office board
+// This only stops casual edits to a request; anyone reading the source can sign scores.
+// The stand-in server also replays every run, which is the real check.
+export const DEFAULT_SIGNING_KEY = 'mouth-trap-office';
+
+// LOCAL CLIENT
+
+// Leaderboard kept in this browser (the store from leaderboard.js)
+export function createLocalScoreClient(scores, storage) {
+	return {
+		name: 'local',
+		submit(entry) {
+			const rank = addEntry(scores, entry, entry.name);
+			saveScores(storage, scores);
+			return Promise.resolve({ ok: rank > 0, rank });
+		},
+		fetchTop(difficulty) {
+			return Promise.resolve(topScores(scores, difficulty));
+		},
+	};
+}
+
+// SIGNING
+
+function toHex(buffer) {
+	return Array.from(new Uint8Array(buffer), function (b) {
+		return b.toString(16).padStart(2, '0');
+	}).join('');
+}
+
+// SHA-256 of the replay recording, as hex
+export async function hashRun(run) {
+	const bytes = new TextEncoder().encode(serializeRun(run));
+	return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// The exact text that gets signed: every scored field plus the replay hash
+function signingPayload(entry, replayHash) {
+	return [entry.name, entry.score, entry.difficulty, entry.durationMs, entry.date, replayHash].join('|');
+}
+
+// HMAC-SHA256 signature over an entry and its replay
+export async function signEntry(entry, key = DEFAULT_SIGNING_KEY) {
+	const replayHash = await hashRun(entry.run);
+	const cryptoKey = await crypto.subtle.importKey(
+		'raw',
+		new TextEncoder().encode(key),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		['sign']
+	);
+	const signature = await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(signingPayload(entry, replayHash)));
+	return { replayHash, signature: toHex(signature) };
+}
+
+// Does the signature match the entry? Used by the stand-in server
+export async function verifyEntrySignature(entry, key = DEFAULT_SIGNING_KEY) {
+	if (typeof entry.signature !== 'string' || typeof entry.replayHash !== 'string') return false;
+	const expected = await signEntry(entry, key);
+	return expected.replayHash === entry.replayHash && expected.signature === entry.signature;
+}
+
+// HTTP CLIENT
+
+// Raised for answers that retrying won't fix (the server rejected the entry)
+export class ScoreRejectedError extends Error {
+	constructor(message, status) {
+		super(message);
+		this.name = 'ScoreRejectedError';
+		this.status = status;
+	}
+}
+
+function wait(ms) {
+	return new Promise(function (resolve) {
+		setTimeout(resolve, ms);
+	});
+}
+
+// Shared leaderboard behind an HTTP API (see server/leaderboard-server.js)
+// options:
+//   baseUrl      where the API lives, e.g. 'http://localhost:8787/api'
+//   storage      where the offline queue is kept (localStorage in the browser)
+//   fetch        fetch implementation (defaults to the global one)
+//   retries      extra attempts after the first failure (default 3)
+//   retryDelayMs first backoff delay, doubled after each attempt (default 500)
+//   signingKey   HMAC key shared with the server
+//   sleep        delay function, swappable in tests
+export function createHttpScoreClient(options) {
+	const baseUrl = String(options.baseUrl).replace(/\/+$/, '');
+	const storage = options.storage;
+	const doFetch = options.fetch || globalThis.fetch.bind(globalThis);
+	const retries = options.retries !== undefined ? options.retries : 3;
+	const retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 500;
+	const signingKey = options.signingKey || DEFAULT_SIGNING_KEY;
+	const sleep = options.sleep || wait;
+	let flushing = null;
+
+	// One request with retries on network errors and 5xx answers
+	async function request(path, init) {
+		let lastError = null;
+		for (let attempt = 0; attempt <= retries; attempt++) {
+			if (attempt > 0) {
+				await sleep(retryDelayMs * Math.pow(2, attempt - 1));
+			}
+			let response;
+			try {
+				response = await doFetch(baseUrl + path, init);
+			} catch (err) {
+				lastError = err;
+				continue;
+			}
+			const body = await response.json().catch(function () {
+				return {};
+			});
+			if (response.ok) {
+				return body;
+			}
+			if (response.status < 500) {
+				throw new ScoreRejectedError(body.error || 'rejected with status ' + response.status, response.status);
+			}
+			lastError = new Error(body.error || 'server error ' + response.status);
+		}
+		throw lastError;
+	}
+
+	function readQueue() {
+		try {
+			const queue = JSON.parse(storage.getItem(QUEUE_STORAGE_KEY) || '[]');
+			return Array.isArray(queue) ? queue : [];
+		} catch (_) {
+			return [];
+		}
+	}
+
+	function writeQueue(queue) {
+		if (queue.length) {
+			storage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+		} else {
+			storage.removeItem(QUEUE_STORAGE_KEY);
+		}
+	}
+
+	async function send(signed) {
+		return request('/scores', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(signed),
+		});
+	}
+
+	// Send everything in the offline queue, oldest first
+	// Stops at the first entry that still can't be delivered; rejected entries are dropped
+	function flush() {
+		if (flushing) return flushing;
+		flushing = (async function () {
+			let queue = readQueue();
+			let sent = 0;
+			while (queue.length) {
+				try {
+					await send(queue[0]);
+					sent++;
+				} catch (err) {
+					if (!(err instanceof ScoreRejectedError)) break;
+				}
+				queue = readQueue().slice(1);
+				writeQueue(queue);
+			}
+			return { sent, pending: queue.length };
+		})().finally(function () {
+			flushing = null;
+		});
+		return flushing;
+	}
+
+	return {
+		name: 'http',
+		flush,
+		pending() {
+			return readQueue().length;
+		},
+		async submit(entry) {
+			const signed = { ...entry, ...(await signEntry(entry, signingKey)) };
+			try {
+				const body = await send(signed);
+				return { ok: true, rank: body.rank };
+			} catch (err) {
+				if (err instanceof ScoreRejectedError) {
+					return { ok: false, error: err.message };
+				}
+				// Offline or server down: keep it for later
+				writeQueue(readQueue().concat(signed));
+				return { ok: false, queued: true, error: err.message };
+			}
+		},
+		async fetchTop(difficulty) {
+			const body = await request('/scores?difficulty=' + encodeURIComponent(difficulty), { method: 'GET' });
+			return Array.isArray(body.scores) ? body.scores : [];
+		},
+	};
+}
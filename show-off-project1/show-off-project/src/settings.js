@@ -0,0 +1,257 @@
+// SETTINGS
+// Everything the player can change, stored as one versioned JSON object:
+//   audio     volume, mute and music (applied by audio.js)
+//   game      players (see PLAY_MODES), difficulty preset, plus the game speed and wider gaps
+//             assists (see assist.js)
+//   effects   reduced motion and high contrast; 'auto' follows the system setting
+//   physics   experimental: gravity, flap power and scroll speed (see constants.js)
+//   controls  key and gamepad bindings (see input.js)
+// SETTINGS_SCHEMA describes every field. Loading checks each one against it and falls back
+// to the default for anything missing or invalid, so a hand-edited store can't break the game.
+// Reference: Web Storage API, schema validation, schema versioning with forward migrations
+
+import { DEFAULT_AUDIO_SETTINGS, AUDIO_STORAGE_KEY, loadAudioSettings } from './audio.js';
+import { ASSIST_CHOICES, ASSIST_STORAGE_KEY, DEFAULT_ASSIST, assistLabel, loadAssist } from './assist.js';
+import { DIFFICULTY_IDS, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { INPUT_STORAGE_KEY, defaultBindings, cleanBindings, loadBindings } from './input.js';
+import { DEFAULT_PHYSICS, PHYSICS_LIMITS } from './constants.js';
+
+export const SETTINGS_STORAGE_KEY = 'mouth_trap_settings';
+export const SETTINGS_VERSION = 1;
+
+// Keys written before the settings object existed (see migrate())
+const LEGACY_DIFFICULTY_KEY = 'mouth_trap_difficulty';
+const LEGACY_REDUCED_MOTION_KEY = 'mouth_trap_reduced_motion';
+
+// Who plays: one player, two tongues racing on one screen, or two courses side by side
+export const PLAY_MODES = {
+	solo: { label: '1 PLAYER', players: 1 },
+	race: { label: '2P RACE', players: 2 },
+	split: { label: '2P SPLIT', players: 2 },
+};
+
+function percent(value) {
+	return Math.round(value * 100) + '%';
+}
+
+// Every setting, by section, in the order the settings screen lists them
+// type is one of
+//   boolean   true or false
+//   number    from min to max; the settings screen moves it by step
+//   choice    one of choices; the settings screen steps through them in order
+//   bindings  an action -> codes map, checked by cleanBindings() in input.js
+// label names the setting on the settings screen; format(value), when given, is how its
+// value reads there
+export const SETTINGS_SCHEMA = {
+	audio: {
+		label: 'AUDIO',
+		fields: {
+			volume: { type: 'number', label: 'VOLUME', min: 0, max: 1, step: 0.1, default: DEFAULT_AUDIO_SETTINGS.volume, format: percent },
+			muted: { type: 'boolean', label: 'MUTE', default: DEFAULT_AUDIO_SETTINGS.muted },
+			music: { type: 'boolean', label: 'MUSIC', default: DEFAULT_AUDIO_SETTINGS.music },
+			musicVolume: { type: 'number', label: 'MUSIC LEVEL', min: 0, max: 1, step: 0.1, default: DEFAULT_AUDIO_SETTINGS.musicVolume, format: percent },
+		},
+	},
+	game: {
+		label: 'GAME',
+		fields: {
+			mode: {
+				type: 'choice',
+				label: 'PLAYERS',
+				choices: Object.keys(PLAY_MODES),
+				default: 'solo',
+				format: function (id) {
+					return PLAY_MODES[id].label;
+				},
+			},
+			difficulty: {
+				type: 'choice',
+				label: 'DIFFICULTY',
+				choices: DIFFICULTY_IDS,
+				default: DEFAULT_DIFFICULTY,
+				format: function (id) {
+					return DIFFICULTY_PRESETS[id].label;
+				},
+			},
+			speed: {
+				type: 'choice',
+				label: 'GAME SPEED',
+				choices: ASSIST_CHOICES.speed,
+				default: DEFAULT_ASSIST.speed,
+				format: function (value) {
+					return assistLabel('speed', value);
+				},
+			},
+			gapScale: {
+				type: 'choice',
+				label: 'GAP SIZE',
+				choices: ASSIST_CHOICES.gapScale,
+				default: DEFAULT_ASSIST.gapScale,
+				format: function (value) {
+					return assistLabel('gapScale', value);
+				},
+			},
+		},
+	},
+	effects: {
+		label: 'EFFECTS',
+		fields: {
+			reducedMotion: { type: 'choice', label: 'REDUCED MOTION', choices: ASSIST_CHOICES.reducedMotion, default: DEFAULT_ASSIST.reducedMotion },
+			highContrast: { type: 'choice', label: 'HIGH CONTRAST', choices: ASSIST_CHOICES.highContrast, default: DEFAULT_ASSIST.highContrast },
+		},
+	},
+	physics: {
+		label: 'PHYSICS',
+		fields: {
+			gravity: { type: 'number', label: 'GRAVITY', ...PHYSICS_LIMITS.gravity, default: DEFAULT_PHYSICS.gravity },
+			flapPower: { type: 'number', label: 'FLAP POWER', ...PHYSICS_LIMITS.flapPower, default: DEFAULT_PHYSICS.flapPower },
+			scrollScale: { type: 'number', label: 'SCROLL SPEED', ...PHYSICS_LIMITS.scrollScale, default: DEFAULT_PHYSICS.scrollScale, format: percent },
+		},
+	},
+	controls: {
+		label: 'CONTROLS',
+		fields: {
+			bindings: { type: 'bindings', label: 'BINDINGS' },
+		},
+	},
+};
+
+// Section ids in display order
+export const SETTINGS_SECTIONS = Object.keys(SETTINGS_SCHEMA);
+
+function defaultValue(spec) {
+	return spec.type === 'bindings' ? defaultBindings() : spec.default;
+}
+
+// The value itself when the schema allows it, otherwise the field's default
+function cleanField(spec, value) {
+	if (spec.type === 'bindings') return cleanBindings(value);
+	let valid = false;
+	if (spec.type === 'boolean') {
+		valid = typeof value === 'boolean';
+	} else if (spec.type === 'number') {
+		valid = Number.isFinite(value) && value >= spec.min && value <= spec.max;
+	} else if (spec.type === 'choice') {
+		valid = spec.choices.indexOf(value) !== -1;
+	}
+	return valid ? value : defaultValue(spec);
+}
+
+// Every setting at its default
+export function defaultSettings() {
+	return validateSettings(null);
+}
+
+// Check an object against the schema and return a complete settings object
+// Missing or invalid fields get their defaults and anything the schema doesn't know is dropped
+export function validateSettings(data) {
+	const settings = {};
+	for (const section of SETTINGS_SECTIONS) {
+		const saved = data && data[section] && typeof data[section] === 'object' ? data[section] : {};
+		const fields = SETTINGS_SCHEMA[section].fields;
+		settings[section] = {};
+		for (const key of Object.keys(fields)) {
+			settings[section][key] = cleanField(fields[key], saved[key]);
+		}
+	}
+	return settings;
+}
+
+// Bring settings saved before this module up to date
+// Version 0 is the time before the settings object, when audio.js, assist.js, input.js and
+// the difficulty picker each kept their own key. Those are read once and removed.
+function migrate(storage) {
+	const assist = loadAssist(storage, storage.getItem(LEGACY_REDUCED_MOTION_KEY));
+	const settings = validateSettings({
+		audio: loadAudioSettings(storage),
+		game: { difficulty: storage.getItem(LEGACY_DIFFICULTY_KEY), speed: assist.speed, gapScale: assist.gapScale },
+		effects: { reducedMotion: assist.reducedMotion, highContrast: assist.highContrast },
+		controls: { bindings: loadBindings(storage) },
+	});
+	for (const key of [AUDIO_STORAGE_KEY, ASSIST_STORAGE_KEY, INPUT_STORAGE_KEY, LEGACY_DIFFICULTY_KEY, LEGACY_REDUCED_MOTION_KEY]) {
+		storage.removeItem(key);
+	}
+	return settings;
+}
+
+// Read the settings, migrating older keys
+// Unreadable data falls back to the defaults. Data saved by a newer version is ignored and
+// never saved over (see saveSettings), so a downgrade doesn't wipe a later version's settings
+export function loadSettings(storage) {
+	const raw = storage.getItem(SETTINGS_STORAGE_KEY);
+	if (!raw) {
+		const settings = migrate(storage);
+		saveSettings(storage, settings);
+		return settings;
+	}
+	let data = null;
+	try {
+		data = JSON.parse(raw);
+	} catch (_) {
+		return defaultSettings();
+	}
+	if (!data || typeof data.version !== 'number' || data.version > SETTINGS_VERSION) {
+		return defaultSettings();
+	}
+	return validateSettings(data);
+}
+
+export function saveSettings(storage, settings) {
+	if (storedByNewerVersion(storage)) return;
+	storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, ...settings }));
+}
+
+// Are the stored settings from a version of the game newer than this one?
+function storedByNewerVersion(storage) {
+	try {
+		const data = JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY));
+		return Boolean(data) && typeof data.version === 'number' && data.version > SETTINGS_VERSION;
+	} catch (_) {
+		return false;
+	}
+}
+
+// Put one section (or every section) back to its defaults
+// Values are replaced in place, so code holding on to a section or the bindings sees the change
+export function resetSettings(settings, section = null) {
+	const defaults = defaultSettings();
+	for (const id of section ? [section] : SETTINGS_SECTIONS) {
+		for (const key of Object.keys(defaults[id])) {
+			const value = defaults[id][key];
+			if (value && typeof value === 'object') {
+				for (const old of Object.keys(settings[id][key])) {
+					delete settings[id][key][old];
+				}
+				Object.assign(settings[id][key], value);
+			} else {
+				settings[id][key] = value;
+			}
+		}
+	}
+}
+
+// Move a setting to its next (direction 1) or previous (-1) value and return it
+// Booleans flip, choices wrap round and numbers move by their step, stopping at the limits
+export function stepSetting(settings, section, key, direction = 1) {
+	const spec = SETTINGS_SCHEMA[section].fields[key];
+	const value = settings[section][key];
+	if (spec.type === 'boolean') {
+		settings[section][key] = !value;
+	} else if (spec.type === 'choice') {
+		const count = spec.choices.length;
+		settings[section][key] = spec.choices[(spec.choices.indexOf(value) + direction + count) % count];
+	} else if (spec.type === 'number') {
+		// Rounded so repeated steps don't drift off the grid (0.45 + 0.05 - 0.05 is 0.45 again)
+		const next = Math.round((value + direction * spec.step) * 100) / 100;
+		settings[section][key] = Math.max(spec.min, Math.min(spec.max, next));
+	}
+	return settings[section][key];
+}
+
+// How a setting's value reads on the settings screen
+export function formatSetting(section, key, value) {
+	const spec = SETTINGS_SCHEMA[section].fields[key];
+	if (spec.format) return spec.format(value);
+	if (spec.type === 'boolean') return value ? 'ON' : 'OFF';
+	return String(value).toUpperCase();
+}
@@ -0,0 +1,68 @@
+// GAME STATE MACHINE
+// The screen the player is on, as one explicit state instead of a handful of booleans.
+// Only the transitions listed below are allowed, so impossible combinations (paused on
+// the landing page, game over while loading) can't happen.
+// Reference: Finite-state machines in game programming (Game Programming Patterns, "State")
+
+import { createEmitter } from './events.js';
+
+export const STATES = {
+	LOADING: 'loading',     // Assets still coming in
+	LANDING: 'landing',     // Title screen with START GAME and difficulty presets
+	READY: 'ready',         // Game screen shown, waiting for the first flap
+	PLAYING: 'playing',     // Simulation running (live or replay)
+	PAUSED: 'paused',       // Simulation frozen, waiting for the player to resume
+	GAME_OVER: 'gameover',  // Run finished, waiting for a restart
+};
+
+// Which states each state may move to
+export const TRANSITIONS = {
+	loading: ['landing'],
+	landing: ['ready'],
+	ready: ['playing', 'landing'],
+	playing: ['paused', 'gameover', 'ready', 'landing'], // landing: the browser's back button
+	paused: ['playing', 'ready', 'landing'],
+	gameover: ['playing', 'ready', 'landing'],
+};
+
+// Create a machine starting in `initial`
+// Listeners on 'change' receive { from, to, detail } after every transition
+export function createStateMachine(initial = STATES.LOADING, transitions = TRANSITIONS) {
+	const events = createEmitter();
+	let state = initial;
+
+	// Is moving to `to` allowed from the current state?
+	function can(to) {
+		return (transitions[state] || []).indexOf(to) !== -1;
+	}
+
+	// Move to `to`; throws on a transition the table doesn't allow
+	function go(to, detail) {
+		if (!can(to)) {
+			throw new Error('Cannot go from ' + state + ' to ' + to);
+		}
+		const from = state;
+		state = to;
+		events.emit('change', { from, to, detail });
+	}
+
+	// Move to `to` only if allowed; returns whether it happened
+	function tryGo(to, detail) {
+		if (!can(to)) return false;
+		go(to, detail);
+		return true;
+	}
+
+	return {
+		get state() {
+			return state;
+		},
+		is(name) {
+			return state === name;
+		},
+		can,
+		go,
+		tryGo,
+		on: events.on,
+	};
+}
@@ -0,0 +1,174 @@
+// THEMES
+// The art for a run is described by a JSON manifest in themes/ instead of file names in the
+// code. A manifest lists (image paths are relative to the game folder; any image can be a list
+// of paths, tried in order until one loads):
+//   background  colour under everything
+//   layers      parallax backdrop images, back to front: { image, speed, alpha }
+//               speed is the fraction of the teeth's scroll speed (0 = fixed, 1 = with the teeth)
+//   ground      strip along the floor: { image, speed }; ceiling is the same strip flipped
+//   tongue      the player sprite
+//   teeth       obstacle sprite: { image, crop: [x, y, w, h], slice: { top, right, bottom, left },
+//               tile, color, lipColor }. The crop is nine-sliced: the corners keep their
+//               proportions and the edges and middle stretch, or repeat when tile is true.
+//               The crown (top of the crop) faces the gap. color/lipColor draw flat teeth
+//               when there is no image.
+// Anything missing or malformed falls back to flat colours, so a broken manifest still plays.
+// Reference: Nine-slice scaling, parallax scrolling
+
+export const DEFAULT_THEME_ID = 'mouth';
+
+// The paths an image reference can load from: a path or a list of fallbacks
+function imagePaths(value) {
+	return (Array.isArray(value) ? value : [value]).filter(function (path) {
+		return typeof path === 'string' && path.trim() !== '';
+	});
+}
+
+// Record an image reference's fallbacks and return its id (the first path), or null
+function imageId(value, sources) {
+	const paths = imagePaths(value);
+	if (!paths.length) return null;
+	sources[paths[0]] = Array.from(new Set((sources[paths[0]] || []).concat(paths)));
+	return paths[0];
+}
+
+function clamp01(value, fallback) {
+	return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+}
+
+function cleanStrip(strip, sources) {
+	const image = strip ? imageId(strip.image, sources) : null;
+	if (!image) return null;
+	return { image, speed: Number.isFinite(strip.speed) ? strip.speed : 1 };
+}
+
+function cleanCrop(crop) {
+	if (!Array.isArray(crop) || crop.length !== 4) return null;
+	if (!crop.every(function (n) {
+		return Number.isFinite(n) && n >= 0;
+	}) || crop[2] === 0 || crop[3] === 0) {
+		return null;
+	}
+	return { x: crop[0], y: crop[1], w: crop[2], h: crop[3] };
+}
+
+function cleanSlice(slice, crop) {
+	const edge = function (value) {
+		return Number.isFinite(value) && value > 0 ? value : 0;
+	};
+	const s = slice || {};
+	const cleaned = { top: edge(s.top), right: edge(s.right), bottom: edge(s.bottom), left: edge(s.left) };
+	// Borders that leave no middle are ignored
+	if (crop && (cleaned.left + cleaned.right >= crop.w)) {
+		cleaned.left = cleaned.right = 0;
+	}
+	if (crop && (cleaned.top + cleaned.bottom >= crop.h)) {
+		cleaned.top = cleaned.bottom = 0;
+	}
+	return cleaned;
+}
+
+// Fill in defaults and drop anything unusable
+// Image fields end up as ids (their first path); `sources` maps each id to all its paths
+export function normalizeTheme(manifest) {
+	const m = manifest && typeof manifest === 'object' ? manifest : {};
+	const sources = {};
+	const teeth = m.teeth && typeof m.teeth === 'object' ? m.teeth : {};
+	const layers = (Array.isArray(m.layers) ? m.layers : []).filter(function (layer) {
+		return layer && imagePaths(layer.image).length;
+	}).map(function (layer) {
+		return {
+			image: imageId(layer.image, sources),
+			speed: Number.isFinite(layer.speed) ? layer.speed : 0,
+			alpha: clamp01(layer.alpha, 1),
+		};
+	});
+	const crop = cleanCrop(teeth.crop);
+	const image = crop ? imageId(teeth.image, sources) : null;
+	return {
+		name: typeof m.name === 'string' ? m.name : 'Plain',
+		background: typeof m.background === 'string' ? m.background : '#70c5ce',
+		layers,
+		ground: cleanStrip(m.ground, sources),
+		ceiling: cleanStrip(m.ceiling, sources),
+		tongue: imageId(m.tongue, sources),
+		sources,
+		teeth: {
+			image,
+			crop: image ? crop : null,
+			slice: cleanSlice(teeth.slice, crop),
+			tile: Boolean(teeth.tile),
+			color: typeof teeth.color === 'string' ? teeth.color : '#fff200',
+			lipColor: typeof teeth.lipColor === 'string' ? teeth.lipColor : '#e0c700',
+		},
+	};
+}
+
+// Asset manifest entries (see assets.js) for every image the theme uses
+export function themeAssets(theme) {
+	return Object.keys(theme.sources).map(function (id) {
+		return { id, type: 'image', src: theme.sources[id] };
+	});
+}
+
+// Where to draw the copies of a repeating layer so they cover [0, viewWidth)
+// offset is the distance scrolled; the layer moves at `speed` times that
+export function layerTiles(offset, speed, tileWidth, viewWidth) {
+	const shift = ((offset * speed) % tileWidth + tileWidth) % tileWidth;
+	const xs = [];
+	for (let x = shift ? -shift : 0; x < viewWidth; x += tileWidth) {
+		xs.push(x);
+	}
+	return xs;
+}
+
+// Split a source span across a destination span, stretched or repeated
+// Returns [sourceStart, sourceLength, destStart, destLength] pieces
+function spans(srcStart, srcLength, destStart, destLength, tileLength, tile) {
+	if (srcLength <= 0 || destLength <= 0) return [];
+	if (!tile || tileLength <= 0) return [[srcStart, srcLength, destStart, destLength]];
+	const pieces = [];
+	for (let d = 0; d < destLength; d += tileLength) {
+		const length = Math.min(tileLength, destLength - d);
+		pieces.push([srcStart, srcLength * (length / tileLength), destStart + d, length]);
+	}
+	return pieces;
+}
+
+// Source and destination rectangles for drawing `crop` nine-sliced into `dest`
+// Borders are drawn at `scale` times their source size (shrunk if dest is too small for them);
+// with tile the edges and middle repeat at that scale instead of stretching
+// Returns [{ sx, sy, sw, sh, dx, dy, dw, dh }] ready for drawImage
+export function nineSliceRects(crop, slice, dest, options = {}) {
+	const scale = options.scale || 1;
+	const tile = Boolean(options.tile);
+
+	function axis(srcStart, srcLength, before, after, destStart, destLength) {
+		let head = before * scale;
+		let tail = after * scale;
+		if (head + tail > destLength) {
+			const shrink = destLength / (head + tail);
+			head *= shrink;
+			tail *= shrink;
+		}
+		const middle = srcLength - before - after;
+		return [
+			...spans(srcStart, before, destStart, head, 0, false),
+			...spans(srcStart + before, middle, destStart + head, destLength - head - tail, middle * scale, tile),
+			...spans(srcStart + srcLength - after, after, destStart + destLength - tail, tail, 0, false),
+		];
+	}
+
+	const columns = axis(crop.x, crop.w, slice.left, slice.right, dest.x, dest.w);
+	const rows = axis(crop.y, crop.h, slice.top, slice.bottom, dest.y, dest.h);
+	const rects = [];
+	for (const row of rows) {
+		for (const column of columns) {
+			rects.push({
+				sx: column[0], sw: column[1], dx: column[2], dw: column[3],
+				sy: row[0], sh: row[1], dy: row[2], dh: row[3],
+			});
+		}
+	}
+	return rects;
+}
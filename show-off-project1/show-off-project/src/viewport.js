@@ -0,0 +1,47 @@
+// VIEWPORT
+// The game is drawn in world units (WORLD_WIDTH x WORLD_HEIGHT) and scaled onto the screen.
+// The canvas is sized to the largest box of the world's aspect ratio that fits the window
+// (the page background shows as letterbox bars around it), and its backing store is
+// multiplied by devicePixelRatio so text and sprites stay sharp on HiDPI screens.
+// Reference: HTMLCanvasElement sizing, window.devicePixelRatio
+
+// Fit a world of worldWidth x worldHeight into an available CSS area
+// Returns the canvas CSS size, its backing store size in device pixels, and `scale`, the
+// device pixels per world unit
+export function fitViewport(availableWidth, availableHeight, worldWidth, worldHeight, dpr = 1) {
+	const ratio = dpr > 0 ? dpr : 1;
+	const cssScale = Math.min(availableWidth / worldWidth, availableHeight / worldHeight);
+	const cssWidth = Math.max(1, Math.floor(worldWidth * cssScale));
+	const cssHeight = Math.max(1, Math.floor(worldHeight * cssScale));
+	const pixelWidth = Math.round(cssWidth * ratio);
+	const pixelHeight = Math.round(cssHeight * ratio);
+	return {
+		cssWidth,
+		cssHeight,
+		pixelWidth,
+		pixelHeight,
+		dpr: ratio,
+		scale: Math.min(pixelWidth / worldWidth, pixelHeight / worldHeight),
+	};
+}
+
+// Transform that draws a world of any size centred in a backing store
+// Runs recorded before the world size was fixed can have another shape; they're letterboxed
+// inside the canvas. Returns { scale, offsetX, offsetY } for ctx.setTransform
+export function worldTransform(pixelWidth, pixelHeight, world) {
+	const scale = Math.min(pixelWidth / world.width, pixelHeight / world.height);
+	return {
+		scale,
+		offsetX: (pixelWidth - world.width * scale) / 2,
+		offsetY: (pixelHeight - world.height * scale) / 2,
+	};
+}
+
+// Convert a mouse or touch position to world units
+// rect is the canvas's getBoundingClientRect(); the canvas shows exactly worldWidth x worldHeight
+export function clientToWorld(clientX, clientY, rect, worldWidth, worldHeight) {
+	return {
+		x: ((clientX - rect.left) / rect.width) * worldWidth,
+		y: ((clientY - rect.top) / rect.height) * worldHeight,
+	};
+}
@@ -0,0 +1,67 @@
+// SERVICE WORKER
+// Precaches the game for offline play (see src/offline.js for what is kept and why).
+// A new release installs alongside the running one and waits; the page shows an update
+// prompt and sends 'skip-waiting' when the player picks RELOAD, so a run is never swapped
+// out from under them.
+// Reference: Service Worker API (install/activate/fetch/message), Cache Storage API
+
+import { PRECACHE_URLS, FONTS_CACHE, precacheName, staleCaches, requestStrategy, isCacheableFont } from './src/offline.js';
+
+self.addEventListener('install', function (event) {
+	// 'reload' skips the HTTP cache so a release never precaches the previous one's files
+	event.waitUntil(caches.open(precacheName()).then(function (cache) {
+		return cache.addAll(PRECACHE_URLS.map(function (url) {
+			return new Request(url, { cache: 'reload' });
+		}));
+	}));
+});
+
+self.addEventListener('activate', function (event) {
+	event.waitUntil(caches.keys().then(function (names) {
+		return Promise.all(staleCaches(names).map(function (name) {
+			return caches.delete(name);
+		}));
+	}).then(function () {
+		return self.clients.claim();
+	}));
+});
+
+self.addEventListener('message', function (event) {
+	if (event.data && event.data.type === 'skip-waiting') {
+		self.skipWaiting();
+	}
+});
+
+// Precached files come from this release's cache, falling back to the network
+function fromPrecache(request) {
+	return caches.open(precacheName()).then(function (cache) {
+		return cache.match(request, { ignoreSearch: true });
+	}).then(function (cached) {
+		return cached || fetch(request);
+	});
+}
+
+// Fonts come from the fonts cache once they've loaded online
+function fromFontsCache(request) {
+	return caches.open(FONTS_CACHE).then(function (cache) {
+		return cache.match(request).then(function (cached) {
+			if (cached) return cached;
+			return fetch(request).then(function (response) {
+				if (isCacheableFont(response)) {
+					cache.put(request, response.clone());
+				}
+				return response;
+			});
+		});
+	});
+}
+
+self.addEventListener('fetch', function (event) {
+	const request = event.request;
+	const strategy = requestStrategy(request.url, self.registration.scope, request.method);
+	if (strategy === 'precache') {
+		event.respondWith(fromPrecache(request));
+	} else if (strategy === 'fonts') {
+		event.respondWith(fromFontsCache(request));
+	}
+});
@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	ACHIEVEMENTS,
+	STATS_STORAGE_KEY,
+	STATS_VERSION,
+	emptyStats,
+	loadStats,
+	saveStats,
+	trackStats,
+	checkAchievements,
+	achievementProgress,
+} from '../src/achievements.js';
+import { createGame, resetGame, flap, step } from '../src/game.js';
+
+// In-memory stand-in for localStorage
+function memoryStorage(initial = {}) {
+	const data = { ...initial };
+	return {
+		data,
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+		removeItem(key) {
+			delete data[key];
+		},
+	};
+}
+
+// Flap a few times, then fall to the ground
+function playToTheGround(game) {
+	for (let i = 0; i < 500 && !game.isGameOver; i++) {
+		if (i % 20 === 0 && i < 60) {
+			flap(game);
+		}
+		step(game);
+	}
+}
+
+function achievement(id) {
+	return ACHIEVEMENTS.find(function (a) {
+		return a.id === id;
+	});
+}
+
+test('stats survive a save and reload', function () {
+	const storage = memoryStorage();
+	const stats = emptyStats();
+	stats.totals.flaps = 12;
+	stats.totals.deaths.top = 2;
+	stats.unlocked['first-bite'] = '2024-05-01T10:00:00.000Z';
+	saveStats(storage, stats);
+
+	assert.deepEqual(loadStats(storage), stats);
+});
+
+test('broken counters read as zero and unknown or undated achievements are dropped', function () {
+	const storage = memoryStorage({
+		[STATS_STORAGE_KEY]: JSON.stringify({
+			version: STATS_VERSION,
+			totals: { games: -3, flaps: 'many', pipes: 7, deaths: { ground: 4, lava: 9 } },
+			unlocked: { 'first-bite': 'yesterday', dentist: '2024-05-01T10:00:00.000Z', cheater: '2024-05-01T10:00:00.000Z' },
+		}),
+	});
+	const stats = loadStats(storage);
+
+	assert.equal(stats.totals.games, 0);
+	assert.equal(stats.totals.flaps, 0);
+	assert.equal(stats.totals.pipes, 7);
+	assert.deepEqual(stats.totals.deaths, { ground: 4, top: 0, bottom: 0, wire: 0 });
+	assert.deepEqual(stats.unlocked, { dentist: '2024-05-01T10:00:00.000Z' });
+});
+
+test('unreadable or newer stats are ignored but left in storage', function () {
+	const future = JSON.stringify({ version: STATS_VERSION + 1, totals: { games: 5 } });
+	const storage = memoryStorage({ [STATS_STORAGE_KEY]: future });
+	const stats = loadStats(storage);
+	assert.deepEqual(stats, emptyStats());
+	assert.equal(storage.data[STATS_STORAGE_KEY], future);
+	stats.totals.games = 1;
+	saveStats(storage, stats);
+	assert.equal(storage.data[STATS_STORAGE_KEY], future, 'saving leaves them alone too');
+
+	assert.deepEqual(loadStats(memoryStorage({ [STATS_STORAGE_KEY]: '{broken' })), emptyStats());
+});
+
+test('achievements unlock once, on total or single-run progress', function () {
+	const stats = emptyStats();
+	stats.totals.deaths.top = 10;
+	const run = { flaps: 0, pipes: 10, nearMisses: 0, durationMs: 0 };
+
+	const unlocked = checkAchievements(stats, run, '2024-05-01T10:00:00.000Z');
+	assert.deepEqual(unlocked.map((a) => a.id), ['brace-yourself', 'overbite']);
+	assert.equal(stats.unlocked.overbite, '2024-05-01T10:00:00.000Z');
+	assert.deepEqual(checkAchievements(stats, run), [], 'already unlocked');
+
+	assert.equal(achievementProgress(stats, achievement('overbite')), 10);
+	assert.equal(achievementProgress(stats, achievement('brace-yourself')), 0, 'run progress starts from zero');
+});
+
+test('a live run is counted from the game events', function () {
+	const game = createGame({ width: 480, height: 720 });
+	const stats = emptyStats();
+	const unlocks = [];
+	let ends = 0;
+	const tracker = trackStats(game, stats, {
+		onUnlock: function (achievements) {
+			unlocks.push(...achievements.map((a) => a.id));
+		},
+		onRunEnd: function () {
+			ends++;
+		},
+	});
+
+	resetGame(game, { seed: 1 });
+	tracker.startRun();
+	playToTheGround(game);
+
+	assert.equal(game.isGameOver, true);
+	assert.equal(stats.totals.games, 1);
+	assert.equal(stats.totals.flaps, 3);
+	assert.equal(stats.totals.deaths.ground, 1);
+	assert.equal(stats.totals.longestMs, game.tick * 1000 / 60);
+	assert.deepEqual(unlocks, ['first-bite']);
+	assert.equal(ends, 1);
+});
+
+test('replays and runs that do not count leave the stats alone', function () {
+	const live = createGame({ width: 480, height: 720 });
+	resetGame(live, { seed: 1 });
+	playToTheGround(live);
+
+	const game = createGame({ width: 480, height: 720 });
+	const stats = emptyStats();
+	let counting = true;
+	trackStats(game, stats, {
+		counts: function () {
+			return counting;
+		},
+	});
+
+	resetGame(game, { run: live.lastRun });
+	playToTheGround(game);
+	assert.deepEqual(stats, emptyStats());
+
+	counting = false;
+	resetGame(game, { seed: 1 });
+	playToTheGround(game);
+	assert.deepEqual(stats, emptyStats());
+});
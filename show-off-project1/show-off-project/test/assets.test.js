@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadAssets, assetSources, AssetLoadError } from '../src/assets.js';
+
+// Loader that succeeds for the sources in `available` and fails for the rest
+function fakeLoader(available, tried = []) {
+	return function (src) {
+		tried.push(src);
+		return available.includes(src) ? Promise.resolve('<' + src + '>') : Promise.reject(new Error('not found'));
+	};
+}
+
+test('assets load in parallel and report progress as each settles', async function () {
+	const reports = [];
+	const result = await loadAssets([
+		{ id: 'bg', type: 'image', src: 'bg.jpg' },
+		{ id: 'theme', type: 'json', src: 'theme.json' },
+	], {
+		loaders: { image: fakeLoader(['bg.jpg']), json: fakeLoader(['theme.json']) },
+		onProgress: (p) => reports.push(p.done + '/' + p.total),
+	});
+
+	assert.deepEqual(result.assets, { bg: '<bg.jpg>', theme: '<theme.json>' });
+	assert.deepEqual(result.missing, []);
+	assert.deepEqual(reports, ['0/2', '1/2', '2/2']);
+});
+
+test('fallback sources are tried in order', async function () {
+	const tried = [];
+	const result = await loadAssets([
+		{ id: 'bg', type: 'image', src: ['bg.png', 'bg.jpg', 'bg.gif'] },
+	], { loaders: { image: fakeLoader(['bg.jpg'], tried) } });
+
+	assert.deepEqual(tried, ['bg.png', 'bg.jpg']);
+	assert.equal(result.sources.bg, 'bg.jpg');
+	assert.equal(result.assets.bg, '<bg.jpg>');
+});
+
+test('failures are collected with every source that was tried', async function () {
+	const reports = [];
+	const result = await loadAssets([
+		{ id: 'teeth', type: 'image', src: ['teeth.png', 'teeth.jpg'] },
+		{ id: 'font', type: 'font', src: 'bold 16px Nope', optional: true },
+		{ id: 'song', type: 'midi', src: 'song.mid' },
+	], {
+		loaders: { image: fakeLoader([]), font: fakeLoader([]) },
+		onProgress: (p) => reports.push(p.failed),
+	});
+
+	assert.deepEqual(result.assets, {});
+	assert.deepEqual(result.missing.map((e) => e.id), ['teeth', 'song']);
+	assert.ok(result.missing[0] instanceof AssetLoadError);
+	assert.deepEqual(result.missing[0].tried, ['teeth.png', 'teeth.jpg']);
+	assert.match(result.missing[1].message, /no loader for type midi/);
+	assert.deepEqual(result.warnings.map((e) => e.id), ['font']);
+	assert.equal(reports[reports.length - 1], 3);
+});
+
+test('a source that never answers times out and falls back', async function () {
+	const result = await loadAssets([
+		{ id: 'bg', type: 'image', src: ['slow.png', 'bg.png'] },
+	], {
+		loaders: { image: (src) => (src === 'slow.png' ? new Promise(() => {}) : Promise.resolve(src)) },
+		timeoutMs: 20,
+	});
+	assert.equal(result.assets.bg, 'bg.png');
+});
+
+test('assetSources ignores empty entries', function () {
+	assert.deepEqual(assetSources({ src: 'a.png' }), ['a.png']);
+	assert.deepEqual(assetSources({ src: ['', 'b.png', null] }), ['b.png']);
+});
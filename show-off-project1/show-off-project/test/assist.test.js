@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	ASSIST_CHOICES,
+	ASSIST_STORAGE_KEY,
+	DEFAULT_ASSIST,
+	loadAssist,
+	saveAssist,
+	cycleAssist,
+	resolveToggle,
+	isAssisted,
+	assistLabel,
+} from '../src/assist.js';
+
+function memoryStorage(initial = {}) {
+	const data = { ...initial };
+	return {
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+	};
+}
+
+test('saved options load back, with defaults for anything missing or not offered', function () {
+	assert.deepEqual(loadAssist(memoryStorage()), DEFAULT_ASSIST);
+	assert.deepEqual(loadAssist(memoryStorage({ [ASSIST_STORAGE_KEY]: 'not json' })), DEFAULT_ASSIST);
+
+	const storage = memoryStorage();
+	const assist = { ...DEFAULT_ASSIST, speed: 0.7, highContrast: 'on' };
+	saveAssist(storage, assist);
+	assert.deepEqual(loadAssist(storage), assist);
+
+	const odd = memoryStorage({ [ASSIST_STORAGE_KEY]: JSON.stringify({ speed: 0.1, gapScale: 1.15, reducedMotion: true }) });
+	assert.deepEqual(loadAssist(odd), { ...DEFAULT_ASSIST, gapScale: 1.15 });
+});
+
+test('the older reduced motion flag is used until assist options are saved', function () {
+	assert.equal(loadAssist(memoryStorage(), '1').reducedMotion, 'on');
+	assert.equal(loadAssist(memoryStorage(), '0').reducedMotion, 'off');
+	assert.equal(loadAssist(memoryStorage(), null).reducedMotion, 'auto');
+
+	const saved = memoryStorage({ [ASSIST_STORAGE_KEY]: JSON.stringify({ reducedMotion: 'auto' }) });
+	assert.equal(loadAssist(saved, '1').reducedMotion, 'auto');
+});
+
+test('cycling steps through every choice and wraps round', function () {
+	const assist = { ...DEFAULT_ASSIST };
+	const seen = ASSIST_CHOICES.speed.map(function () {
+		return cycleAssist(assist, 'speed');
+	});
+	assert.deepEqual(seen, [0.85, 0.7, 1]);
+	assert.equal(cycleAssist(assist, 'highContrast'), 'on');
+});
+
+test('auto follows the system preference, on and off override it', function () {
+	assert.equal(resolveToggle('auto', true), true);
+	assert.equal(resolveToggle('auto', false), false);
+	assert.equal(resolveToggle('on', false), true);
+	assert.equal(resolveToggle('off', true), false);
+});
+
+test('only speed and gap options make a run assisted', function () {
+	assert.equal(isAssisted(DEFAULT_ASSIST), false);
+	assert.equal(isAssisted({ ...DEFAULT_ASSIST, highContrast: 'on', reducedMotion: 'on' }), false);
+	assert.equal(isAssisted({ ...DEFAULT_ASSIST, speed: 0.85 }), true);
+	assert.equal(isAssisted({ ...DEFAULT_ASSIST, gapScale: 1.3 }), true);
+});
+
+test('option values read as short labels', function () {
+	assert.equal(assistLabel('speed', 0.85), '85%');
+	assert.equal(assistLabel('gapScale', 1), 'NORMAL');
+	assert.equal(assistLabel('gapScale', 1.15), '+15%');
+	assert.equal(assistLabel('reducedMotion', 'auto'), 'AUTO');
+});
@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	createAudio,
+	loadAudioSettings,
+	saveAudioSettings,
+	AUDIO_STORAGE_KEY,
+	DEFAULT_AUDIO_SETTINGS,
+	SOUNDS,
+} from '../src/audio.js';
+
+function memoryStorage(initial = {}) {
+	const data = { ...initial };
+	return {
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+	};
+}
+
+// Just enough of AudioContext to record what gets scheduled
+function fakeAudioContext() {
+	const started = [];
+	function param() {
+		return {
+			value: 1,
+			setValueAtTime(v) {
+				this.value = v;
+			},
+			setTargetAtTime(v) {
+				this.value = v;
+			},
+			exponentialRampToValueAtTime() {},
+		};
+	}
+	function node(extra) {
+		return { connect() {}, ...extra };
+	}
+	function source(kind) {
+		return node({
+			kind,
+			frequency: param(),
+			start(at) {
+				started.push({ kind, type: this.type, at });
+			},
+			stop() {},
+		});
+	}
+	const AudioContext = function () {
+		this.currentTime = 10;
+		this.sampleRate = 8000;
+		this.state = 'running';
+		this.destination = node();
+	};
+	AudioContext.prototype.createGain = function () {
+		return node({ gain: param() });
+	};
+	AudioContext.prototype.createOscillator = function () {
+		return source('oscillator');
+	};
+	AudioContext.prototype.createBufferSource = function () {
+		return source('noise');
+	};
+	AudioContext.prototype.createBiquadFilter = function () {
+		return node({ frequency: param() });
+	};
+	AudioContext.prototype.createBuffer = function (channels, length) {
+		const data = new Float32Array(length);
+		return { getChannelData: () => data };
+	};
+	return { AudioContext, started };
+}
+
+test('audio settings fall back to the defaults and clamp levels', function () {
+	assert.deepEqual(loadAudioSettings(memoryStorage()), DEFAULT_AUDIO_SETTINGS);
+	assert.deepEqual(loadAudioSettings(memoryStorage({ [AUDIO_STORAGE_KEY]: 'not json' })), DEFAULT_AUDIO_SETTINGS);
+
+	const storage = memoryStorage({ [AUDIO_STORAGE_KEY]: JSON.stringify({ muted: true, volume: 3, music: 'yes' }) });
+	const settings = loadAudioSettings(storage);
+	assert.equal(settings.muted, true);
+	assert.equal(settings.volume, 1);
+	assert.equal(settings.music, DEFAULT_AUDIO_SETTINGS.music);
+
+	settings.volume = 0.3;
+	saveAudioSettings(storage, settings);
+	assert.equal(loadAudioSettings(storage).volume, 0.3);
+});
+
+test('nothing plays before unlock, then every note of a sound is scheduled', function () {
+	const fake = fakeAudioContext();
+	const audio = createAudio({ ...DEFAULT_AUDIO_SETTINGS }, { AudioContext: fake.AudioContext });
+
+	audio.play('hit');
+	assert.equal(fake.started.length, 0);
+
+	audio.unlock();
+	audio.play('hit');
+	assert.equal(fake.started.length, SOUNDS.hit.length);
+	assert.deepEqual(fake.started.map((n) => n.kind), ['noise', 'oscillator']);
+
+	audio.play('gameover');
+	const last = fake.started[fake.started.length - 1];
+	assert.equal(last.at, 10 + SOUNDS.gameover[SOUNDS.gameover.length - 1].at);
+});
+
+test('the music loop starts and stops with its timer', function () {
+	const fake = fakeAudioContext();
+	const intervals = [];
+	const timers = {
+		setInterval(fn) {
+			intervals.push(fn);
+			return intervals.length;
+		},
+		clearInterval(id) {
+			intervals[id - 1] = null;
+		},
+	};
+	const audio = createAudio({ ...DEFAULT_AUDIO_SETTINGS }, { AudioContext: fake.AudioContext, timers });
+	audio.startMusic();
+	assert.equal(audio.isMusicPlaying(), false); // Still locked
+
+	audio.unlock();
+	audio.startMusic();
+	audio.startMusic();
+	assert.equal(intervals.length, 1);
+	assert.ok(fake.started.length > 0);
+
+	audio.stopMusic();
+	assert.equal(audio.isMusicPlaying(), false);
+	assert.equal(intervals[0], null);
+});
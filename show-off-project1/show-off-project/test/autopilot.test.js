@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { autopilotWantsFlap, autopilotStep, playAutopilot } from '../src/autopilot.js';
+import { createGame, resetGame, step, STEP_MS } from '../src/game.js';
+
+test('the autopilot gets through the teeth on easy', function () {
+	const scores = [1, 2, 3].map(function (seed) {
+		return playAutopilot({ seed, difficulty: 'easy', maxTicks: 60 * 30 }).score;
+	});
+	for (const score of scores) {
+		assert.ok(score >= 10, 'scored only ' + score);
+	}
+});
+
+test('an autopilot run replays to the same score', function () {
+	const result = playAutopilot({ seed: 7, difficulty: 'normal' });
+	assert.equal(result.finished, true);
+	assert.ok(result.cause);
+	assert.equal(result.durationMs, result.ticks * STEP_MS);
+	assert.equal(result.run.score, result.score);
+
+	const game = createGame();
+	resetGame(game, { run: result.run });
+	while (!game.isGameOver) {
+		step(game);
+	}
+	assert.equal(game.score, result.score);
+	assert.equal(game.tick, result.ticks);
+});
+
+test('a run stopped at maxTicks still comes with a recording to play', function () {
+	const result = playAutopilot({ seed: 1, difficulty: 'easy', maxTicks: 600 });
+	assert.equal(result.finished, false);
+	assert.equal(result.cause, null);
+	assert.equal(result.ticks, 600);
+	assert.ok(result.run.flaps.length > 0);
+});
+
+test('the autopilot leaves a finished run alone and can fly either tongue of a race', function () {
+	const game = createGame();
+	resetGame(game, { seed: 3, players: 2 });
+	for (let i = 0; i < 600; i++) {
+		autopilotStep(game, [0, 1]);
+		step(game);
+	}
+	assert.equal(game.isGameOver, false);
+	assert.ok(game.tongues.every((tongue) => !tongue.isOut));
+
+	game.isGameOver = true;
+	assert.equal(autopilotWantsFlap(game, 0), false);
+});
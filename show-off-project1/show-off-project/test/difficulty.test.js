@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { difficultyAt, DIFFICULTY_PRESETS, DIFFICULTY_IDS, isDifficulty } from '../src/difficulty.js';
+import { createGame, resetGame, step, spawnPipe, PIPE_GAP_MIN, PIPE_GAP_MAX, SCROLL_SPEED } from '../src/game.js';
+
+test('normal starts from the original constants', function () {
+	const start = difficultyAt('normal', 0);
+	assert.equal(start.gapMin, PIPE_GAP_MIN);
+	assert.equal(start.gapMax, PIPE_GAP_MAX);
+	assert.equal(start.scrollSpeed, SCROLL_SPEED);
+});
+
+test('every preset gets harder with score and stops at its limits', function () {
+	for (const id of DIFFICULTY_IDS) {
+		const early = difficultyAt(id, 0);
+		const later = difficultyAt(id, 10);
+		const far = difficultyAt(id, 10000);
+		assert.ok(later.gapMin < early.gapMin, id + ' gaps tighten');
+		assert.ok(later.intervalMs < early.intervalMs, id + ' spawns sooner');
+		assert.ok(later.scrollSpeed > early.scrollSpeed, id + ' scrolls faster');
+		assert.deepEqual(far, DIFFICULTY_PRESETS[id].limit, id + ' is clamped');
+		assert.ok(far.gapMin <= far.gapMax);
+	}
+});
+
+test('presets are ordered easy to hard', function () {
+	assert.deepEqual(DIFFICULTY_IDS, ['easy', 'normal', 'hard']);
+	assert.ok(difficultyAt('easy', 0).gapMin > difficultyAt('hard', 0).gapMin);
+	assert.equal(isDifficulty('hard'), true);
+	assert.equal(isDifficulty('toString'), false);
+});
+
+test('unknown presets fall back to normal', function () {
+	assert.deepEqual(difficultyAt('nope', 3), difficultyAt('normal', 3));
+});
+
+test('the game spawns and scrolls pipes with the preset for the current score', function () {
+	const game = createGame({ width: 480, height: 720 });
+	resetGame(game, { seed: 3, difficulty: 'hard' });
+	game.score = 20;
+	const settings = difficultyAt('hard', 20);
+
+	const pipe = spawnPipe(game);
+	assert.ok(pipe.gap >= settings.gapMin && pipe.gap <= settings.gapMax);
+
+	const x = pipe.x;
+	step(game);
+	assert.equal(pipe.x, x - settings.scrollSpeed);
+	assert.equal(game.recording.difficulty, 'hard');
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createParticlePool, createEffects, BURSTS, DEATH_MS, SHAKE_MS } from '../src/effects.js';
+
+test('the particle pool reuses its slots and drops bursts when full', function () {
+	const pool = createParticlePool(4);
+	const slots = pool.particles.slice();
+
+	const taken = [pool.acquire(), pool.acquire(), pool.acquire(), pool.acquire()];
+	assert.equal(pool.acquire(), null);
+	assert.equal(pool.activeCount(), 4);
+
+	taken.forEach(function (p) {
+		p.life = 10;
+	});
+	pool.update(10);
+	assert.equal(pool.activeCount(), 0);
+	assert.ok(slots.includes(pool.acquire()));
+	assert.deepEqual(pool.particles, slots);
+});
+
+test('bursts launch particles that fall and expire', function () {
+	const effects = createEffects({ rng: () => 0.5 });
+	effects.burst('flap', 100, 100);
+	assert.equal(effects.pool.activeCount(), BURSTS.flap.count);
+
+	const p = effects.pool.particles.find((q) => q.active);
+	const startY = p.y;
+	effects.update(50);
+	assert.notEqual(p.y, startY);
+
+	effects.update(BURSTS.flap.life[1]);
+	assert.equal(effects.pool.activeCount(), 0);
+});
+
+test('a crash shakes, flashes and plays the death animation once', function () {
+	const effects = createEffects({ rng: () => 1 });
+	effects.crash(50, 60, 0.3);
+	assert.equal(effects.isDying(), true);
+	assert.ok(effects.flashAlpha() > 0);
+	assert.notDeepEqual(effects.shakeOffset(), { x: 0, y: 0 });
+
+	effects.update(SHAKE_MS);
+	assert.deepEqual(effects.shakeOffset(), { x: 0, y: 0 });
+	assert.equal(effects.flashAlpha(), 0);
+	assert.ok(effects.deathPose().y > 60);
+
+	effects.update(DEATH_MS);
+	assert.equal(effects.isDying(), false);
+	assert.equal(effects.deathPose(), null);
+});
+
+test('reduced motion turns every effect off', function () {
+	const effects = createEffects({ reducedMotion: true });
+	effects.burst('score', 0, 0);
+	effects.crash(0, 0, 0);
+	assert.equal(effects.pool.activeCount(), 0);
+	assert.equal(effects.isDying(), false);
+	assert.equal(effects.flashAlpha(), 0);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	ENTITY_TYPES,
+	SPAWN_RULES,
+	chooseSpawn,
+	spawnEntity,
+	followGap,
+	entityTouches,
+	grantPowerUp,
+	tickPowerUps,
+	activePowerUps,
+} from '../src/entities.js';
+import { createGame, resetGame, spawnPipe } from '../src/game.js';
+import { applyMotion } from '../src/patterns.js';
+
+const RULES = [
+	{ type: 'candy', chance: 0.5, minScore: 0 },
+	{ type: 'shield', chance: 0.25, minScore: 10 },
+];
+
+test('a roll picks a rule by its share of the range', function () {
+	assert.equal(chooseSpawn(RULES, 0.1, 0), 'candy');
+	assert.equal(chooseSpawn(RULES, 0.6, 0), null, 'shield is locked below its score');
+	assert.equal(chooseSpawn(RULES, 0.6, 10), 'shield');
+	assert.equal(chooseSpawn(RULES, 0.9, 10), null);
+});
+
+test('every spawn rule names a known entity type', function () {
+	for (const rule of SPAWN_RULES) {
+		assert.ok(ENTITY_TYPES[rule.type], rule.type);
+	}
+});
+
+test('entities spawn inside the gap and come from the seeded generator', function () {
+	function spawnMany(seed) {
+		const game = createGame();
+		resetGame(game, { seed });
+		const spawned = [];
+		for (let i = 0; i < 40; i++) {
+			const pipe = spawnPipe(game);
+			const entity = spawnEntity(game, pipe, [{ type: 'candy', chance: 0.5, minScore: 0 }]);
+			if (entity) {
+				assert.ok(entity.y > pipe.topHeight && entity.y < pipe.topHeight + pipe.gap);
+				spawned.push(entity);
+			}
+		}
+		return spawned;
+	}
+	const a = spawnMany(5);
+	assert.ok(a.length > 0);
+	assert.deepEqual(a, spawnMany(5));
+});
+
+test('entities move with the gap of bobbing teeth', function () {
+	const game = createGame();
+	resetGame(game, { seed: 5 });
+	const pipe = spawnPipe(game);
+	const entity = spawnEntity(game, pipe, [{ type: 'candy', chance: 1, minScore: 0 }]);
+	const below = entity.y - pipe.topHeight;
+	pipe.motion = { type: 'bob', amount: 50, periodMs: 2600 };
+	pipe.age = 650; // A quarter of the way round: the gap at its lowest
+	applyMotion(pipe);
+	followGap(entity);
+	assert.ok(pipe.topHeight > pipe.baseTop + 49);
+	assert.ok(Math.abs(entity.y - pipe.topHeight - below) < 1e-9);
+});
+
+test('entities touch boxes they overlap', function () {
+	const box = { x: 0, y: 0, w: 20, h: 20 };
+	assert.equal(entityTouches({ x: 25, y: 10, radius: 10 }, box), true);
+	assert.equal(entityTouches({ x: 35, y: 10, radius: 10 }, box), false);
+	assert.equal(entityTouches({ x: 28, y: 28, radius: 10 }, box), false, 'corners are round');
+});
+
+test('power-up timers run down, refresh and expire', function () {
+	const tongue = createGame().tongues[0];
+	grantPowerUp(tongue, 'shrink');
+	assert.deepEqual(tickPowerUps(tongue, 1000), []);
+	assert.equal(activePowerUps(tongue)[0].remainingMs, ENTITY_TYPES.shrink.durationMs - 1000);
+
+	grantPowerUp(tongue, 'shrink');
+	assert.equal(activePowerUps(tongue)[0].fraction, 1);
+
+	assert.deepEqual(tickPowerUps(tongue, ENTITY_TYPES.shrink.durationMs), ['shrink']);
+	assert.deepEqual(activePowerUps(tongue), []);
+});
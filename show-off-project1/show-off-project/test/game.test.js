@@ -0,0 +1,451 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	createGame,
+	resetGame,
+	flap,
+	step,
+	update,
+	spawnPipe,
+	rectsOverlap,
+	tongueHitbox,
+	isDefaultPhysics,
+	raceWinner,
+	STEP_MS,
+	MOUTH_SIZE,
+	GROUND_HEIGHT,
+	PIPE_WIDTH,
+} from '../src/game.js';
+import { ENTITY_TYPES, grantPowerUp } from '../src/entities.js';
+import { OBSTACLE_PATTERNS } from '../src/patterns.js';
+import { shapeBounds } from '../src/hitbox.js';
+
+// A fresh 480x720 game with a fixed seed
+function newGame(seed = 1) {
+	const game = createGame({ width: 480, height: 720 });
+	resetGame(game, { seed });
+	return game;
+}
+
+// Place a pipe at x with its gap centred on the tongue
+function pipeAroundMouth(game, x) {
+	const gap = 200;
+	return {
+		x,
+		prevX: x,
+		width: PIPE_WIDTH,
+		topHeight: game.tongues[0].mouthY + MOUTH_SIZE / 2 - gap / 2,
+		gap,
+		passed: false,
+		cleared: false,
+		closest: [],
+	};
+}
+
+// Hold the tongue still so a test can look at pipes alone
+function hover(game) {
+	game.tongues[0].mouthVelY = 0;
+	game.tongues[0].mouthY = game.world.height / 2;
+}
+
+test('rectsOverlap detects overlapping and touching rectangles', function () {
+	assert.equal(rectsOverlap(0, 0, 10, 10, 5, 5, 10, 10), true);
+	assert.equal(rectsOverlap(0, 0, 10, 10, 10, 0, 10, 10), false);
+	assert.equal(rectsOverlap(0, 0, 10, 10, 0, 20, 10, 10), false);
+});
+
+test('scores a point once when a pipe passes the tongue', function () {
+	const game = newGame();
+	const scores = [];
+	game.events.on('score', function (e) {
+		scores.push(e.score);
+	});
+	game.pipes.push(pipeAroundMouth(game, game.tongues[0].mouthX + 20));
+
+	for (let i = 0; i < 40; i++) {
+		hover(game);
+		step(game);
+	}
+
+	assert.equal(game.isGameOver, false);
+	assert.equal(game.score, 1);
+	assert.deepEqual(scores, [1]);
+	assert.equal(game.pipes[0].passed, true);
+});
+
+test('hitting the ground ends the run', function () {
+	const game = newGame();
+	const collisions = [];
+	game.events.on('collision', function (e) {
+		collisions.push(e.cause);
+	});
+
+	for (let i = 0; i < 200 && !game.isGameOver; i++) {
+		step(game);
+	}
+
+	assert.equal(game.isGameOver, true);
+	assert.deepEqual(collisions, ['ground']);
+	assert.equal(game.tongues[0].mouthY, game.world.height - GROUND_HEIGHT - MOUTH_SIZE);
+});
+
+test('hitting the top teeth ends the run', function () {
+	const game = newGame();
+	const pipe = pipeAroundMouth(game, game.tongues[0].mouthX);
+	pipe.topHeight = game.tongues[0].mouthY + MOUTH_SIZE; // Gap sits entirely below the tongue
+	game.pipes.push(pipe);
+	let cause = null;
+	game.events.on('collision', function (e) {
+		cause = e.cause;
+	});
+
+	hover(game);
+	step(game);
+
+	assert.equal(game.isGameOver, true);
+	assert.equal(cause, 'top');
+});
+
+test('hitting the bottom teeth ends the run', function () {
+	const game = newGame();
+	const pipe = pipeAroundMouth(game, game.tongues[0].mouthX);
+	pipe.topHeight = 40;
+	pipe.gap = 40;                     // Gap sits entirely above the tongue
+	game.pipes.push(pipe);
+	let cause = null;
+	game.events.on('collision', function (e) {
+		cause = e.cause;
+	});
+
+	hover(game);
+	step(game);
+
+	assert.equal(game.isGameOver, true);
+	assert.equal(cause, 'bottom');
+});
+
+test('a finished run ignores flaps and stops moving', function () {
+	const game = newGame();
+	while (!game.isGameOver) {
+		step(game);
+	}
+	const y = game.tongues[0].mouthY;
+	flap(game);
+	step(game);
+	assert.equal(game.tongues[0].mouthY, y);
+});
+
+test('update runs whole steps no matter how the frame time is split', function () {
+	const a = newGame(7);
+	const b = newGame(7);
+
+	// Same total time as 60 steps, delivered as 144 Hz frames vs one big chunk
+	for (let i = 0; i < 144; i++) {
+		update(a, (60 * STEP_MS) / 144);
+	}
+	update(b, 60 * STEP_MS + 1e-9);
+
+	assert.equal(a.tick, b.tick);
+	assert.equal(a.tongues[0].mouthY, b.tongues[0].mouthY);
+});
+
+test('the same seed spawns the same teeth', function () {
+	const a = newGame(42);
+	const b = newGame(42);
+	const c = newGame(43);
+	const pa = spawnPipe(a);
+	const pb = spawnPipe(b);
+	const pc = spawnPipe(c);
+	assert.deepEqual(pa, pb);
+	assert.notDeepEqual(pa, pc);
+});
+
+test('a recorded run replays to the same result', function () {
+	const live = newGame(1234);
+	// Flap whenever the tongue drops below the middle; dies eventually on the teeth
+	while (!live.isGameOver && live.tick < 5000) {
+		if (live.tongues[0].mouthY > live.world.height / 2) {
+			flap(live);
+		}
+		step(live);
+	}
+	const run = live.lastRun;
+	assert.ok(run, 'finished run is kept for replay');
+	assert.equal(run.seed, 1234);
+	assert.ok(run.flaps.length > 0);
+
+	const replayed = createGame();
+	const ends = [];
+	replayed.events.on('gameover', function (e) {
+		ends.push(e.diverged);
+	});
+	resetGame(replayed, { run });
+	while (!replayed.isGameOver && replayed.tick < 5000) {
+		step(replayed);
+	}
+	resetGame(replayed, { run: { ...run, score: run.score + 1 } });
+	while (!replayed.isGameOver && replayed.tick < 5000) {
+		step(replayed);
+	}
+
+	assert.deepEqual(ends, [false, true], 'a replay that ends on another score is reported');
+	assert.equal(replayed.tick, run.ticks);
+	assert.equal(replayed.score, run.score);
+	assert.equal(replayed.tongues[0].mouthY, live.tongues[0].mouthY);
+	assert.equal(replayed.lastRun, null, 'replays are not recorded again');
+});
+
+test('touching a candy scores its bonus points', function () {
+	const game = newGame();
+	const pickups = [];
+	game.events.on('pickup', function (e) {
+		pickups.push(e.type);
+	});
+	hover(game);
+	const x = game.tongues[0].mouthX + MOUTH_SIZE + 10;
+	game.entities.push({ type: 'candy', x, prevX: x, y: game.tongues[0].mouthY + MOUTH_SIZE / 2, radius: 10 });
+
+	for (let i = 0; i < 10; i++) {
+		hover(game);
+		step(game);
+	}
+
+	assert.deepEqual(pickups, ['candy']);
+	assert.equal(game.score, ENTITY_TYPES.candy.points);
+	assert.equal(game.entities.length, 0);
+});
+
+test('a shield absorbs one tooth hit', function () {
+	const game = newGame();
+	const ended = [];
+	game.events.on('powerupend', function (e) {
+		ended.push(e.type + ':' + e.reason);
+	});
+	grantPowerUp(game.tongues[0], 'shield');
+	const first = pipeAroundMouth(game, game.tongues[0].mouthX);
+	first.topHeight = game.tongues[0].mouthY + MOUTH_SIZE;
+	game.pipes.push(first);
+
+	for (let i = 0; i < 5; i++) {
+		hover(game);
+		step(game);
+	}
+	assert.equal(game.isGameOver, false);
+	assert.deepEqual(ended, ['shield:used']);
+
+	const second = pipeAroundMouth(game, game.tongues[0].mouthX);
+	second.topHeight = game.tongues[0].mouthY + MOUTH_SIZE;
+	game.pipes.push(second);
+	hover(game);
+	step(game);
+	assert.equal(game.isGameOver, true);
+});
+
+test('slow-mo scrolls the teeth slower until it runs out', function () {
+	const game = newGame();
+	game.pipes.push(pipeAroundMouth(game, 400));
+	hover(game);
+	step(game);
+	const normal = game.pipes[0].prevX - game.pipes[0].x;
+
+	grantPowerUp(game.tongues[0], 'slowmo');
+	hover(game);
+	step(game);
+	const slow = game.pipes[0].prevX - game.pipes[0].x;
+	assert.ok(Math.abs(slow - normal * ENTITY_TYPES.slowmo.scrollScale) < 1e-9);
+
+	game.tongues[0].powerUps.slowmo = STEP_MS / 2;
+	hover(game);
+	step(game);
+	assert.equal(game.tongues[0].powerUps.slowmo, undefined);
+});
+
+test('shrink makes the tongue hitbox smaller around the same centre', function () {
+	const game = newGame();
+	game.hitboxMode = 'circle';
+	const before = shapeBounds(tongueHitbox(game));
+	grantPowerUp(game.tongues[0], 'shrink');
+	const after = shapeBounds(tongueHitbox(game));
+	assert.ok(after.w < before.w && after.h < before.h);
+	assert.ok(Math.abs((after.x + after.w / 2) - (before.x + before.w / 2)) < 1e-9);
+	assert.ok(Math.abs((after.y + after.h / 2) - (before.y + before.h / 2)) < 1e-9);
+});
+
+test('chomping teeth close on a tongue that was clear when they spawned', function () {
+	const game = newGame();
+	const pipe = pipeAroundMouth(game, game.tongues[0].mouthX);
+	pipe.gap = 60;
+	pipe.topHeight = game.tongues[0].mouthY + MOUTH_SIZE / 2 - pipe.gap / 2;
+	Object.assign(pipe, {
+		baseTop: pipe.topHeight,
+		baseGap: pipe.gap,
+		age: 0,
+		motion: { type: 'chomp', amount: 0.9, periodMs: 600 },
+	});
+	game.pipes.push(pipe);
+	let cause = null;
+	game.events.on('collision', function (e) {
+		cause = e.cause;
+	});
+
+	hover(game);
+	step(game);
+	assert.equal(game.isGameOver, false);
+	for (let i = 0; i < 30 && !game.isGameOver; i++) {
+		hover(game);
+		step(game);
+	}
+	assert.ok(cause === 'top' || cause === 'bottom');
+});
+
+test('a braces wire across the gap ends the run', function () {
+	const game = newGame();
+	const pipe = pipeAroundMouth(game, game.tongues[0].mouthX);
+	pipe.wire = { at: 0.5, thickness: 8 };
+	game.pipes.push(pipe);
+	let cause = null;
+	game.events.on('collision', function (e) {
+		cause = e.cause;
+	});
+
+	hover(game);
+	step(game);
+	assert.equal(cause, 'wire');
+});
+
+test('multi-pipe patterns spawn in order around one gap centre', function () {
+	const game = newGame(3);
+	game.sequence = { pattern: 'staircase', index: 0, anchor: 0 };
+	const pipes = OBSTACLE_PATTERNS.staircase.pipes.map(function () {
+		return spawnPipe(game);
+	});
+	const centres = pipes.map(function (p) {
+		return p.topHeight + p.gap / 2;
+	});
+	assert.deepEqual(pipes.map(function (p) {
+		return p.pattern;
+	}), ['staircase', 'staircase', 'staircase']);
+	assert.ok(Math.abs(centres[1] - centres[0] - 60) < 1e-9);
+	assert.ok(Math.abs(centres[2] - centres[1] - 60) < 1e-9);
+	assert.equal(game.sequence, null, 'the next pipe starts a new pattern');
+});
+
+test('the wider gaps assist widens every gap and is replayed with the run', function () {
+	const plain = newGame(8);
+	const wide = createGame({ width: 480, height: 720 });
+	resetGame(wide, { seed: 8, gapScale: 1.3 });
+	const a = spawnPipe(plain);
+	const b = spawnPipe(wide);
+	assert.ok(Math.abs(b.gap - a.gap * 1.3) < 1e-9);
+	assert.deepEqual(wide.recording.assist, { gapScale: 1.3 });
+
+	const replayed = createGame();
+	resetGame(replayed, { run: { ...wide.recording, flaps: [] } });
+	assert.equal(replayed.gapScale, 1.3);
+});
+
+test('custom physics change the flap and fall, and are replayed with the run', function () {
+	const game = createGame({ width: 480, height: 720 });
+	resetGame(game, { seed: 4, physics: { gravity: 0.3, flapPower: 9 } });
+	assert.deepEqual(game.physics, { gravity: 0.3, flapPower: 9, scrollScale: 1 });
+	flap(game);
+	assert.equal(game.tongues[0].mouthVelY, -9);
+	step(game);
+	assert.equal(game.tongues[0].mouthVelY, -8.7);
+	assert.deepEqual(game.recording.physics, game.physics);
+
+	const replayed = createGame();
+	resetGame(replayed, { run: { ...game.recording, flaps: [0] } });
+	step(replayed);
+	assert.equal(replayed.tongues[0].mouthVelY, -8.7);
+	assert.equal(isDefaultPhysics(replayed.physics), false);
+});
+
+test('a live run takes the hitbox mode it is given and a replay takes the recorded one', function () {
+	const game = createGame({ width: 480, height: 720 });
+	resetGame(game, { seed: 4, hitboxMode: 'circle' });
+	assert.equal(game.hitboxMode, 'circle');
+	assert.equal(game.recording.hitbox, 'circle');
+
+	resetGame(game, { run: { ...game.recording, hitbox: 'box' }, hitboxMode: 'circle' });
+	assert.equal(game.hitboxMode, 'box');
+});
+
+test('two tongues race through the same course until both are out', function () {
+	const game = createGame({ width: 480, height: 720, players: 2 });
+	resetGame(game, { seed: 5 });
+	const [one, two] = game.tongues;
+	const events = [];
+	for (const name of ['flap', 'score', 'collision']) {
+		game.events.on(name, function (e) {
+			events.push(name + ':' + e.player);
+		});
+	}
+	let over = null;
+	game.events.on('gameover', function (e) {
+		over = e;
+	});
+	assert.equal(game.recording, null, 'races are not recorded');
+
+	flap(game, 1);
+	assert.equal(two.mouthVelY, -game.physics.flapPower);
+	assert.equal(one.mouthVelY, 0);
+
+	// Player 2 falls to the ground while player 1 hovers; the run goes on
+	while (!two.isOut) {
+		hover(game);
+		step(game);
+	}
+	assert.equal(game.isGameOver, false);
+	flap(game, 1);
+	assert.deepEqual(events, ['flap:1', 'collision:1']);
+
+	game.pipes.push(pipeAroundMouth(game, one.mouthX + 20));
+	for (let i = 0; i < 40; i++) {
+		hover(game);
+		step(game);
+	}
+	assert.equal(one.score, 1);
+	assert.equal(two.score, 0);
+	assert.equal(game.score, 1);
+
+	while (!game.isGameOver) {
+		step(game);
+	}
+	assert.deepEqual(events.slice(2), ['score:0', 'collision:0']);
+	assert.deepEqual(over.scores, [1, 0]);
+	assert.equal(over.winner, 0);
+});
+
+test('the race goes to the most points, then to whoever lasted longer', function () {
+	function tongue(score, outTick) {
+		return { score, isOut: outTick !== null, outTick };
+	}
+	assert.equal(raceWinner([tongue(2, 50), tongue(3, 10)]), 1);
+	assert.equal(raceWinner([tongue(3, 80), tongue(3, 50)]), 0);
+	assert.equal(raceWinner([tongue(3, 80), tongue(3, null)]), 1);
+	assert.equal(raceWinner([tongue(3, 80), tongue(3, 80)]), null);
+});
+
+test('squeezing through the teeth counts as a near miss once they are behind the tongue', function () {
+	const game = newGame();
+	game.hitboxMode = 'box';
+	const misses = [];
+	game.events.on('nearmiss', function (e) {
+		misses.push(e.player);
+	});
+	const tongue = game.tongues[0];
+	const tight = pipeAroundMouth(game, tongue.mouthX + 20);
+	tight.topHeight = tongue.mouthY - 4;
+	tight.gap = MOUTH_SIZE + 8;
+	game.pipes.push(tight, pipeAroundMouth(game, tongue.mouthX + 100));
+
+	for (let i = 0; i < 120; i++) {
+		hover(game);
+		step(game);
+	}
+	assert.equal(game.isGameOver, false);
+	assert.equal(tight.cleared, true);
+	assert.deepEqual(misses, [0], 'the roomy gap is not a near miss');
+});
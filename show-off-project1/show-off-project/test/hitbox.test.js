@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	tongueShape,
+	teethShapes,
+	boxShape,
+	createMask,
+	shapesOverlap,
+	shapeBounds,
+	pointInPolygon,
+	tiltFor,
+} from '../src/hitbox.js';
+
+const SIZE = 32;
+
+// A pipe whose lip sits at y = 100 (top tooth) with a 150px gap below it
+const pipe = { x: 200, width: 70, topHeight: 100, gap: 150 };
+const teeth = teethShapes(pipe, 640);
+
+test('pointInPolygon handles concave outlines', function () {
+	// The top tooth is concave where the column meets the lip
+	assert.equal(pointInPolygon(235, 50, teeth.top.points), true);
+	assert.equal(pointInPolygon(198, 95, teeth.top.points), true, 'lip overhang is solid');
+	assert.equal(pointInPolygon(198, 50, teeth.top.points), false, 'beside the column is empty');
+});
+
+test('box mode is the old unrotated square', function () {
+	const shape = tongueShape(10, 20, SIZE, 9, 'box');
+	assert.deepEqual(shapeBounds(shape), { x: 10, y: 20, w: SIZE, h: SIZE });
+});
+
+test('polygon hitbox rotates with the tilt', function () {
+	const level = shapeBounds(tongueShape(0, 0, SIZE, 0, 'polygon'));
+	const diving = shapeBounds(tongueShape(0, 0, SIZE, 9, 'polygon'));
+	assert.notDeepEqual(level, diving);
+	assert.equal(tiltFor(9), 1);
+	assert.equal(tiltFor(-100), -0.5);
+});
+
+test('a corner graze that the square box counted is a miss for the shaped hitboxes', function () {
+	// Tongue box corner pokes 4px past the lip's bottom-right corner
+	const x = pipe.x + pipe.width + 4 - 4;
+	const y = pipe.topHeight - 4;
+	assert.equal(shapesOverlap(tongueShape(x, y, SIZE, 0, 'box'), teeth.top), true);
+	assert.equal(shapesOverlap(tongueShape(x, y, SIZE, 0, 'circle'), teeth.top), false);
+	assert.equal(shapesOverlap(tongueShape(x, y, SIZE, 0, 'polygon'), teeth.top), false);
+});
+
+test('a tongue inside the teeth collides in every mode', function () {
+	const solid = new Uint8ClampedArray(4 * 4 * 4).fill(255);
+	const mask = createMask(4, 4, solid);
+	for (const mode of ['box', 'circle', 'polygon', 'mask']) {
+		assert.equal(shapesOverlap(tongueShape(220, 20, SIZE, 0, mode, mask), teeth.top), true, mode);
+		assert.equal(shapesOverlap(tongueShape(220, 140, SIZE, 0, mode, mask), teeth.top), false, mode);
+		assert.equal(shapesOverlap(tongueShape(220, 140, SIZE, 0, mode, mask), teeth.bottom), false, mode);
+	}
+});
+
+test('createMask keeps only solid pixels and mask mode falls back without one', function () {
+	// 2x2 sprite with only the top-left pixel opaque
+	const alpha = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 10, 0, 0, 0, 0]);
+	const mask = createMask(2, 2, alpha);
+	assert.deepEqual(mask.points, [{ x: -0.25, y: -0.25 }]);
+
+	assert.equal(tongueShape(0, 0, SIZE, 0, 'mask', mask).type, 'mask');
+	assert.equal(tongueShape(0, 0, SIZE, 0, 'mask', null).type, 'polygon');
+});
+
+test('a circle only touches a box when it reaches it', function () {
+	const box = boxShape(0, 0, 10, 10);
+	assert.equal(shapesOverlap({ type: 'circle', x: 15, y: 5, r: 5 }, box), true);
+	assert.equal(shapesOverlap({ type: 'circle', x: 14, y: 14, r: 5 }, box), false);
+});
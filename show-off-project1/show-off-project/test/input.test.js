@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	ACTIONS,
+	DEFAULT_BINDINGS,
+	INPUT_STORAGE_KEY,
+	MAX_KEYS_PER_ACTION,
+	loadBindings,
+	saveBindings,
+	defaultBindings,
+	bindKey,
+	actionsFor,
+	keyLabel,
+	createGamepadPoller,
+	padActions,
+	createFlapBuffer,
+} from '../src/input.js';
+
+function memoryStorage(initial = {}) {
+	const data = { ...initial };
+	return {
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+	};
+}
+
+test('every action has default bindings', function () {
+	assert.deepEqual(Object.keys(DEFAULT_BINDINGS).sort(), Object.keys(ACTIONS).sort());
+});
+
+test('saved bindings load back, with defaults for anything missing or broken', function () {
+	const storage = memoryStorage();
+	const bindings = defaultBindings();
+	bindKey(bindings, 'flap', 'KeyW');
+	saveBindings(storage, bindings);
+	assert.deepEqual(loadBindings(storage), bindings);
+
+	const broken = memoryStorage({ [INPUT_STORAGE_KEY]: JSON.stringify({ flap: 'Space', pause: [4] }) });
+	assert.deepEqual(loadBindings(broken), defaultBindings());
+	assert.deepEqual(loadBindings(memoryStorage({ [INPUT_STORAGE_KEY]: '{' })), defaultBindings());
+});
+
+test('binding a key moves it to the front and off every other action', function () {
+	const bindings = defaultBindings();
+	bindKey(bindings, 'pause', 'Space');
+	assert.equal(bindings.pause[0], 'Space');
+	assert.equal(bindings.pause.length, MAX_KEYS_PER_ACTION);
+	assert.equal(bindings.flap.indexOf('Space'), -1);
+	assert.deepEqual(actionsFor(bindings, 'Space'), ['pause']);
+});
+
+test('a key can trigger several actions, tried in ACTIONS order', function () {
+	const bindings = defaultBindings();
+	assert.deepEqual(actionsFor(bindings, 'Escape'), ['pause', 'back']);
+	assert.deepEqual(actionsFor(bindings, 'KeyM'), ['hitboxMode', 'mute']);
+	assert.deepEqual(actionsFor(bindings, 'KeyQ'), []);
+});
+
+test('codes get short labels', function () {
+	assert.equal(keyLabel('KeyA'), 'A');
+	assert.equal(keyLabel('Digit7'), '7');
+	assert.equal(keyLabel('ArrowUp'), 'UP');
+	assert.equal(keyLabel('Space'), 'SPACE');
+	assert.equal(keyLabel('Gamepad0'), 'PAD A');
+	assert.equal(keyLabel('Gamepad21'), 'PAD 21');
+});
+
+test('gamepad buttons report a press once until released', function () {
+	const poller = createGamepadPoller();
+	function pad(pressed) {
+		return [{ index: 0, connected: true, buttons: [0, 1, 2].map(function (i) {
+			return { pressed: pressed.indexOf(i) !== -1, value: pressed.indexOf(i) !== -1 ? 1 : 0 };
+		}) }];
+	}
+	assert.deepEqual(poller.poll(pad([0])), ['Gamepad0']);
+	assert.deepEqual(poller.poll(pad([0, 2])), ['Gamepad2']);
+	assert.deepEqual(poller.poll(pad([])), []);
+	assert.deepEqual(poller.poll(pad([0])), ['Gamepad0']);
+	assert.deepEqual(poller.poll([null, { connected: false }]), []);
+});
+
+test('presses name their gamepad and the second one flaps for player 2', function () {
+	const poller = createGamepadPoller();
+	const pads = [0, 1].map(function (index) {
+		return { index, connected: true, buttons: [{ pressed: true, value: 1 }] };
+	});
+	assert.deepEqual(poller.presses(pads), [{ code: 'Gamepad0', pad: 0 }, { code: 'Gamepad0', pad: 1 }]);
+
+	const actions = actionsFor(defaultBindings(), 'Gamepad0');
+	assert.deepEqual(padActions(actions, 0), ['flap', 'confirm']);
+	assert.deepEqual(padActions(actions, 1), ['flap2', 'confirm']);
+});
+
+test('a buffered flap counts once, and only inside the window', function () {
+	const buffer = createFlapBuffer(100);
+	buffer.press(1000);
+	assert.equal(buffer.take(1080), true);
+	assert.equal(buffer.take(1081), false);
+
+	buffer.press(2000);
+	assert.equal(buffer.take(2200), false);
+
+	buffer.press(3000);
+	buffer.clear();
+	assert.equal(buffer.take(3010), false);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLeaderboardServer, replayScore } from '../server/leaderboard-server.js';
+import { signEntry } from '../src/score-client.js';
+import { createGame, resetGame, step, flap, MOUTH_SIZE } from '../src/game.js';
+
+// Play a short run with a simple bot that aims for the lower half of each gap
+function playRun(seed) {
+	const game = createGame();
+	resetGame(game, { seed });
+	const tongue = game.tongues[0];
+	while (!game.isGameOver) {
+		const next = game.pipes.find(function (p) {
+			return p.x + p.width > tongue.mouthX;
+		});
+		const target = next ? next.topHeight + next.gap * 0.75 : game.world.height / 2;
+		if (tongue.mouthY + MOUTH_SIZE / 2 > target && tongue.mouthVelY > 0) {
+			flap(game);
+		}
+		step(game);
+	}
+	return game.lastRun;
+}
+
+async function signed(run, overrides = {}) {
+	const entry = { name: 'ANA', score: run.score, difficulty: run.difficulty, durationMs: 9000, date: '2026-01-01T12:00:00.000Z', run, ...overrides };
+	return { ...entry, ...(await signEntry(entry)) };
+}
+
+async function withServer(fn) {
+	const server = createLeaderboardServer({ serveStatic: false });
+	await new Promise(function (resolve) {
+		server.listen(0, resolve);
+	});
+	const base = 'http://localhost:' + server.address().port + '/api/scores';
+	try {
+		await fn(base);
+	} finally {
+		await new Promise(function (resolve) {
+			server.close(resolve);
+		});
+	}
+}
+
+function post(url, body) {
+	return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('replays reproduce the score they recorded', function () {
+	const run = playRun(7);
+	assert.ok(run.score > 0);
+	assert.equal(replayScore(run), run.score);
+	assert.equal(replayScore({ ...run, hitbox: 'mask' }), null);
+});
+
+test('the server accepts verified runs and lists them', async function () {
+	const run = playRun(7);
+	await withServer(async function (base) {
+		const response = await post(base, await signed(run));
+		assert.equal(response.status, 201);
+		assert.deepEqual(await response.json(), { rank: 1 });
+
+		const again = await post(base, await signed(run));
+		assert.equal(again.status, 409);
+
+		const top = await (await fetch(base + '?difficulty=normal')).json();
+		assert.equal(top.scores.length, 1);
+		assert.equal(top.scores[0].score, run.score);
+		assert.equal(top.scores[0].run, undefined);
+	});
+});
+
+test('the server rejects tampered and inflated scores', async function () {
+	const run = playRun(7);
+	await withServer(async function (base) {
+		const tampered = { ...(await signed(run)), score: run.score + 10 };
+		const bad = await post(base, tampered);
+		assert.equal(bad.status, 400);
+		assert.deepEqual(await bad.json(), { error: 'bad signature' });
+
+		const inflated = await post(base, await signed(run, { score: run.score + 10 }));
+		assert.equal(inflated.status, 400);
+		assert.match((await inflated.json()).error, /claimed score/);
+
+		const assisted = await post(base, await signed({ ...run, assist: { gapScale: 1.3 } }));
+		assert.equal(assisted.status, 400);
+		assert.match((await assisted.json()).error, /assisted/);
+
+		const floaty = await post(base, await signed({ ...run, physics: { ...run.physics, gravity: 0.3 } }));
+		assert.equal(floaty.status, 400);
+		assert.match((await floaty.json()).error, /physics/);
+
+		const top = await (await fetch(base + '?difficulty=normal')).json();
+		assert.deepEqual(top.scores, []);
+	});
+});
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	loadScores,
+	saveScores,
+	recordRun,
+	qualifies,
+	addEntry,
+	topScores,
+	exportScores,
+	importScores,
+	cleanName,
+	SCORES_STORAGE_KEY,
+	SCORES_VERSION,
+	LEADERBOARD_SIZE,
+} from '../src/leaderboard.js';
+
+// In-memory stand-in for localStorage
+function memoryStorage(initial = {}) {
+	const data = { ...initial };
+	return {
+		data,
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+		removeItem(key) {
+			delete data[key];
+		},
+	};
+}
+
+function run(score, difficulty = 'normal', minute = 0) {
+	return { score, difficulty, durationMs: score * 1500, date: new Date(Date.UTC(2026, 0, 1, 12, minute)).toISOString() };
+}
+
+test('migrates the old best-score keys into the versioned store', function () {
+	const storage = memoryStorage({ mouth_trap_best: '12', mouth_trap_best_hard: '4', mouth_trap_best_normal: '9' });
+	const scores = loadScores(storage);
+
+	assert.deepEqual(scores.best, { easy: 0, normal: 12, hard: 4 });
+	assert.equal(storage.getItem('mouth_trap_best'), null);
+	assert.equal(storage.getItem('mouth_trap_best_hard'), null);
+	assert.equal(JSON.parse(storage.getItem(SCORES_STORAGE_KEY)).version, SCORES_VERSION);
+});
+
+test('leaves data from a newer version alone', function () {
+	const future = JSON.stringify({ version: SCORES_VERSION + 1, best: { normal: 99 } });
+	const storage = memoryStorage({ [SCORES_STORAGE_KEY]: future });
+	const scores = loadScores(storage);
+
+	assert.equal(scores.best.normal, 0);
+	assert.equal(storage.getItem(SCORES_STORAGE_KEY), future);
+	recordRun(scores, run(5));
+	saveScores(storage, scores);
+	assert.equal(storage.getItem(SCORES_STORAGE_KEY), future, 'saving leaves it alone too');
+});
+
+test('keeps the top ten per preset and reports the rank', function () {
+	const scores = loadScores(memoryStorage());
+	for (let i = 1; i <= LEADERBOARD_SIZE; i++) {
+		assert.equal(qualifies(scores, 'normal', i), true);
+		addEntry(scores, recordRun(scores, run(i, 'normal', i)), 'P' + i);
+	}
+
+	assert.equal(qualifies(scores, 'normal', 1), false, 'ties with the last place do not qualify');
+	assert.equal(qualifies(scores, 'hard', 1), true, 'other presets have their own board');
+	assert.equal(qualifies(scores, 'normal', 0), false);
+
+	const rank = addEntry(scores, recordRun(scores, run(5, 'normal', 30)), 'late');
+	assert.equal(rank, 7, 'ties rank behind the earlier run');
+	const top = topScores(scores, 'normal');
+	assert.equal(top.length, LEADERBOARD_SIZE);
+	assert.equal(top[0].name, 'P10');
+	assert.equal(top[top.length - 1].score, 2);
+	assert.equal(scores.best.normal, 10);
+	assert.equal(scores.lastName, 'late');
+});
+
+test('names are trimmed and blank names are not saved', function () {
+	const scores = loadScores(memoryStorage());
+	assert.equal(cleanName('   Very   long player name  '), 'Very long pl');
+	assert.equal(addEntry(scores, recordRun(scores, run(3)), '   '), 0);
+	assert.equal(topScores(scores, 'normal').length, 0);
+	assert.equal(scores.history.length, 1, 'the run is still in the history');
+});
+
+test('assisted runs keep their mark through a save and reload', function () {
+	const storage = memoryStorage();
+	const scores = loadScores(storage);
+	addEntry(scores, recordRun(scores, { ...run(6), assisted: true }), 'Slow');
+	addEntry(scores, recordRun(scores, { ...run(4), assisted: 'yes' }), 'Fast');
+	saveScores(storage, scores);
+
+	const top = topScores(loadScores(storage), 'normal');
+	assert.equal(top[0].assisted, true);
+	assert.equal(top[1].assisted, undefined);
+});
+
+test('assisted runs do not set the best score', function () {
+	const scores = loadScores(memoryStorage());
+	recordRun(scores, run(4));
+	recordRun(scores, { ...run(9), assisted: true });
+	assert.equal(scores.best.normal, 4);
+	assert.equal(scores.history.length, 2);
+});
+
+test('scores survive a save and reload', function () {
+	const storage = memoryStorage();
+	const scores = loadScores(storage);
+	addEntry(scores, recordRun(scores, run(8, 'easy')), 'Haz');
+	saveScores(storage, scores);
+
+	assert.deepEqual(loadScores(storage), scores);
+});
+
+test('export and import merge histories without duplicates', function () {
+	const mine = loadScores(memoryStorage());
+	addEntry(mine, recordRun(mine, run(5, 'normal', 1)), 'Me');
+
+	const theirs = loadScores(memoryStorage());
+	addEntry(theirs, recordRun(theirs, run(5, 'normal', 1)), 'Me');
+	addEntry(theirs, recordRun(theirs, run(20, 'hard', 2)), 'Nikkie');
+
+	const result = importScores(mine, exportScores(theirs));
+	assert.equal(result.added, 2);
+	assert.equal(mine.history.length, 2);
+	assert.equal(topScores(mine, 'hard')[0].name, 'Nikkie');
+	assert.equal(mine.best.hard, 20);
+
+	assert.throws(() => importScores(mine, JSON.stringify({ version: 99 })), /version/);
+	assert.throws(() => importScores(mine, '{'), SyntaxError);
+});
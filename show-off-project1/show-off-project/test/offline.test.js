@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+
+import { PRECACHE_URLS, FONTS_CACHE, precacheName, staleCaches, requestStrategy, isCacheableFont } from '../src/offline.js';
+
+// The game's folder, which is what the service worker's scope covers
+const root = new URL('../', import.meta.url);
+const scope = 'https://example.com/mouth-trap/';
+
+function read(path) {
+	return readFileSync(new URL(path, root), 'utf8');
+}
+
+test('every precached file exists', function () {
+	for (const url of PRECACHE_URLS) {
+		assert.ok(url === './' || existsSync(new URL(url, root)), url + ' is missing');
+	}
+});
+
+test('everything the page loads is precached', function () {
+	const needed = ['src/', 'themes/'].flatMap(function (dir) {
+		return readdirSync(new URL(dir, root)).map((name) => dir + name);
+	});
+	// Theme images, and the files index.html, the web app manifest and fonts.css link to
+	const theme = read('themes/mouth.json');
+	needed.push(...theme.match(/[\w-]+\.(png|jpg)/g));
+	needed.push(...[...read('index.html').matchAll(/(?:href|src)="([^":]+)"/g)].map((m) => m[1]));
+	needed.push(...JSON.parse(read('manifest.webmanifest')).icons.map((icon) => icon.src));
+	needed.push(...[...read('fonts.css').matchAll(/url\('([^']+)'\)/g)].map((m) => m[1]));
+
+	for (const path of needed) {
+		assert.ok(PRECACHE_URLS.includes(path), path + ' is not precached');
+	}
+});
+
+test('a new release clears only the older releases of the game', function () {
+	const names = [precacheName(1), precacheName(2), FONTS_CACHE, 'another-app-v1'];
+	assert.deepEqual(staleCaches(names, 2), [precacheName(1)]);
+	assert.notEqual(precacheName(1), precacheName(2));
+});
+
+test('requests are served from the precache, the fonts cache or the network', function () {
+	assert.equal(requestStrategy(scope, scope), 'precache');
+	assert.equal(requestStrategy(scope + 'index.html?theme=mouth', scope), 'precache');
+	assert.equal(requestStrategy(scope + 'src/game.js', scope), 'precache');
+	assert.equal(requestStrategy('https://fonts.gstatic.com/s/orbitron/v31/a.woff2', scope), 'fonts');
+	assert.equal(requestStrategy(scope + 'api/scores?difficulty=easy', scope), 'network');
+	assert.equal(requestStrategy(scope + 'api/scores', scope, 'POST'), 'network');
+	assert.equal(requestStrategy('https://example.com/other/main.js', scope), 'network');
+});
+
+test('font responses are cached when they loaded, even opaque ones fetched without CORS', function () {
+	assert.equal(isCacheableFont({ ok: true, status: 200, type: 'cors' }), true);
+	assert.equal(isCacheableFont({ ok: false, status: 0, type: 'opaque' }), true);
+	assert.equal(isCacheableFont({ ok: false, status: 404, type: 'cors' }), false);
+	assert.equal(isCacheableFont({ ok: false, status: 0, type: 'error' }), false);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	OBSTACLE_PATTERNS,
+	validatePattern,
+	choosePattern,
+	applyMotion,
+	patternShifts,
+} from '../src/patterns.js';
+
+test('every built-in pattern follows the format', function () {
+	for (const id of Object.keys(OBSTACLE_PATTERNS)) {
+		validatePattern(id, OBSTACLE_PATTERNS[id]);
+	}
+});
+
+test('malformed patterns are rejected with the pattern named', function () {
+	assert.throws(function () {
+		validatePattern('empty', { weight: 1, minScore: 0, pipes: [] });
+	}, /pattern "empty": pipes/);
+	assert.throws(function () {
+		validatePattern('shut', { weight: 1, minScore: 0, pipes: [{ motion: { type: 'chomp', amount: 1, periodMs: 100 } }] });
+	}, /must leave part of the gap open/);
+	assert.throws(function () {
+		validatePattern('spin', { weight: 1, minScore: 0, pipes: [{ motion: { type: 'spin', amount: 1, periodMs: 100 } }] });
+	}, /unknown motion type/);
+	assert.throws(function () {
+		validatePattern('wire', { weight: 1, minScore: 0, pipes: [{ wire: { at: 1.5, thickness: 4 } }] });
+	}, /wire/);
+});
+
+test('patterns are picked by weight among the unlocked ones', function () {
+	const patterns = {
+		plain: { weight: 3, minScore: 0, pipes: [{}] },
+		rare: { weight: 1, minScore: 0, pipes: [{}] },
+		late: { weight: 100, minScore: 10, pipes: [{}] },
+	};
+	assert.equal(choosePattern(patterns, 0.7, 0), 'plain');
+	assert.equal(choosePattern(patterns, 0.8, 0), 'rare');
+	assert.equal(choosePattern(patterns, 0.5, 10), 'late');
+});
+
+test('chomping jaws close around a fixed centre', function () {
+	const p = { baseTop: 100, baseGap: 200, age: 0, motion: { type: 'chomp', amount: 0.5, periodMs: 1000 } };
+	applyMotion(p);
+	assert.equal(p.gap, 200);
+	p.age = 500;
+	applyMotion(p);
+	assert.equal(p.gap, 100);
+	assert.equal(p.topHeight + p.gap / 2, 200);
+});
+
+test('bobbing teeth move the gap without changing its size', function () {
+	const p = { baseTop: 100, baseGap: 200, age: 250, motion: { type: 'bob', amount: 40, periodMs: 1000 } };
+	applyMotion(p);
+	assert.equal(p.gap, 200);
+	assert.equal(p.topHeight, 140);
+});
+
+test('pattern shifts always include the first pipe', function () {
+	assert.deepEqual(patternShifts({ pipes: [{ shift: 20 }, { shift: 50 }] }), { min: 0, max: 50 });
+	assert.deepEqual(patternShifts({ pipes: [{}, { shift: -30 }] }), { min: -30, max: 0 });
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRun, serializeRun, createRecording, REPLAY_VERSION } from '../src/replay.js';
+import { createRng } from '../src/rng.js';
+import { DEFAULT_PHYSICS } from '../src/constants.js';
+
+test('a recording survives a JSON round trip', function () {
+	const run = createRecording(99, { width: 480, height: 720 }, 'polygon', 'hard');
+	run.flaps.push(0, 12, 12, 40);
+	run.score = 3;
+	run.ticks = 300;
+
+	assert.deepEqual(parseRun(serializeRun(run)), run);
+});
+
+test('parseRun rejects files that cannot be played back', function () {
+	const good = { version: REPLAY_VERSION, seed: 1, world: { width: 480, height: 720 }, hitbox: 'circle', difficulty: 'easy', flaps: [1, 2] };
+
+	assert.throws(() => parseRun(JSON.stringify({ ...good, version: 0 })), /version/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, seed: -1 })), /seed/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, world: null })), /world/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, hitbox: 'blob' })), /hitbox/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, difficulty: 'nightmare' })), /difficulty/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, flaps: [5, 2] })), /ascending/);
+	assert.throws(() => parseRun('not json'), SyntaxError);
+	assert.equal(parseRun(JSON.stringify(good)).hitbox, 'circle');
+});
+
+test('recordings keep their assist options and older ones default to none', function () {
+	const good = { version: REPLAY_VERSION, seed: 1, world: { width: 480, height: 720 }, hitbox: 'circle', difficulty: 'easy', flaps: [] };
+
+	assert.deepEqual(parseRun(JSON.stringify(good)).assist, { gapScale: 1 });
+	assert.deepEqual(parseRun(JSON.stringify({ ...good, assist: { gapScale: 1.3 } })).assist, { gapScale: 1.3 });
+	assert.throws(() => parseRun(JSON.stringify({ ...good, assist: { gapScale: 0.5 } })), /assist/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, assist: null })), /assist/);
+	assert.deepEqual(createRecording(1, { width: 480, height: 720 }, 'polygon', 'easy', { gapScale: 1.15, speed: 0.7 }).assist, { gapScale: 1.15 });
+});
+
+test('recordings keep their physics and older ones default to the standard ones', function () {
+	const good = { version: REPLAY_VERSION, seed: 1, world: { width: 480, height: 720 }, hitbox: 'circle', difficulty: 'easy', flaps: [] };
+	const custom = { gravity: 0.6, flapPower: 9, scrollScale: 1.2 };
+
+	assert.deepEqual(parseRun(JSON.stringify(good)).physics, DEFAULT_PHYSICS);
+	assert.deepEqual(parseRun(JSON.stringify({ ...good, physics: custom })).physics, custom);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, physics: { ...custom, gravity: 5 } })), /physics/);
+	assert.throws(() => parseRun(JSON.stringify({ ...good, physics: { gravity: 0.6 } })), /physics/);
+});
+
+test('createRng is deterministic per seed and stays in [0, 1)', function () {
+	const a = createRng(5);
+	const b = createRng(5);
+	for (let i = 0; i < 1000; i++) {
+		const value = a();
+		assert.equal(value, b());
+		assert.ok(value >= 0 && value < 1);
+	}
+	assert.notEqual(createRng(6)(), createRng(5)());
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRoute, routeHash, createRouter } from '../src/router.js';
+
+// Stand-in for window: a location hash and a history stack whose back() fires popstate
+function fakeWindow(hash = '') {
+	const entries = [{ state: null, hash }];
+	let at = 0;
+	const listeners = [];
+	const win = {
+		location: { hash },
+		history: {
+			get state() {
+				return entries[at].state;
+			},
+			pushState(state, title, url) {
+				entries.splice(at + 1, entries.length, { state, hash: url });
+				at++;
+				win.location.hash = url;
+			},
+			replaceState(state, title, url) {
+				entries[at] = { state, hash: url };
+				win.location.hash = url;
+			},
+			back() {
+				at--;
+				win.location.hash = entries[at].hash;
+				listeners.forEach((f) => f({ state: entries[at].state }));
+			},
+		},
+		addEventListener(type, f) {
+			if (type === 'popstate') listeners.push(f);
+		},
+		// A reload keeps the history and the hash but drops the page's listeners
+		reload() {
+			listeners.length = 0;
+		},
+	};
+	return win;
+}
+
+test('routes read from and write to the location hash', function () {
+	assert.deepEqual(parseRoute(''), { view: 'intro', tab: null });
+	assert.deepEqual(parseRoute('#/menu'), { view: 'landing', tab: null });
+	assert.deepEqual(parseRoute('#/settings/controls'), { view: 'settings', tab: 'controls' });
+	assert.deepEqual(parseRoute('#/leaderboard/controls'), { view: 'leaderboard', tab: null });
+	assert.deepEqual(parseRoute('#/nowhere'), { view: 'intro', tab: null });
+
+	for (const hash of ['#/', '#/menu', '#/play', '#/achievements', '#/settings/audio']) {
+		assert.equal(routeHash(parseRoute(hash)), hash);
+	}
+});
+
+test('navigating adds history entries that the back button walks through', function () {
+	const win = fakeWindow();
+	const shown = [];
+	const router = createRouter(win, (route) => shown.push(routeHash(route)));
+
+	router.start();
+	router.navigate({ view: 'landing' });
+	router.navigate({ view: 'settings', tab: 'audio' });
+	router.navigate({ view: 'settings', tab: 'controls' }, { replace: true });
+	router.navigate({ view: 'settings', tab: 'controls' });
+	assert.deepEqual(shown, ['#/', '#/menu', '#/settings/audio', '#/settings/controls'], 'the current route is not shown again');
+
+	win.history.back();
+	assert.equal(win.location.hash, '#/menu', 'replaced tabs are one entry');
+	assert.deepEqual(router.route, { view: 'landing', tab: null });
+	assert.equal(shown[shown.length - 1], '#/menu');
+});
+
+test('back returns to an earlier view or, on a view opened directly, replaces it', function () {
+	const direct = fakeWindow('#/play');
+	const shown = [];
+	const router = createRouter(direct, (route) => shown.push(routeHash(route)));
+	router.start();
+	router.back({ view: 'landing' });
+	assert.equal(direct.location.hash, '#/menu');
+	assert.deepEqual(shown, ['#/play', '#/menu']);
+
+	router.navigate({ view: 'play' });
+	router.back({ view: 'landing' });
+	assert.equal(direct.location.hash, '#/menu');
+	assert.deepEqual(shown, ['#/play', '#/menu', '#/play', '#/menu']);
+});
+
+test('after a reload on a view it navigated to, back still goes back through history', function () {
+	const win = fakeWindow('#/menu');
+	const before = createRouter(win, () => {});
+	before.start();
+	before.navigate({ view: 'settings', tab: 'audio' });
+
+	win.reload();
+	const shown = [];
+	const router = createRouter(win, (route) => shown.push(routeHash(route)));
+	router.start();
+	router.back({ view: 'landing' });
+	assert.equal(win.location.hash, '#/menu');
+	assert.deepEqual(shown, ['#/settings/audio', '#/menu']);
+});
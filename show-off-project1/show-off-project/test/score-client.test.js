@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	createLocalScoreClient,
+	createHttpScoreClient,
+	signEntry,
+	verifyEntrySignature,
+	QUEUE_STORAGE_KEY,
+} from '../src/score-client.js';
+import { loadScores } from '../src/leaderboard.js';
+import { createRecording } from '../src/replay.js';
+
+function memoryStorage() {
+	const data = {};
+	return {
+		data,
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+		removeItem(key) {
+			delete data[key];
+		},
+	};
+}
+
+function entry(score = 4) {
+	const run = createRecording(9, { width: 480, height: 720 }, 'polygon', 'normal');
+	run.flaps.push(3, 20);
+	return { name: 'ANA', score, difficulty: 'normal', durationMs: 4000, date: '2026-01-01T12:00:00.000Z', run };
+}
+
+// fetch stand-in that answers from a list of responses (or errors to throw)
+function scriptedFetch(answers) {
+	const calls = [];
+	const fetch = async function (url, init) {
+		calls.push({ url, init });
+		const answer = answers.shift();
+		if (answer instanceof Error) throw answer;
+		return {
+			ok: answer.status >= 200 && answer.status < 300,
+			status: answer.status,
+			json: async function () {
+				return answer.body || {};
+			},
+		};
+	};
+	return { fetch, calls };
+}
+
+function httpClient(fetch, storage = memoryStorage()) {
+	return createHttpScoreClient({ baseUrl: 'http://board/api/', storage, fetch, retries: 2, sleep: async function () {} });
+}
+
+test('the local client ranks entries on the browser board', async function () {
+	const storage = memoryStorage();
+	const scores = loadScores(storage);
+	const client = createLocalScoreClient(scores, storage);
+
+	assert.deepEqual(await client.submit(entry(4)), { ok: true, rank: 1 });
+	const top = await client.fetchTop('normal');
+	assert.equal(top[0].name, 'ANA');
+	assert.equal(top[0].run, undefined);
+	assert.equal(JSON.parse(storage.getItem('mouth_trap_scores')).leaderboard.length, 1);
+});
+
+test('signatures cover the score and the replay', async function () {
+	const signed = { ...entry(), ...(await signEntry(entry())) };
+	assert.equal(await verifyEntrySignature(signed), true);
+	assert.equal(await verifyEntrySignature({ ...signed, score: 99 }), false);
+	assert.equal(await verifyEntrySignature(signed, 'another key'), false);
+
+	const edited = { ...signed, run: { ...signed.run, flaps: [3] } };
+	assert.equal(await verifyEntrySignature(edited), false);
+});
+
+test('the HTTP client retries server errors before giving up', async function () {
+	const { fetch, calls } = scriptedFetch([new Error('offline'), { status: 503 }, { status: 201, body: { rank: 2 } }]);
+	const result = await httpClient(fetch).submit(entry());
+
+	assert.deepEqual(result, { ok: true, rank: 2 });
+	assert.equal(calls.length, 3);
+	assert.equal(calls[0].url, 'http://board/api/scores');
+	const body = JSON.parse(calls[2].init.body);
+	assert.match(body.signature, /^[0-9a-f]{64}$/);
+	assert.equal(await verifyEntrySignature(body), true);
+});
+
+test('undeliverable scores are queued and flushed later', async function () {
+	const storage = memoryStorage();
+	const offline = scriptedFetch([new Error('offline'), new Error('offline'), new Error('offline')]);
+	const result = await httpClient(offline.fetch, storage).submit(entry());
+	assert.equal(result.queued, true);
+	assert.equal(JSON.parse(storage.getItem(QUEUE_STORAGE_KEY)).length, 1);
+
+	const online = scriptedFetch([{ status: 201, body: { rank: 1 } }]);
+	const client = httpClient(online.fetch, storage);
+	assert.equal(client.pending(), 1);
+	assert.deepEqual(await client.flush(), { sent: 1, pending: 0 });
+	assert.equal(storage.getItem(QUEUE_STORAGE_KEY), null);
+});
+
+test('rejected scores are reported and not retried or queued', async function () {
+	const storage = memoryStorage();
+	const { fetch, calls } = scriptedFetch([{ status: 400, body: { error: 'bad signature' } }]);
+	const result = await httpClient(fetch, storage).submit(entry());
+
+	assert.deepEqual(result, { ok: false, error: 'bad signature' });
+	assert.equal(calls.length, 1);
+	assert.equal(storage.getItem(QUEUE_STORAGE_KEY), null);
+});
+
+test('fetchTop asks for one preset', async function () {
+	const { fetch, calls } = scriptedFetch([{ status: 200, body: { scores: [{ name: 'BO', score: 7 }] } }]);
+	const top = await httpClient(fetch).fetchTop('hard');
+
+	assert.equal(calls[0].url, 'http://board/api/scores?difficulty=hard');
+	assert.deepEqual(top, [{ name: 'BO', score: 7 }]);
+});
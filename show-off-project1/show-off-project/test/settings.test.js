@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+	SETTINGS_SCHEMA,
+	SETTINGS_STORAGE_KEY,
+	SETTINGS_VERSION,
+	defaultSettings,
+	validateSettings,
+	loadSettings,
+	saveSettings,
+	resetSettings,
+	stepSetting,
+	formatSetting,
+} from '../src/settings.js';
+import { DEFAULT_BINDINGS, bindKey } from '../src/input.js';
+import { DEFAULT_PHYSICS } from '../src/constants.js';
+
+// In-memory stand-in for localStorage
+function memoryStorage(initial = {}) {
+	const data = { ...initial };
+	return {
+		data,
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+		},
+		setItem(key, value) {
+			data[key] = String(value);
+		},
+		removeItem(key) {
+			delete data[key];
+		},
+	};
+}
+
+test('the defaults cover every field in the schema', function () {
+	const settings = defaultSettings();
+	assert.deepEqual(Object.keys(settings), Object.keys(SETTINGS_SCHEMA));
+	for (const section of Object.keys(SETTINGS_SCHEMA)) {
+		assert.deepEqual(Object.keys(settings[section]), Object.keys(SETTINGS_SCHEMA[section].fields));
+	}
+	assert.deepEqual(settings.physics, DEFAULT_PHYSICS);
+	assert.deepEqual(settings.controls.bindings, DEFAULT_BINDINGS);
+	assert.equal(settings.game.difficulty, 'normal');
+});
+
+test('invalid fields fall back to their defaults and unknown ones are dropped', function () {
+	const defaults = defaultSettings();
+	const settings = validateSettings({
+		audio: { volume: 1.5, muted: 'yes', music: false, extra: 1 },
+		game: { difficulty: 'nightmare', speed: 0.85 },
+		effects: 'on',
+		physics: { gravity: 0.6, flapPower: Infinity },
+		cheats: { godMode: true },
+	});
+	assert.equal(settings.audio.volume, defaults.audio.volume);
+	assert.equal(settings.audio.muted, false);
+	assert.equal(settings.audio.music, false);
+	assert.equal(settings.audio.extra, undefined);
+	assert.equal(settings.game.difficulty, 'normal');
+	assert.equal(settings.game.speed, 0.85);
+	assert.deepEqual(settings.effects, defaults.effects);
+	assert.deepEqual(settings.physics, { ...DEFAULT_PHYSICS, gravity: 0.6 });
+	assert.equal(settings.cheats, undefined);
+});
+
+test('settings survive a save and reload', function () {
+	const storage = memoryStorage();
+	const settings = loadSettings(storage);
+	stepSetting(settings, 'physics', 'gravity', 1);
+	bindKey(settings.controls.bindings, 'flap', 'KeyW');
+	saveSettings(storage, settings);
+
+	assert.equal(JSON.parse(storage.data[SETTINGS_STORAGE_KEY]).version, SETTINGS_VERSION);
+	assert.deepEqual(loadSettings(storage), settings);
+});
+
+test('settings saved under the older keys are migrated once and the keys removed', function () {
+	const storage = memoryStorage({
+		mouth_trap_audio: JSON.stringify({ volume: 0.3, muted: true, music: false, musicVolume: 0.2 }),
+		mouth_trap_assist: JSON.stringify({ speed: 0.7, gapScale: 1, highContrast: 'on', reducedMotion: 'auto' }),
+		mouth_trap_bindings: JSON.stringify({ flap: ['KeyW'] }),
+		mouth_trap_difficulty: 'hard',
+		mouth_trap_reduced_motion: '1',
+	});
+	const settings = loadSettings(storage);
+
+	assert.deepEqual(settings.audio, { volume: 0.3, muted: true, music: false, musicVolume: 0.2 });
+	assert.deepEqual(settings.game, { mode: 'solo', difficulty: 'hard', speed: 0.7, gapScale: 1 });
+	assert.deepEqual(settings.effects, { reducedMotion: 'auto', highContrast: 'on' }, 'saved assist options win over the older flag');
+	assert.deepEqual(settings.controls.bindings.flap, ['KeyW']);
+	assert.deepEqual(Object.keys(storage.data), [SETTINGS_STORAGE_KEY]);
+});
+
+test('unreadable or newer settings are ignored but left in storage', function () {
+	const future = JSON.stringify({ version: SETTINGS_VERSION + 1, audio: { volume: 0 } });
+	const storage = memoryStorage({ [SETTINGS_STORAGE_KEY]: future });
+	const settings = loadSettings(storage);
+	assert.deepEqual(settings, defaultSettings());
+	assert.equal(storage.data[SETTINGS_STORAGE_KEY], future);
+	settings.audio.volume = 0.2;
+	saveSettings(storage, settings);
+	assert.equal(storage.data[SETTINGS_STORAGE_KEY], future, 'saving leaves them alone too');
+
+	assert.deepEqual(loadSettings(memoryStorage({ [SETTINGS_STORAGE_KEY]: '{broken' })), defaultSettings());
+});
+
+test('resetting puts a section or everything back to defaults in place', function () {
+	const settings = defaultSettings();
+	const bindings = settings.controls.bindings;
+	const audio = settings.audio;
+	stepSetting(settings, 'audio', 'volume', -1);
+	stepSetting(settings, 'physics', 'flapPower', 1);
+	bindKey(bindings, 'pause', 'KeyQ');
+
+	resetSettings(settings, 'audio');
+	assert.equal(settings.audio, audio);
+	assert.deepEqual(settings.audio, defaultSettings().audio);
+	assert.notDeepEqual(settings.physics, DEFAULT_PHYSICS, 'other sections are left alone');
+
+	resetSettings(settings);
+	assert.deepEqual(settings, defaultSettings());
+	assert.equal(settings.controls.bindings, bindings, 'code holding the bindings sees the reset');
+});
+
+test('stepping flips booleans, wraps choices and keeps numbers on their grid and in range', function () {
+	const settings = defaultSettings();
+	assert.equal(stepSetting(settings, 'audio', 'muted'), true);
+	assert.equal(stepSetting(settings, 'game', 'difficulty', 1), 'hard');
+	assert.equal(stepSetting(settings, 'game', 'difficulty', 1), 'easy');
+	assert.equal(stepSetting(settings, 'game', 'difficulty', -1), 'hard');
+
+	assert.equal(stepSetting(settings, 'physics', 'gravity', 1), 0.5);
+	assert.equal(stepSetting(settings, 'physics', 'gravity', -1), DEFAULT_PHYSICS.gravity);
+	for (let i = 0; i < 20; i++) {
+		stepSetting(settings, 'audio', 'volume', 1);
+	}
+	assert.equal(settings.audio.volume, 1);
+});
+
+test('values read as short labels', function () {
+	assert.equal(formatSetting('audio', 'volume', 0.8), '80%');
+	assert.equal(formatSetting('audio', 'music', false), 'OFF');
+	assert.equal(formatSetting('game', 'difficulty', 'easy'), 'EASY');
+	assert.equal(formatSetting('game', 'gapScale', 1.3), '+30%');
+	assert.equal(formatSetting('effects', 'reducedMotion', 'auto'), 'AUTO');
+	assert.equal(formatSetting('physics', 'gravity', 0.45), '0.45');
+});
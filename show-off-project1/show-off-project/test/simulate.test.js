@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulateGames, summarize, formatReport } from '../tools/simulate.js';
+
+test('simulated games are reproducible from their seeds', function () {
+	const options = { games: 3, seed: 10, difficulty: 'hard', maxTicks: 60 * 20 };
+	const results = simulateGames(options);
+	assert.deepEqual(results.map((result) => result.seed), [10, 11, 12]);
+	assert.deepEqual(simulateGames(options), results);
+});
+
+test('summaries give score and survival distributions, a histogram and crash causes', function () {
+	const results = [
+		{ seed: 1, score: 4, survivalMs: 5000, cause: 'top', finished: true },
+		{ seed: 2, score: 12, survivalMs: 15000, cause: 'bottom', finished: true },
+		{ seed: 3, score: 15, survivalMs: 20000, cause: 'top', finished: true },
+		{ seed: 4, score: 31, survivalMs: 120000, cause: null, finished: false },
+	];
+	const summary = summarize(results);
+
+	assert.equal(summary.games, 4);
+	assert.deepEqual(summary.score, { mean: 15.5, p10: 4, median: 12, p90: 31, max: 31 });
+	assert.deepEqual(summary.survivalSeconds, { mean: 40, p10: 5, median: 15, p90: 120, max: 120 });
+	assert.deepEqual(summary.histogram.map((bucket) => bucket.count), [1, 2, 0, 1]);
+	assert.deepEqual(summary.histogram[1], { from: 10, to: 19, count: 2 });
+	assert.deepEqual(summary.causes, { top: 2, bottom: 1 });
+	assert.equal(summary.survived, 0.25);
+
+	const report = formatReport('normal', summary, { maxMinutes: 2 });
+	assert.match(report, /^NORMAL: 4 games/);
+	assert.match(report, /still going at the 2 minute cap: 25%/);
+	assert.match(report, /top 50%/);
+});
+
+test('an empty run of games summarizes to zeros', function () {
+	const summary = summarize([]);
+	assert.equal(summary.games, 0);
+	assert.equal(summary.score.median, 0);
+	assert.equal(summary.survived, 0);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStateMachine, STATES } from '../src/state-machine.js';
+
+test('walks through a normal session', function () {
+	const machine = createStateMachine();
+	const seen = [];
+	machine.on('change', function (e) {
+		seen.push(e.from + '>' + e.to);
+	});
+
+	machine.go(STATES.LANDING);
+	machine.go(STATES.READY);
+	machine.go(STATES.PLAYING);
+	machine.go(STATES.PAUSED);
+	machine.go(STATES.PLAYING);
+	machine.go(STATES.GAME_OVER);
+	machine.go(STATES.PLAYING);
+
+	assert.equal(machine.state, STATES.PLAYING);
+	assert.deepEqual(seen, [
+		'loading>landing',
+		'landing>ready',
+		'ready>playing',
+		'playing>paused',
+		'paused>playing',
+		'playing>gameover',
+		'gameover>playing',
+	]);
+});
+
+test('refuses transitions the table does not allow', function () {
+	const machine = createStateMachine(STATES.LANDING);
+	assert.equal(machine.can(STATES.PAUSED), false);
+	assert.throws(() => machine.go(STATES.PAUSED), /Cannot go from landing to paused/);
+	assert.equal(machine.tryGo(STATES.GAME_OVER), false);
+	assert.equal(machine.state, STATES.LANDING);
+	assert.equal(machine.tryGo(STATES.READY), true);
+	assert.equal(machine.is(STATES.READY), true);
+});
+
+test('passes transition details to listeners', function () {
+	const machine = createStateMachine(STATES.PLAYING);
+	let detail = null;
+	machine.on('change', function (e) {
+		detail = e.detail;
+	});
+	machine.go(STATES.PAUSED, { reason: 'blur' });
+	assert.deepEqual(detail, { reason: 'blur' });
+});
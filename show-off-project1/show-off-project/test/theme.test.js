@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { normalizeTheme, themeAssets, layerTiles, nineSliceRects } from '../src/theme.js';
+
+test('the bundled theme manifest is complete', function () {
+	const manifest = JSON.parse(readFileSync(new URL('../themes/mouth.json', import.meta.url), 'utf8'));
+	const theme = normalizeTheme(manifest);
+
+	assert.equal(theme.layers.length, 2);
+	assert.deepEqual(theme.teeth.crop, { x: 54, y: 6, w: 49, h: 55 });
+	const ids = themeAssets(theme).map((entry) => entry.id);
+	assert.deepEqual(ids, [
+		'backgroundtexture.jpg',
+		'11656c9e79641ee23982fc097bd4c4f2.jpg',
+		'teethbackground.png',
+		'tongue-img.png',
+	]);
+	for (const path of ids) {
+		assert.doesNotThrow(() => readFileSync(new URL('../' + path, import.meta.url)), path);
+	}
+});
+
+test('image fallbacks become one asset with several sources', function () {
+	const theme = normalizeTheme({
+		layers: [{ image: ['backgroundtexture.png', 'backgroundtexture.jpg'] }],
+		ground: { image: 'backgroundtexture.png' },
+	});
+	assert.equal(theme.layers[0].image, 'backgroundtexture.png');
+	assert.equal(theme.ground.image, 'backgroundtexture.png');
+	assert.deepEqual(themeAssets(theme), [
+		{ id: 'backgroundtexture.png', type: 'image', src: ['backgroundtexture.png', 'backgroundtexture.jpg'] },
+	]);
+});
+
+test('a broken manifest falls back to flat colours', function () {
+	const theme = normalizeTheme({ layers: [{ speed: 1 }, null], teeth: { image: 'x.png', crop: [0, 0, 0, 10] } });
+	assert.deepEqual(theme.layers, []);
+	assert.equal(theme.ground, null);
+	assert.equal(theme.teeth.crop, null);
+	assert.equal(theme.teeth.color, '#fff200');
+	assert.deepEqual(themeAssets(normalizeTheme(undefined)), []);
+});
+
+test('layer tiles scroll at their own speed and always cover the view', function () {
+	assert.deepEqual(layerTiles(0, 0.5, 100, 250), [0, 100, 200]);
+	assert.deepEqual(layerTiles(60, 0.5, 100, 250), [-30, 70, 170]);
+	assert.deepEqual(layerTiles(260, 0.5, 100, 250), [-30, 70, 170]);
+	assert.deepEqual(layerTiles(1000, 0, 100, 150), [0, 100]);
+});
+
+test('nine-slice keeps the borders and stretches or tiles the middle', function () {
+	const crop = { x: 10, y: 0, w: 20, h: 30 };
+	const slice = { top: 10, right: 0, bottom: 5, left: 0 };
+
+	const stretched = nineSliceRects(crop, slice, { x: 0, y: 0, w: 40, h: 100 }, { scale: 2 });
+	assert.deepEqual(stretched.map((r) => [r.sy, r.sh, r.dy, r.dh]), [[0, 10, 0, 20], [10, 15, 20, 70], [25, 5, 90, 10]]);
+	assert.ok(stretched.every((r) => r.sx === 10 && r.sw === 20 && r.dw === 40));
+
+	// Middle tiles are 15 * 2 = 30 high: two whole ones, then a 10px piece from a third of the source
+	const tiled = nineSliceRects(crop, slice, { x: 0, y: 0, w: 40, h: 100 }, { scale: 2, tile: true });
+	assert.deepEqual(tiled.map((r) => [r.sy, r.sh, r.dy, r.dh]), [[0, 10, 0, 20], [10, 15, 20, 30], [10, 15, 50, 30], [10, 5, 80, 10], [25, 5, 90, 10]]);
+
+	// Too short for both borders: they shrink to fit
+	const short = nineSliceRects(crop, slice, { x: 0, y: 0, w: 40, h: 15 }, { scale: 2 });
+	assert.deepEqual(short.map((r) => [r.dy, r.dh]), [[0, 10], [10, 5]]);
+});
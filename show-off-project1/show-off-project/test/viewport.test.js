@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitViewport, worldTransform, clientToWorld } from '../src/viewport.js';
+import { WORLD_WIDTH, WORLD_HEIGHT } from '../src/constants.js';
+
+test('a wide window letterboxes the world at its own aspect ratio', function () {
+	const view = fitViewport(1920, 1080, WORLD_WIDTH, WORLD_HEIGHT, 1);
+	assert.equal(view.cssHeight, 1080);
+	assert.equal(view.cssWidth, 720);
+	assert.equal(view.scale, 1.5);
+});
+
+test('a tall window letterboxes top and bottom', function () {
+	const view = fitViewport(390, 844, WORLD_WIDTH, WORLD_HEIGHT, 3);
+	assert.equal(view.cssWidth, 390);
+	assert.equal(view.cssHeight, 585);
+	assert.equal(view.pixelWidth, 1170);
+	assert.equal(view.pixelHeight, 1755);
+	assert.equal(view.scale, 1170 / WORLD_WIDTH);
+});
+
+test('the backing store follows the device pixel ratio', function () {
+	const view = fitViewport(480, 720, WORLD_WIDTH, WORLD_HEIGHT, 2);
+	assert.deepEqual([view.cssWidth, view.cssHeight, view.pixelWidth, view.pixelHeight], [480, 720, 960, 1440]);
+	assert.equal(fitViewport(480, 720, WORLD_WIDTH, WORLD_HEIGHT, 0).dpr, 1);
+});
+
+test('worlds of another shape are centred inside the canvas', function () {
+	assert.deepEqual(worldTransform(960, 1440, { width: 480, height: 720 }), { scale: 2, offsetX: 0, offsetY: 0 });
+	assert.deepEqual(worldTransform(960, 1440, { width: 960, height: 540 }), { scale: 1, offsetX: 0, offsetY: 450 });
+});
+
+test('pointer positions map back to world units', function () {
+	const rect = { left: 600, top: 0, width: 720, height: 1080 };
+	assert.deepEqual(clientToWorld(960, 540, rect, WORLD_WIDTH, WORLD_HEIGHT), { x: 240, y: 360 });
+});
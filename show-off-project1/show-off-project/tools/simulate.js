@@ -0,0 +1,168 @@
+// HEADLESS SIMULATION HARNESS
+// Plays lots of games with the autopilot (src/autopilot.js) as fast as the machine allows,
+// using whatever is in src/constants.js and the difficulty presets right now, and reports
+// how long the bot survived and what it scored. Run it before and after changing
+// PIPE_GAP_MIN, SCROLL_SPEED and friends to check the game is still beatable.
+// Every game has its own seed (--seed, --seed + 1, ...), so a report can be reproduced.
+//
+// Usage: node tools/simulate.js [--games 1000] [--difficulty normal|all] [--seed 1]
+//                               [--max-minutes 2] [--gap-scale 1] [--json]
+// Reference: Monte Carlo simulation, percentiles (nearest-rank)
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { playAutopilot } from '../src/autopilot.js';
+import { DIFFICULTY_IDS, DEFAULT_DIFFICULTY, isDifficulty } from '../src/difficulty.js';
+import { STEP_MS } from '../src/game.js';
+
+const SCORE_BUCKET = 10;      // Width of each bar in the score histogram (points)
+const BAR_WIDTH = 40;         // Characters in the longest histogram bar
+
+// Play `games` autopilot runs; options are playAutopilot's plus games and a first seed
+// Returns one { seed, score, survivalMs, cause, finished } per game
+export function simulateGames(options = {}) {
+	const games = options.games || 1000;
+	const firstSeed = options.seed || 1;
+	const results = [];
+	for (let i = 0; i < games; i++) {
+		const seed = firstSeed + i;
+		const result = playAutopilot({ ...options, seed });
+		results.push({ seed, score: result.score, survivalMs: result.durationMs, cause: result.cause, finished: result.finished });
+	}
+	return results;
+}
+
+// Nearest-rank percentile of an ascending list of numbers
+function percentile(sorted, p) {
+	if (sorted.length === 0) return 0;
+	return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+// Mean, percentiles and max of a list of numbers
+function distribution(values) {
+	const sorted = values.slice().sort(function (a, b) {
+		return a - b;
+	});
+	const total = sorted.reduce(function (sum, v) {
+		return sum + v;
+	}, 0);
+	return {
+		mean: sorted.length ? total / sorted.length : 0,
+		p10: percentile(sorted, 10),
+		median: percentile(sorted, 50),
+		p90: percentile(sorted, 90),
+		max: sorted.length ? sorted[sorted.length - 1] : 0,
+	};
+}
+
+// Sum up simulateGames() results:
+//   score, survivalSeconds  distributions (mean, p10, median, p90, max)
+//   histogram               [{ from, to, count }] in SCORE_BUCKET-point buckets
+//   causes                  crashes by what the tongue hit: { top: 12, ground: 3, ... }
+//   survived                share of games still going when they were stopped (0-1)
+export function summarize(results) {
+	const histogram = [];
+	const causes = {};
+	let survived = 0;
+	for (const result of results) {
+		const bucket = Math.floor(result.score / SCORE_BUCKET);
+		while (histogram.length <= bucket) {
+			histogram.push({ from: histogram.length * SCORE_BUCKET, to: (histogram.length + 1) * SCORE_BUCKET - 1, count: 0 });
+		}
+		histogram[bucket].count++;
+		if (result.finished) {
+			causes[result.cause] = (causes[result.cause] || 0) + 1;
+		} else {
+			survived++;
+		}
+	}
+	return {
+		games: results.length,
+		score: distribution(results.map(function (result) {
+			return result.score;
+		})),
+		survivalSeconds: distribution(results.map(function (result) {
+			return result.survivalMs / 1000;
+		})),
+		histogram,
+		causes,
+		survived: results.length ? survived / results.length : 0,
+	};
+}
+
+// Plain-text report for one difficulty's summary
+export function formatReport(difficulty, summary, options = {}) {
+	const percent = function (count) {
+		return Math.round(count / Math.max(1, summary.games) * 100) + '%';
+	};
+	const figures = function (d, unit) {
+		return ['mean ' + d.mean.toFixed(1), 'p10 ' + d.p10, 'median ' + d.median, 'p90 ' + d.p90, 'max ' + d.max].join('  ') + unit;
+	};
+	const most = Math.max(1, ...summary.histogram.map(function (bucket) {
+		return bucket.count;
+	}));
+	const lines = [
+		difficulty.toUpperCase() + ': ' + summary.games + ' games' + (options.gapScale && options.gapScale !== 1 ? ', gaps x' + options.gapScale : ''),
+		'  score     ' + figures(summary.score, ''),
+		'  survival  ' + figures(roundAll(summary.survivalSeconds), 's'),
+		'  still going at the ' + (options.maxMinutes || 2) + ' minute cap: ' + percent(summary.survived * summary.games),
+		'  crashes   ' + (Object.keys(summary.causes).map(function (cause) {
+			return cause + ' ' + percent(summary.causes[cause]);
+		}).join('  ') || 'none'),
+		'  scores',
+	];
+	for (const bucket of summary.histogram) {
+		const label = (bucket.from + '-' + bucket.to).padStart(9);
+		lines.push('  ' + label + ' ' + '#'.repeat(Math.round(bucket.count / most * BAR_WIDTH)).padEnd(BAR_WIDTH) + ' ' + percent(bucket.count));
+	}
+	return lines.join('\n');
+}
+
+// Survival times to one decimal place for the report
+function roundAll(d) {
+	const rounded = {};
+	for (const key of Object.keys(d)) {
+		rounded[key] = Math.round(d[key] * 10) / 10;
+	}
+	return rounded;
+}
+
+// Command-line entry point
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+	const args = process.argv.slice(2);
+	const option = function (name, fallback) {
+		const index = args.indexOf('--' + name);
+		return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+	};
+	const games = Number(option('games', 1000));
+	const seed = Number(option('seed', 1));
+	const maxMinutes = Number(option('max-minutes', 2));
+	const gapScale = Number(option('gap-scale', 1));
+	const chosen = option('difficulty', DEFAULT_DIFFICULTY);
+	const difficulties = chosen === 'all' ? DIFFICULTY_IDS : [chosen];
+	if (!difficulties.every(isDifficulty)) {
+		console.error('Unknown difficulty: ' + chosen + ' (use ' + DIFFICULTY_IDS.join(', ') + ' or all)');
+		process.exit(1);
+	}
+
+	const reports = {};
+	const started = Date.now();
+	let playedMs = 0;
+	for (const difficulty of difficulties) {
+		const results = simulateGames({ games, seed, difficulty, gapScale, maxTicks: Math.round(maxMinutes * 60000 / STEP_MS) });
+		reports[difficulty] = summarize(results);
+		playedMs += results.reduce(function (sum, result) {
+			return sum + result.survivalMs;
+		}, 0);
+		if (!args.includes('--json')) {
+			console.log(formatReport(difficulty, reports[difficulty], { gapScale, maxMinutes }) + '\n');
+		}
+	}
+	const tookMs = Math.max(1, Date.now() - started);
+	if (args.includes('--json')) {
+		console.log(JSON.stringify(reports, null, 2));
+	} else {
+		console.log('Played ' + Math.round(playedMs / 60000) + ' minutes of game in ' + (tookMs / 1000).toFixed(1) + 's (' + Math.round(playedMs / tookMs) + 'x real time)');
+	}
+}